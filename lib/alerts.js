@@ -0,0 +1,394 @@
+// lib/alerts.js — rule-based alerting evaluated on every stored entry (plus a 1-minute tick
+// for time-based conditions). One unresolved alert per rule/bin/compartment key; repeats
+// bump `occurrences`. A key that resolved less than cooldown_minutes ago doesn't reopen.
+// Lifecycle: open -> acknowledged -> resolved (conditions that clear resolve automatically).
+// Rules belong to a company (company_id) or, for the built-in defaults, to every company
+// (company_id null, editable by a superadmin); alerts carry the company of their bin.
+const path = require("path");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const datasource = require("./datasource");
+const registry = require("./registry");
+const pickups = require("./pickups");
+const notify = require("./notify");
+const companies = require("./companies");
+const log = require("./log").child("alerts");
+
+const RULES_FILE = path.join(DATA_DIR, "alert_rules.json");
+const ALERTS_FILE = path.join(DATA_DIR, "alerts.json");
+const MAX_RESOLVED = 1000;                // resolved alerts kept on disk
+const FORECAST_CHECK_MS = 5 * 60 * 1000;  // forecast rules re-run per bin at most this often
+const TICK_MS = 60 * 1000;
+
+const STATUSES = ["open", "acknowledged", "resolved"];
+const SEVERITIES = ["info", "warning", "critical"];
+
+// type -> default params
+const RULE_TYPES = {
+  fill_pct: { threshold_pct: null, for_minutes: 0 }, // null threshold: the bin's registry full_pct
+  contamination: {},
+  forecast_eta: { within_hours: 6 },
+  no_reading: { after_minutes: 60 },
+};
+
+const DEFAULT_RULES = [
+  { id: "fill-full", name: "Compartment full", type: "fill_pct", severity: "critical", params: { threshold_pct: null, for_minutes: 15 } },
+  { id: "contaminated", name: "Contaminated item not overridden", type: "contamination", severity: "warning", params: {} },
+  { id: "due-soon", name: "Forecast full within 6h", type: "forecast_eta", severity: "info", params: { within_hours: 6 } },
+  { id: "silent", name: "No reading for 60 min", type: "no_reading", severity: "warning", params: { after_minutes: 60 } },
+];
+
+const emitter = new EventEmitter(); // "alert" (event, alert) with event alert.opened|alert.updated|alert.acknowledged|alert.resolved
+
+let rules = [];
+let alerts = [];
+const pending = new Map();        // fill_pct key -> ms the condition started
+const lastFill = new Map();       // "bin/compartment" -> { pct, t }
+const lastSeen = new Map();       // bin -> ms of the last entry from it
+const lastForecast = new Map();   // bin -> ms of the last forecast_eta evaluation
+
+// ---- persistence
+function load() {
+  const storedRules = readJson(RULES_FILE, null);
+  rules = (Array.isArray(storedRules) ? storedRules : DEFAULT_RULES).map(withRuleDefaults);
+  if (!storedRules) saveRules();
+  const storedAlerts = readJson(ALERTS_FILE, []);
+  alerts = Array.isArray(storedAlerts) ? storedAlerts : [];
+  for (const a of alerts) a.company_id ??= companies.companyOf(a.bin_id) ?? companies.DEFAULT_COMPANY;
+}
+const saveRules = () => writeJson(RULES_FILE, rules);
+function saveAlerts() {
+  const resolved = alerts.filter(a => a.status === "resolved");
+  if (resolved.length > MAX_RESOLVED) {
+    const drop = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED).map(a => a.id));
+    alerts = alerts.filter(a => !drop.has(a.id));
+  }
+  writeJson(ALERTS_FILE, alerts);
+}
+
+function withRuleDefaults(r) {
+  return {
+    id: r.id,
+    name: r.name ?? r.id,
+    type: r.type,
+    enabled: r.enabled ?? true,
+    severity: r.severity ?? "warning",
+    cooldown_minutes: r.cooldown_minutes ?? 30,
+    channels: r.channels ?? notify.CHANNEL_NAMES,
+    bin_ids: r.bin_ids ?? null,
+    company_id: r.company_id ?? null,
+    params: { ...(RULE_TYPES[r.type] || {}), ...(r.params || {}) },
+  };
+}
+
+// ---- rule CRUD (validation returns a list of errors)
+function validateRule(input, { partial = false } = {}) {
+  const errors = [];
+  if (!partial && (typeof input.id !== "string" || !input.id.trim())) errors.push("id: required string");
+  if (!partial || input.type !== undefined) {
+    if (!RULE_TYPES[input.type]) errors.push(`type: one of ${Object.keys(RULE_TYPES).join(", ")}`);
+  }
+  if (input.severity !== undefined && !SEVERITIES.includes(input.severity)) errors.push(`severity: one of ${SEVERITIES.join(", ")}`);
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") errors.push("enabled: boolean");
+  if (input.cooldown_minutes !== undefined && !(Number.isFinite(input.cooldown_minutes) && input.cooldown_minutes >= 0)) errors.push("cooldown_minutes: number >= 0");
+  if (input.channels !== undefined && !(Array.isArray(input.channels) && input.channels.every(c => notify.CHANNEL_NAMES.includes(c)))) {
+    errors.push(`channels: array of ${notify.CHANNEL_NAMES.join(", ")}`);
+  }
+  if (input.bin_ids !== undefined && input.bin_ids !== null && !(Array.isArray(input.bin_ids) && input.bin_ids.every(b => typeof b === "string"))) {
+    errors.push("bin_ids: array of bin ids or null");
+  }
+  if (input.params !== undefined) {
+    const p = input.params || {};
+    for (const k of ["threshold_pct", "for_minutes", "within_hours", "after_minutes"]) {
+      if (p[k] === undefined || (k === "threshold_pct" && p[k] === null)) continue;
+      if (!(typeof p[k] === "number" && Number.isFinite(p[k]) && p[k] >= 0)) errors.push(`params.${k}: number >= 0`);
+    }
+  }
+  return errors;
+}
+
+// a company sees its own rules plus the shared ones; shared ones are only changed by a superadmin
+const visible = (rule, companyId) => !companyId || rule.company_id === null || rule.company_id === companyId;
+function findRule(id, { companyId, allowShared = false } = {}) {
+  const i = rules.findIndex(r => r.id === id && visible(r, companyId));
+  if (i === -1) return { ok: false, status: 404, errors: [`rule ${id} not found`] };
+  if (companyId && rules[i].company_id === null && !allowShared) return { ok: false, status: 403, errors: ["shared rules can only be changed by a superadmin"] };
+  return { ok: true, i };
+}
+
+const listRules = (companyId) => rules.filter(r => visible(r, companyId));
+
+function createRule(input, { companyId = null } = {}) {
+  const errors = validateRule(input || {});
+  if (errors.length) return { ok: false, status: 400, errors };
+  if (rules.some(r => r.id === input.id)) return { ok: false, status: 409, errors: [`id: ${input.id} exists`] };
+  const rule = withRuleDefaults({ ...input, company_id: companyId });
+  rules.push(rule);
+  saveRules();
+  return { ok: true, rule };
+}
+
+function updateRule(id, input, scope = {}) {
+  const found = findRule(id, scope);
+  if (!found.ok) return found;
+  const { i } = found;
+  const errors = validateRule(input || {}, { partial: true });
+  if (errors.length) return { ok: false, status: 400, errors };
+  const next = { ...rules[i], ...input, id, company_id: rules[i].company_id, params: { ...rules[i].params, ...(input.params || {}) } };
+  rules[i] = withRuleDefaults(next);
+  saveRules();
+  return { ok: true, rule: rules[i] };
+}
+
+function deleteRule(id, scope = {}) {
+  const found = findRule(id, scope);
+  if (!found.ok) return found;
+  rules.splice(found.i, 1);
+  saveRules();
+  return { ok: true };
+}
+
+// ---- alert lifecycle
+const keyOf = (rule, binId, compartment) => [rule.id, binId ?? "*", compartment ?? "*"].join(":");
+const activeByKey = (key) => alerts.find(a => a.key === key && a.status !== "resolved");
+
+function publish(event, alert, { deliver = false, channels = [] } = {}) {
+  emitter.emit("alert", event, alert);
+  if (!deliver || !channels.length) return;
+  notify.deliver(channels, event, alert).then(results => {
+    alert.notifications = [...(alert.notifications || []), ...results].slice(-20);
+    saveAlerts();
+  }).catch(err => log.error("alert delivery failed", { alert_id: alert.id, event, err }));
+}
+
+function raise(rule, { bin_id = null, compartment = null, message, details = {} }) {
+  const key = keyOf(rule, bin_id, compartment);
+  const now = new Date().toISOString();
+  const active = activeByKey(key);
+  if (active) {
+    active.last_seen_at = now;
+    active.occurrences += 1;
+    active.message = message;
+    active.details = details;
+    saveAlerts();
+    publish("alert.updated", active);
+    return active;
+  }
+
+  // cooldown after the last resolution of the same key
+  const prev = alerts.filter(a => a.key === key && a.resolved_at).at(-1);
+  if (prev && Date.now() - Date.parse(prev.resolved_at) < rule.cooldown_minutes * 60e3) return null;
+
+  const alert = {
+    id: crypto.randomUUID(),
+    key,
+    rule_id: rule.id,
+    type: rule.type,
+    severity: rule.severity,
+    bin_id,
+    company_id: bin_id ? companies.companyOf(bin_id) : rule.company_id,
+    compartment,
+    message,
+    details,
+    ...(rule.type === "manual" && { channels: rule.channels }), // no rule to look them up in on resolve
+    status: "open",
+    opened_at: now,
+    last_seen_at: now,
+    occurrences: 1,
+    history: [{ status: "open", at: now, by: "system" }],
+    notifications: [],
+  };
+  alerts.push(alert);
+  saveAlerts();
+  publish("alert.opened", alert, { deliver: true, channels: rule.channels });
+  return alert;
+}
+
+function transition(alert, status, by, note) {
+  const at = new Date().toISOString();
+  alert.status = status;
+  if (status === "acknowledged") { alert.acknowledged_at = at; alert.acknowledged_by = by; }
+  if (status === "resolved") { alert.resolved_at = at; alert.resolved_by = by; }
+  alert.history.push({ status, at, by, ...(note ? { note } : {}) });
+  saveAlerts();
+  const rule = rules.find(r => r.id === alert.rule_id);
+  publish(`alert.${status}`, alert, { deliver: status === "resolved", channels: rule ? rule.channels : alert.channels ?? [] });
+  return alert;
+}
+
+function clearKey(rule, binId, compartment, note) {
+  const active = activeByKey(keyOf(rule, binId, compartment));
+  if (active) transition(active, "resolved", "system", note);
+}
+
+function acknowledge(id, by = "operator", note) {
+  const a = alerts.find(x => x.id === id);
+  if (!a) return { ok: false, status: 404, errors: ["alert not found"] };
+  if (a.status !== "open") return { ok: false, status: 409, errors: [`alert is ${a.status}`] };
+  return { ok: true, alert: transition(a, "acknowledged", by, note) };
+}
+
+function resolve(id, by = "operator", note) {
+  const a = alerts.find(x => x.id === id);
+  if (!a) return { ok: false, status: 404, errors: ["alert not found"] };
+  if (a.status === "resolved") return { ok: false, status: 409, errors: ["alert is already resolved"] };
+  return { ok: true, alert: transition(a, "resolved", by, note) };
+}
+
+// manual alert raised by staff (POST /api/alerts), for their company
+function createManual({ bin_id = null, message, severity = "warning", channels = [] }, { companyId = companies.DEFAULT_COMPANY } = {}) {
+  const errors = [];
+  if (typeof message !== "string" || !message.trim()) errors.push("message: required string");
+  if (!SEVERITIES.includes(severity)) errors.push(`severity: one of ${SEVERITIES.join(", ")}`);
+  if (!Array.isArray(channels) || !channels.every(c => notify.CHANNEL_NAMES.includes(c))) errors.push(`channels: array of ${notify.CHANNEL_NAMES.join(", ")}`);
+  if (errors.length) return { ok: false, status: 400, errors };
+  const rule = { id: `manual-${crypto.randomUUID().slice(0, 8)}`, type: "manual", severity, channels, cooldown_minutes: 0, company_id: companyId };
+  return { ok: true, alert: raise(rule, { bin_id, message: message.trim() }) };
+}
+
+function list({ status, binId, companyId, fromMs = null, toMs = null } = {}) {
+  return alerts.filter(a => {
+    if (companyId && a.company_id !== companyId) return false;
+    if (status && a.status !== status) return false;
+    if (binId && a.bin_id !== binId) return false;
+    const t = Date.parse(a.opened_at);
+    if (fromMs != null && t < fromMs) return false;
+    if (toMs != null && t > toMs) return false;
+    return true;
+  }).slice().reverse();
+}
+const get = (id) => alerts.find(a => a.id === id) || null;
+
+// ---- evaluation
+const applies = (rule, binId) => rule.enabled
+  && (rule.company_id === null || rule.company_id === companies.companyOf(binId))
+  && (!rule.bin_ids || rule.bin_ids.includes(binId));
+
+function checkFill(rule, binId, compartment, pct, nowMs) {
+  const threshold = rule.params.threshold_pct ?? registry.thresholds(binId).full_pct;
+  const key = keyOf(rule, binId, compartment);
+  if (pct == null || pct < threshold) {
+    pending.delete(key);
+    clearKey(rule, binId, compartment, `fill back to ${pct}%`);
+    return;
+  }
+  if (!pending.has(key)) pending.set(key, nowMs);
+  const since = pending.get(key);
+  if (nowMs - since >= rule.params.for_minutes * 60e3) {
+    raise(rule, {
+      bin_id: binId,
+      compartment,
+      message: `${binId} ${compartment} is ${pct}% full (≥ ${threshold}% for ${rule.params.for_minutes} min)`,
+      details: { percent_full: pct, threshold_pct: threshold, since: new Date(since).toISOString() },
+    });
+  }
+}
+
+function checkForecast(rule, binId) {
+  const [item] = pickups.pickupItems({ binIds: [binId], horizonHours: null });
+  const eta = item?.eta100_iso;
+  const hoursLeft = eta ? (Date.parse(eta) - Date.now()) / 3600e3 : null;
+  if (hoursLeft != null && hoursLeft <= rule.params.within_hours) {
+    raise(rule, {
+      bin_id: binId,
+      compartment: item.limiting_compartment,
+      message: `${binId} forecast full by ${eta} (${Math.max(0, hoursLeft).toFixed(1)}h)`,
+      details: { eta100_iso: eta, eta100_range: item.eta100_range, hours_left: hoursLeft },
+    });
+  } else {
+    for (const c of [null, "recycle", "general"]) clearKey(rule, binId, c, "forecast moved out of window");
+  }
+}
+
+// called for every entry that goes through storeAndBroadcast
+function evaluate(entry) {
+  const binId = entry.bin_id;
+  if (!binId) return;
+  const nowMs = Date.now();
+  lastSeen.set(binId, nowMs);
+
+  for (const rule of rules) {
+    if (!applies(rule, binId)) continue;
+
+    if (rule.type === "no_reading") clearKey(rule, binId, null, "reading received");
+
+    if (rule.type === "fill_pct" && entry.kind === "sensors" && entry.fill) {
+      // full by volume or by weight, whichever is further along; readings flagged as a sensor fault don't count
+      for (const [c, f] of Object.entries(entry.fill)) {
+        if (f.anomaly) continue;
+        const pct = f.load_pct ?? f.percent_full;
+        lastFill.set(`${binId}/${c}`, { pct, t: nowMs });
+        checkFill(rule, binId, c, pct, nowMs);
+      }
+    }
+
+    if (rule.type === "contamination" && entry.kind === "classification") {
+      if (entry.recyclable === "contaminated" && !Number(entry.override)) {
+        raise(rule, {
+          bin_id: binId,
+          message: `Contaminated item in ${binId}: ${entry.label ?? "unknown"}`,
+          details: { entry_id: entry.id, label: entry.label, confidence: entry.confidence, timestamp: entry.timestamp },
+        });
+      } else if (Number(entry.override)) {
+        clearKey(rule, binId, null, `overridden (${entry.id})`);
+      }
+    }
+
+    if (rule.type === "forecast_eta" && entry.kind === "sensors") {
+      if (nowMs - (lastForecast.get(binId) || 0) >= FORECAST_CHECK_MS) {
+        lastForecast.set(binId, nowMs);
+        checkForecast(rule, binId);
+      }
+    }
+  }
+}
+
+// time-based conditions: fill held above threshold, silent devices
+function tick() {
+  const nowMs = Date.now();
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    if (rule.type === "fill_pct") {
+      for (const [k, v] of lastFill) {
+        const [binId, c] = k.split("/");
+        if (applies(rule, binId)) checkFill(rule, binId, c, v.pct, nowMs);
+      }
+    }
+    if (rule.type === "no_reading") {
+      for (const binId of datasource.listBinIds()) {
+        if (!applies(rule, binId) || datasource.sourceOf(binId) !== "live") continue;
+        let seen = lastSeen.get(binId);
+        if (seen == null) {
+          const latest = datasource.getLatest(binId);
+          if (!latest) continue; // never reported; nothing to compare against
+          seen = Date.parse(latest.timestamp);
+          lastSeen.set(binId, seen);
+        }
+        const silentMin = (nowMs - seen) / 60e3;
+        if (silentMin >= rule.params.after_minutes) {
+          raise(rule, {
+            bin_id: binId,
+            message: `No reading from ${binId} for ${Math.round(silentMin)} min`,
+            details: { last_seen: new Date(seen).toISOString(), after_minutes: rule.params.after_minutes },
+          });
+        }
+      }
+    }
+  }
+}
+
+function start() {
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+}
+
+load();
+
+module.exports = {
+  STATUSES, SEVERITIES, RULE_TYPES, emitter,
+  listRules, createRule, updateRule, deleteRule,
+  list, get, acknowledge, resolve, createManual,
+  evaluate, tick, start,
+};
@@ -0,0 +1,89 @@
+// lib/analytics.js — recycling / contamination figures from stored classifications.
+// Definitions (per group and overall):
+//   items              classification entries (kind "classification")
+//   diversion_rate     recyclable / items with a verdict (recyclable, non-recyclable, contaminated)
+//   contamination_rate contaminated / items with a verdict
+//   override_rate      staff overrides (kind "override") / items
+//   avg_confidence, avg_time_ms over items that report them
+const store = require("./store");
+const registry = require("./registry");
+
+const GROUPS = ["day", "week", "bin", "postal"];
+const VERDICTS = ["recyclable", "non-recyclable", "contaminated"];
+const MAX_EVENTS = 200000;
+const DAY_MS = 24 * 3600 * 1000;
+
+const dayKey = (t) => new Date(t).toISOString().slice(0, 10);
+// ISO week, labelled by its Monday (UTC)
+function weekKey(t) {
+  const d = new Date(Math.floor(t / DAY_MS) * DAY_MS);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+const KEY_OF = {
+  day: (e) => dayKey(e.t),
+  week: (e) => weekKey(e.t),
+  bin: (e) => e.bin_id || "unknown",
+  postal: (e) => (e.bin_id && registry.postalOf(e.bin_id)) || "unknown",
+};
+
+function emptyAcc() {
+  return { items: 0, overrides: 0, verdicts: Object.fromEntries(VERDICTS.map(v => [v, 0])), unknown_verdict: 0, labels: {}, conf_sum: 0, conf_n: 0, time_sum: 0, time_n: 0 };
+}
+
+function add(acc, e) {
+  const d = e.data || {};
+  if (e.kind === "override") { acc.overrides += 1; return; }
+  acc.items += 1;
+  if (VERDICTS.includes(d.recyclable)) acc.verdicts[d.recyclable] += 1;
+  else acc.unknown_verdict += 1;
+  const label = d.label || "unknown";
+  acc.labels[label] = (acc.labels[label] || 0) + 1;
+  if (Number.isFinite(d.confidence)) { acc.conf_sum += d.confidence; acc.conf_n += 1; }
+  if (Number.isFinite(d.time_ms)) { acc.time_sum += d.time_ms; acc.time_n += 1; }
+}
+
+const rate = (n, d) => (d ? Math.round((n / d) * 10000) / 10000 : null);
+
+function finish(acc) {
+  const judged = VERDICTS.reduce((n, v) => n + acc.verdicts[v], 0);
+  return {
+    items: acc.items,
+    judged_items: judged,
+    recyclable: acc.verdicts.recyclable,
+    non_recyclable: acc.verdicts["non-recyclable"],
+    contaminated: acc.verdicts.contaminated,
+    unknown_verdict: acc.unknown_verdict,
+    overrides: acc.overrides,
+    diversion_rate: rate(acc.verdicts.recyclable, judged),
+    contamination_rate: rate(acc.verdicts.contaminated, judged),
+    override_rate: rate(acc.overrides, acc.items),
+    avg_confidence: acc.conf_n ? Math.round((acc.conf_sum / acc.conf_n) * 1000) / 1000 : null,
+    avg_time_ms: acc.time_n ? Math.round(acc.time_sum / acc.time_n) : null,
+    labels: Object.fromEntries(Object.entries(acc.labels).sort((a, b) => b[1] - a[1])),
+  };
+}
+
+// { fromMs, toMs, binIds, group } -> { summary, groups: [{ key, postal_code?, ...figures }], truncated }
+// binIds: the bins to report on (no bins, no rows)
+function recyclingReport({ fromMs, toMs, binIds, group = "day" }) {
+  const rows = binIds.length ? store.events({ kinds: ["classification", "override"], binIds, fromMs, toMs, order: "asc", limit: MAX_EVENTS + 1 }) : [];
+  const truncated = rows.length > MAX_EVENTS;
+  const total = emptyAcc();
+  const groups = new Map();
+  for (const e of rows.slice(0, MAX_EVENTS)) {
+    add(total, e);
+    const k = KEY_OF[group](e);
+    if (!groups.has(k)) groups.set(k, emptyAcc());
+    add(groups.get(k), e);
+  }
+  return {
+    summary: finish(total),
+    groups: [...groups.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([key, acc]) => ({ key, ...(group === "bin" ? { postal_code: registry.postalOf(key) ?? null } : {}), ...finish(acc) })),
+    truncated,
+  };
+}
+
+module.exports = { GROUPS, VERDICTS, recyclingReport, dayKey, weekKey };
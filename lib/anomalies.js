@@ -0,0 +1,342 @@
+// lib/anomalies.js — sensor faults found in the per-bin series (lib/binlog), so a failing sensor
+// isn't read as a full bin. Per compartment, a reading is flagged as:
+//   out_of_range     distance below 0 or beyond the compartment's empty distance (+ tolerance)
+//   blocked          a jump to near 0 cm (open lid, bag flap over the sensor) that hasn't cleared
+//   spike            one reading SPIKE_PCT away from both neighbours, which agree with each other
+//   stuck            the exact same distance for STUCK_HOURS or more
+//   weight_mismatch  near full by volume while the load cell reads next to nothing
+//   mirrored         recycle and general reporting identical, changing distances (crossed wiring)
+// Flagged readings are left out of getHistory/getLatest (lib/datasource), so forecasts, pickups
+// and the fill shown never use them.
+// The scan is incremental: each bin keeps its flags, episodes and the runs still open at the end of
+// the series, and a new reading only re-examines that tail (the reading before it for spikes, the
+// current near-0 / same-distance / mirrored run). Readings that fall out of the 30 days keep nothing
+// behind; the ones left keep the flags they got. A reading slotted in behind ones already scanned
+// (backfill) winds the bin back to just before it and scans on from there; a new calibration starts
+// the bin over.
+const { binSeries, seriesEdits } = require("./binlog");
+const registry = require("./registry");
+const { COMPARTMENTS, percentFull, weightPct } = require("./fill");
+
+const SPIKE_PCT = Number(process.env.ANOMALY_SPIKE_PCT) || 50;
+const STUCK_HOURS = Number(process.env.ANOMALY_STUCK_HOURS) || 48;
+const STUCK_MIN_READINGS = 10;
+const RANGE_TOLERANCE_CM = Number(process.env.ANOMALY_RANGE_TOLERANCE_CM) || 5;
+const NEAR_ZERO_CM = Number(process.env.ANOMALY_NEAR_ZERO_CM) || 3;
+const MISMATCH_MIN_PCT = 80; // volume at least this full...
+const MISMATCH_MAX_WEIGHT_PCT = 2; // ...while weighing at most this share of max_weight_kg
+const MIRROR_MIN_READINGS = 6;
+const MIRROR_MIN_RANGE_CM = 5; // identical but flat (both empty) is not suspicious
+const HEALTH_WINDOW_MS = 24 * 3600 * 1000;
+const EPISODE_SAMPLE = 10; // distances kept per episode; a sample is enough to see what the sensor said
+const KINDS = ["out_of_range", "blocked", "spike", "stuck", "weight_mismatch", "mirrored"];
+const NO_EDITS = { trimmed: 0 };
+
+// binId -> { arr, calibKey, seen, trimmed, marks, comps: { [c]: compartment state }, mirror, episodes }
+// seen: readings of arr scanned; trimmed: binlog's seriesEdits count at the last scan;
+// marks: scanned reading of arr -> the mirrored run as it stood after it (see mirrorMark)
+const state = new Map();
+
+// One compartment's readings [{ t, d, w, pct, zero, run, runFlagged }] by absolute index (pts[i - base];
+// base counts the readings trimmed off the front). Episodes are built up to `done`; flags changed below it since
+// (from `changed` on) rebuild them from there.
+const compartmentState = (c) => ({
+  c, pts: [], base: 0, flags: new Map(), closed: [], open: new Map(), done: 0, changed: Infinity,
+  zero: null, // { from, jump } near-0 run the series currently ends in
+  run: null,  // { from, t, d, flagged } same-distance run the series currently ends in
+});
+const at = (cs, i) => cs.pts[i - cs.base];
+const end = (cs) => cs.base + cs.pts.length;
+
+function flag(cs, i, kind) {
+  const p = at(cs, i);
+  if (!p) return; // already trimmed
+  const kinds = cs.flags.get(p.t) || [];
+  if (!kinds.includes(kind)) kinds.push(kind);
+  cs.flags.set(p.t, kinds);
+  cs.changed = Math.min(cs.changed, i);
+}
+
+const flagged = (cs, i, kind) => !!at(cs, i) && (cs.flags.get(at(cs, i).t) || []).includes(kind);
+
+function unflag(cs, i, kind) {
+  const p = at(cs, i);
+  const kinds = p && cs.flags.get(p.t);
+  if (!kinds?.includes(kind)) return;
+  kinds.splice(kinds.indexOf(kind), 1);
+  if (!kinds.length) cs.flags.delete(p.t);
+  cs.changed = Math.min(cs.changed, i);
+}
+
+// adds one reading to a compartment and flags what it makes visible; -> its index.
+// The reading keeps the open runs as they stand after it, for rewind().
+function observe(cs, calib, { t, distance_cm: d, weight: w }) {
+  const i = end(cs);
+  const cur = { t, d, w, pct: percentFull(d, calib) };
+  const prev = at(cs, i - 1);
+  cs.pts.push(cur);
+
+  if (d < 0 || d > calib.empty_distance_cm + RANGE_TOLERANCE_CM) flag(cs, i, "out_of_range");
+
+  if (calib.max_weight_kg > 0) {
+    const wPct = weightPct(w, calib);
+    if (wPct != null && cur.pct >= MISMATCH_MIN_PCT && wPct <= MISMATCH_MAX_WEIGHT_PCT) flag(cs, i, "weight_mismatch");
+  }
+
+  // spike: the previous reading, now that both its neighbours are in
+  const before = at(cs, i - 2);
+  if (before) {
+    const [a, b, c] = [before.pct, prev.pct, cur.pct];
+    if (Math.abs(b - a) >= SPIKE_PCT && Math.abs(b - c) >= SPIKE_PCT && Math.sign(b - a) === Math.sign(b - c)
+      && Math.abs(a - c) < SPIKE_PCT / 2) flag(cs, i - 1, "spike");
+  }
+
+  // blocked: a sudden jump to near 0 cm, for as long as it lasts; a lone one that clears is a spike
+  if (d <= NEAR_ZERO_CM) {
+    cs.zero ??= { from: i, jump: !!prev && cur.pct - prev.pct >= SPIKE_PCT };
+    if (cs.zero.jump) flag(cs, i, "blocked");
+  } else if (cs.zero) {
+    if (cs.zero.jump && i - cs.zero.from === 1) unflag(cs, i - 1, "blocked");
+    cs.zero = null;
+  }
+
+  // stuck: runs of the exact same distance
+  if (!cs.run || cs.run.d !== d) {
+    cs.run = { from: i, t, d, flagged: false };
+  } else if (cs.run.flagged) {
+    flag(cs, i, "stuck");
+  } else if (i - cs.run.from + 1 >= STUCK_MIN_READINGS && t - cs.run.t >= STUCK_HOURS * 3600e3) {
+    for (let k = Math.max(cs.run.from, cs.base); k <= i; k++) flag(cs, k, "stuck");
+    cs.run.flagged = true;
+  }
+  Object.assign(cur, { zero: cs.zero, run: cs.run, runFlagged: cs.run.flagged });
+  return i;
+}
+
+// readings carrying both compartments with the same (moving) distance; idx = { [c]: index }
+function observeMirrored(s, p, idx) {
+  const d = p.recycle.distance_cm;
+  if (d !== p.general.distance_cm) {
+    s.mirror = null;
+    return;
+  }
+  const m = (s.mirror ??= { members: [], min: d, max: d, flagged: false });
+  m.members.push(idx);
+  m.min = Math.min(m.min, d);
+  m.max = Math.max(m.max, d);
+  if (!m.flagged && (m.members.length < MIRROR_MIN_READINGS || m.max - m.min < MIRROR_MIN_RANGE_CM)) return;
+  for (const member of m.members) for (const c of COMPARTMENTS) flag(s.comps[c], member[c], "mirrored");
+  m.members = []; // flagged; later readings of the run are flagged as they come
+  m.flagged = true;
+}
+
+// the mirrored run as it stands; members is shared, but only ever grows or is replaced, so its first n hold
+const mirrorMark = (m) => m && { members: m.members, n: m.members.length, min: m.min, max: m.max, flagged: m.flagged };
+
+// drop what fell off the front of the series: readings before firstT, their flags and episode readings
+function trim(cs, firstT) {
+  let n = 0;
+  while (n < cs.pts.length && cs.pts[n].t < firstT) cs.flags.delete(cs.pts[n++].t);
+  if (!n) return;
+  cs.pts.splice(0, n);
+  cs.base += n;
+  cs.closed = cs.closed.filter(ep => ep.toAbs >= cs.base);
+  for (const [kind, ep] of cs.open) if (ep.toAbs < cs.base) cs.open.delete(kind);
+  for (const ep of [...cs.closed, ...cs.open.values()]) {
+    if (ep.fromAbs >= cs.base) continue;
+    ep.fromAbs = cs.base;
+    ep.from = cs.pts[0].t;
+    ep.readings = ep.toAbs - cs.base + 1;
+    ep.distances = cs.pts.slice(0, Math.min(ep.readings, EPISODE_SAMPLE)).map(p => p.d);
+  }
+}
+
+// consecutive flagged readings of one kind make an episode. Episodes touching `from` or later (or
+// closed by the reading at `from`) are cut back to the reading before it, then rebuilt to the end.
+function rebuildEpisodes(cs, from) {
+  if (from < cs.done) {
+    const back = [...cs.open.values()];
+    while (cs.closed.length && cs.closed.at(-1).toAbs >= from - 1) back.push(cs.closed.pop());
+    cs.open = new Map();
+    for (const ep of back) {
+      if (ep.fromAbs >= from) continue;
+      ep.toAbs = from - 1;
+      ep.to = at(cs, from - 1).t;
+      ep.readings = from - ep.fromAbs;
+      ep.distances = ep.distances.slice(0, ep.readings);
+      cs.open.set(ep.kind, ep);
+    }
+    cs.done = from;
+  }
+  for (let i = cs.done; i < end(cs); i++) {
+    const p = at(cs, i);
+    const kinds = cs.flags.get(p.t) || [];
+    for (const [kind, ep] of cs.open) {
+      if (!kinds.includes(kind)) { cs.closed.push(ep); cs.open.delete(kind); }
+    }
+    for (const kind of kinds) {
+      const ep = cs.open.get(kind);
+      if (!ep) {
+        cs.open.set(kind, { kind, compartment: cs.c, from: p.t, to: p.t, fromAbs: i, toAbs: i, readings: 1, distances: [p.d] });
+        continue;
+      }
+      ep.to = p.t;
+      ep.toAbs = i;
+      ep.readings += 1;
+      if (ep.distances.length < EPISODE_SAMPLE) ep.distances.push(p.d);
+    }
+  }
+  cs.done = end(cs);
+  cs.changed = Infinity;
+}
+
+// Back to how the bin stood after arr[from - 1], so the readings from `from` on can be scanned again
+// in order. later: { [c]: readings from `from` on already scanned into compartment c }. Their flags
+// go, and so do the flags they put on earlier readings: a spike on the one before, a lone near-0
+// cleared, and the stuck or mirrored runs still open then that they pushed over the threshold.
+function rewind(s, arr, from, later) {
+  for (const c of COMPARTMENTS) {
+    const cs = s.comps[c];
+    const k = Math.max(end(cs) - later[c], cs.base);
+    for (let i = k; i < end(cs); i++) cs.flags.delete(at(cs, i).t);
+    cs.pts.length = k - cs.base;
+    cs.changed = Math.min(cs.changed, k);
+    const last = at(cs, k - 1);
+    unflag(cs, k - 1, "spike");
+    cs.zero = last?.zero ?? null;
+    if (cs.zero?.jump) flag(cs, k - 1, "blocked");
+    cs.run = last ? { ...last.run, flagged: last.runFlagged } : null;
+    // a run is flagged whole, so its last reading tells whether a later one flagged it
+    if (cs.run && !cs.run.flagged && flagged(cs, k - 1, "stuck")) {
+      for (let i = Math.max(cs.run.from, cs.base); i < k; i++) unflag(cs, i, "stuck");
+    }
+  }
+  const m = from > 0 ? s.marks.get(arr[from - 1]) : null;
+  s.mirror = m && { members: m.members.slice(0, m.n), min: m.min, max: m.max, flagged: m.flagged };
+  const lastMember = s.mirror?.members.at(-1);
+  if (lastMember && !s.mirror.flagged && flagged(s.comps.recycle, lastMember.recycle, "mirrored")) {
+    for (const member of s.mirror.members) for (const c of COMPARTMENTS) unflag(s.comps[c], member[c], "mirrored");
+  }
+}
+
+const freshState = (arr, calibKey, trimmed) => ({
+  arr, calibKey, seen: 0, trimmed, marks: new WeakMap(),
+  comps: Object.fromEntries(COMPARTMENTS.map(c => [c, compartmentState(c)])), mirror: null, episodes: null,
+});
+
+function scan(binId) {
+  const arr = binSeries.get(binId) || [];
+  const edits = seriesEdits.get(binId) || NO_EDITS;
+  const reg = registry.resolve(binId);
+  const calibKey = JSON.stringify(reg.compartments);
+  let s = state.get(binId);
+  if (!s || s.arr !== arr || s.calibKey !== calibKey || edits.trimmed - s.trimmed > s.seen) {
+    s = freshState(arr, calibKey, edits.trimmed);
+    state.set(binId, s);
+  }
+  const trimmed = edits.trimmed - s.trimmed;
+  // readings not scanned yet: new ones at the end, and any slotted in behind scanned ones
+  let unscanned = arr.length - (s.seen - trimmed);
+  if (!trimmed && !unscanned) return s;
+
+  if (trimmed) {
+    for (const c of COMPARTMENTS) trim(s.comps[c], arr[0]?.t ?? Infinity);
+    if (s.mirror) s.mirror.members = s.mirror.members.filter(m => COMPARTMENTS.every(c => m[c] >= s.comps[c].base));
+  }
+
+  // scan on from the earliest of them; scanned readings after it are wound back and scanned again
+  let from = arr.length;
+  const later = Object.fromEntries(COMPARTMENTS.map(c => [c, 0]));
+  for (let i = arr.length - 1; i >= 0 && unscanned > 0; i--) {
+    if (!s.marks.has(arr[i])) { unscanned--; from = i; continue; }
+    for (const c of COMPARTMENTS) if (arr[i][c]) later[c]++;
+  }
+  if (unscanned > 0) { // readings trimmed before they were scanned threw the count off; start over
+    s = freshState(arr, calibKey, edits.trimmed);
+    state.set(binId, s);
+    from = 0;
+  } else if (COMPARTMENTS.some(c => later[c])) {
+    rewind(s, arr, from, later);
+  }
+
+  let mark = mirrorMark(s.mirror);
+  for (let i = from; i < arr.length; i++) {
+    const p = arr[i];
+    const idx = {};
+    for (const c of COMPARTMENTS) if (p[c]) idx[c] = observe(s.comps[c], reg.compartments[c], { t: p.t, ...p[c] });
+    if (p.recycle && p.general) {
+      observeMirrored(s, p, idx);
+      mark = mirrorMark(s.mirror);
+    }
+    s.marks.set(p, mark);
+  }
+  for (const c of COMPARTMENTS) rebuildEpisodes(s.comps[c], Math.min(s.comps[c].changed, s.comps[c].done));
+  s.seen = arr.length;
+  s.trimmed = edits.trimmed;
+  s.episodes = null;
+  return s;
+}
+
+// all episodes of a bin, oldest first
+function episodesOf(s) {
+  s.episodes ??= COMPARTMENTS.flatMap(c => {
+    const cs = s.comps[c];
+    return [...cs.closed, ...[...cs.open.values()].map(ep => ({ ...ep, ongoing: true }))];
+  }).sort((a, b) => a.from - b.from);
+  return s.episodes;
+}
+
+// kinds flagged on one compartment reading ([] when it looks fine)
+const kindsAt = (binId, compartment, t) => scan(binId).comps[compartment]?.flags.get(t) || [];
+const isFlagged = (binId, compartment, t) => kindsAt(binId, compartment, t).length > 0;
+
+const iso = (t) => new Date(t).toISOString();
+const episodeOut = (ep) => ({
+  kind: ep.kind,
+  compartment: ep.compartment,
+  from: iso(ep.from),
+  to: iso(ep.to),
+  readings: ep.readings,
+  distances_cm: ep.distances,
+  ongoing: !!ep.ongoing,
+});
+
+// Episodes, newest first; { fromMs, toMs, kind, compartment } narrow them down
+function list(binId, { fromMs = null, toMs = null, kind = null, compartment = null } = {}) {
+  return episodesOf(scan(binId))
+    .filter(ep => (fromMs == null || ep.to >= fromMs) && (toMs == null || ep.from <= toMs))
+    .filter(ep => (!kind || ep.kind === kind) && (!compartment || ep.compartment === compartment))
+    .reverse()
+    .map(episodeOut);
+}
+
+// -> { status: ok | degraded | faulty | unknown, issues, compartments: { [c]: { status, issues, last_anomaly_at } } }
+// faulty: the latest reading is flagged; degraded: something was flagged in the last 24 h.
+const RANK = { unknown: 0, ok: 1, degraded: 2, faulty: 3 };
+
+function sensorHealth(binId) {
+  const s = scan(binId);
+  const episodes = episodesOf(s);
+  const sinceMs = Date.now() - HEALTH_WINDOW_MS;
+  const compartments = {};
+  for (const c of COMPARTMENTS) {
+    const own = episodes.filter(ep => ep.compartment === c);
+    const active = own.filter(ep => ep.ongoing);
+    const status = !s.comps[c].pts.length ? "unknown"
+      : active.length ? "faulty"
+        : own.some(ep => ep.to >= sinceMs) ? "degraded" : "ok";
+    compartments[c] = {
+      status,
+      issues: [...new Set(active.map(ep => ep.kind))],
+      last_anomaly_at: own.length ? iso(own.reduce((max, ep) => Math.max(max, ep.to), -Infinity)) : null,
+    };
+  }
+  const worst = COMPARTMENTS.map(c => compartments[c].status).sort((a, b) => RANK[b] - RANK[a])[0];
+  return {
+    status: worst,
+    issues: [...new Set(COMPARTMENTS.flatMap(c => compartments[c].issues))],
+    compartments,
+  };
+}
+
+module.exports = { KINDS, kindsAt, isFlagged, list, sensorHealth };
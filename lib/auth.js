@@ -0,0 +1,376 @@
+// lib/auth.js — operator accounts, roles and device API keys.
+// Users log in for a signed JWT (Bearer header or the sb_token cookie); roles are ranked
+// viewer < operator < admin (company admin) < superadmin (manages companies). Pis authenticate
+// with a per-device key (X-Device-Key header, Bearer sbk_..., Socket.IO handshake auth { key } or
+// the MQTT password), stored hashed. Every user belongs to one company and a key to the company of
+// its bin; req.scope limits a request to that company's bins.
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const log = require("./log");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+const companies = require("./companies");
+
+const USERS_FILE = path.join(DATA_DIR, "users.json");
+const KEYS_FILE = path.join(DATA_DIR, "device_keys.json");
+const SECRET_FILE = path.join(DATA_DIR, "auth_secret");
+const ADMIN_PASSWORD_FILE = path.join(DATA_DIR, "admin_password.txt"); // generated first-start password, mode 0600
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || "12h";
+const COOKIE = "sb_token";
+const KEY_PREFIX = "sbk_";
+const MAX_FAILURES = 10;             // failed logins per username+ip ...
+const FAILURE_WINDOW_MS = 15 * 60e3; // ... within this window before 429
+const MAX_FAILURE_KEYS = 10000;      // username+ip pairs remembered; the oldest go first
+
+const ROLES = ["viewer", "operator", "admin", "superadmin"];
+const rank = (role) => ROLES.indexOf(role);
+
+// signing secret: env, else generated once and kept next to the data so tokens survive restarts
+function loadSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  try {
+    return fs.readFileSync(SECRET_FILE, "utf8").trim();
+  } catch {
+    const s = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(SECRET_FILE, s, { mode: 0o600 });
+    return s;
+  }
+}
+const SECRET = loadSecret();
+
+let users = readJson(USERS_FILE, []);
+let keys = readJson(KEYS_FILE, []);
+const saveUsers = () => writeJson(USERS_FILE, users);
+const saveKeys = () => writeJson(KEYS_FILE, keys);
+
+// accounts from before companies: everyone joins the default company and the first admin
+// becomes the superadmin
+function migrateUsers() {
+  if (!users.length || users.every(u => u.company_id)) return;
+  for (const u of users) u.company_id ??= companies.DEFAULT_COMPANY;
+  const first = users.find(u => u.role === "admin" && !u.disabled);
+  if (first && !users.some(u => u.role === "superadmin")) {
+    first.role = "superadmin";
+    log.info("promoted admin to superadmin", { username: first.username });
+  }
+  saveUsers();
+}
+migrateUsers();
+
+// ---- passwords (scrypt, "scrypt$salt$hash")
+function hashPassword(pw) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return `scrypt$${salt}$${crypto.scryptSync(pw, salt, 64).toString("hex")}`;
+}
+function checkPassword(pw, stored) {
+  const [, salt, hash] = String(stored || "").split("$");
+  if (!salt || !hash) return false;
+  const got = crypto.scryptSync(String(pw), salt, 64);
+  const want = Buffer.from(hash, "hex");
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+// first start: create the superadmin (in the default company) from ADMIN_USERNAME / ADMIN_PASSWORD
+// (or a generated password, written to ADMIN_PASSWORD_FILE only; logs are shipped and kept)
+function bootstrap() {
+  if (users.length) return;
+  const username = process.env.ADMIN_USERNAME || "admin";
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+  users.push({ id: crypto.randomUUID(), username, role: "superadmin", company_id: companies.DEFAULT_COMPANY, password_hash: hashPassword(password), disabled: false, created_at: tsISO() });
+  saveUsers();
+  if (!process.env.ADMIN_PASSWORD) {
+    fs.writeFileSync(ADMIN_PASSWORD_FILE, password + "\n", { mode: 0o600 });
+    log.warn("created admin user with a generated password; read it from the file, change it on /company, then delete the file", { username, file: ADMIN_PASSWORD_FILE });
+  }
+}
+bootstrap();
+
+const publicUser = ({ password_hash, ...u }) => u;
+
+// ---- user management
+function validateUser(input, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || input.username !== undefined) {
+    if (typeof input.username !== "string" || !/^[\w.@-]{2,64}$/.test(input.username)) errors.push("username: 2-64 chars of letters, digits, . _ @ -");
+  }
+  if (!partial || input.password !== undefined) {
+    if (typeof input.password !== "string" || input.password.length < 8) errors.push("password: at least 8 characters");
+  }
+  if (!partial || input.role !== undefined) {
+    if (!ROLES.includes(input.role)) errors.push(`role: one of ${ROLES.join(", ")}`);
+  }
+  if (input.disabled !== undefined && typeof input.disabled !== "boolean") errors.push("disabled: boolean");
+  return errors;
+}
+
+// admins of one company (a superadmin counts as its company's admin)
+const isAdmin = (u) => rank(u.role) >= rank("admin");
+const activeAdmins = (companyId) => users.filter(u => u.company_id === companyId && isAdmin(u) && !u.disabled);
+
+// companyId: only that company's users (usernames stay unique across companies)
+function listUsers(companyId) {
+  return users.filter(u => !companyId || u.company_id === companyId).map(publicUser);
+}
+
+// { companyId, allowSuperadmin } come from the acting admin: users are created in and looked up
+// within that company, and only a superadmin may grant or touch the superadmin role
+const denySuperadmin = (role, allowSuperadmin) => role === "superadmin" && !allowSuperadmin
+  ? { ok: false, status: 403, errors: ["only a superadmin can manage superadmin accounts"] }
+  : null;
+
+function createUser(input = {}, { companyId = companies.DEFAULT_COMPANY, allowSuperadmin = false } = {}) {
+  const errors = validateUser(input);
+  if (errors.length) return { ok: false, status: 400, errors };
+  const denied = denySuperadmin(input.role, allowSuperadmin);
+  if (denied) return denied;
+  if (users.some(u => u.username.toLowerCase() === input.username.toLowerCase())) {
+    return { ok: false, status: 409, errors: [`username: ${input.username} exists`] };
+  }
+  const user = { id: crypto.randomUUID(), username: input.username, role: input.role, company_id: companyId, password_hash: hashPassword(input.password), disabled: false, created_at: tsISO() };
+  users.push(user);
+  saveUsers();
+  return { ok: true, user: publicUser(user) };
+}
+
+function updateUser(id, input = {}, { companyId, allowSuperadmin = false } = {}) {
+  const u = users.find(x => x.id === id && (!companyId || x.company_id === companyId));
+  if (!u) return { ok: false, status: 404, errors: ["user not found"] };
+  const errors = validateUser(input, { partial: true });
+  if (errors.length) return { ok: false, status: 400, errors };
+  const denied = denySuperadmin(u.role, allowSuperadmin) || denySuperadmin(input.role, allowSuperadmin);
+  if (denied) return denied;
+  if (input.username !== undefined && users.some(x => x.id !== id && x.username.toLowerCase() === input.username.toLowerCase())) {
+    return { ok: false, status: 409, errors: [`username: ${input.username} exists`] };
+  }
+  const demoting = isAdmin(u) && ((input.role && rank(input.role) < rank("admin")) || input.disabled === true);
+  if (demoting && activeAdmins(u.company_id).length === 1) return { ok: false, status: 409, errors: ["cannot remove the company's last admin"] };
+
+  if (input.username !== undefined) u.username = input.username;
+  if (input.role !== undefined) u.role = input.role;
+  if (input.disabled !== undefined) u.disabled = input.disabled;
+  if (input.password !== undefined) u.password_hash = hashPassword(input.password);
+  u.updated_at = tsISO();
+  saveUsers();
+  return { ok: true, user: publicUser(u) };
+}
+
+function deleteUser(id, { companyId, allowSuperadmin = false } = {}) {
+  const u = users.find(x => x.id === id && (!companyId || x.company_id === companyId));
+  if (!u) return { ok: false, status: 404, errors: ["user not found"] };
+  const denied = denySuperadmin(u.role, allowSuperadmin);
+  if (denied) return denied;
+  if (isAdmin(u) && !u.disabled && activeAdmins(u.company_id).length === 1) return { ok: false, status: 409, errors: ["cannot remove the company's last admin"] };
+  users = users.filter(x => x.id !== id);
+  saveUsers();
+  return { ok: true };
+}
+
+// a deleted company's accounts; returns how many went
+function deleteUsersOf(companyId) {
+  const before = users.length;
+  users = users.filter(u => u.company_id !== companyId);
+  if (users.length !== before) saveUsers();
+  return before - users.length;
+}
+
+// ---- login / tokens
+const failures = new Map(); // "username|ip" -> [ms, ...], in order of the latest failure
+
+function noteFailure(k, recent) {
+  failures.delete(k);
+  failures.set(k, [...recent, Date.now()]);
+  // oldest first: drop pairs whose last failure left the window, and any beyond the cap
+  for (const [key, times] of failures) {
+    if (failures.size <= MAX_FAILURE_KEYS && Date.now() - times.at(-1) < FAILURE_WINDOW_MS) break;
+    failures.delete(key);
+  }
+}
+
+function login(username, password, ip) {
+  const k = `${String(username).toLowerCase()}|${ip}`;
+  const recent = (failures.get(k) || []).filter(t => Date.now() - t < FAILURE_WINDOW_MS);
+  if (recent.length >= MAX_FAILURES) return { ok: false, status: 429, errors: ["too many failed logins, try again later"] };
+
+  const u = users.find(x => x.username.toLowerCase() === String(username || "").toLowerCase());
+  if (!u || u.disabled || !checkPassword(password, u.password_hash)) {
+    noteFailure(k, recent);
+    return { ok: false, status: 401, errors: ["invalid username or password"] };
+  }
+  failures.delete(k);
+  const token = jwt.sign({ sub: u.id, username: u.username, role: u.role }, SECRET, { expiresIn: TOKEN_TTL });
+  return { ok: true, token, user: publicUser(u) };
+}
+
+// token -> current user (role and disabled flag come from the store, not the token)
+function userFromToken(token) {
+  try {
+    const { sub } = jwt.verify(token, SECRET);
+    const u = users.find(x => x.id === sub);
+    return u && !u.disabled ? publicUser(u) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---- device keys
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const publicKey = ({ key_hash, ...k }) => k;
+
+// a key belongs to whichever company owns its bin, so a transferred bin takes its keys along
+const keyInCompany = (k, companyId) => !companyId || companies.companyOf(k.bin_id) === companyId;
+
+function listDeviceKeys(companyId) {
+  return keys.filter(k => keyInCompany(k, companyId)).map(publicKey);
+}
+
+// returns the plaintext key exactly once; a bin nobody owns yet becomes companyId's
+function createDeviceKey(input = {}, { companyId = companies.DEFAULT_COMPANY } = {}) {
+  const errors = [];
+  if (typeof input.bin_id !== "string" || !input.bin_id.trim()) errors.push("bin_id: required string");
+  if (input.device_id !== undefined && typeof input.device_id !== "string") errors.push("device_id: string");
+  if (errors.length) return { ok: false, status: 400, errors };
+  if (companies.claim(input.bin_id.trim(), companyId) !== companyId) {
+    return { ok: false, status: 409, errors: [`bin_id: ${input.bin_id.trim()} belongs to another company`] };
+  }
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const rec = {
+    id: crypto.randomUUID(),
+    bin_id: input.bin_id.trim(),
+    device_id: input.device_id?.trim() || null,
+    label: typeof input.label === "string" ? input.label.trim() : null,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    key_hash: sha256(key),
+    created_at: tsISO(),
+    last_used_at: null,
+    revoked_at: null,
+  };
+  keys.push(rec);
+  saveKeys();
+  return { ok: true, key, device_key: publicKey(rec) };
+}
+
+function revokeDeviceKey(id, { companyId } = {}) {
+  const k = keys.find(x => x.id === id && keyInCompany(x, companyId));
+  if (!k) return { ok: false, status: 404, errors: ["device key not found"] };
+  if (!k.revoked_at) {
+    k.revoked_at = tsISO();
+    saveKeys();
+  }
+  return { ok: true, device_key: publicKey(k) };
+}
+
+const isKeyActive = (id) => keys.some(k => k.id === id && !k.revoked_at);
+
+let keyUseDirty = false;
+function deviceFromKey(key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+  const h = sha256(key);
+  const k = keys.find(x => x.key_hash === h && !x.revoked_at);
+  if (!k) return null;
+  k.last_used_at = tsISO();
+  keyUseDirty = true;
+  return { key_id: k.id, bin_id: k.bin_id, device_id: k.device_id, company_id: companies.companyOf(k.bin_id) };
+}
+// last_used_at is informational; flush it once a minute rather than on every reading
+setInterval(() => { if (keyUseDirty) { keyUseDirty = false; saveKeys(); } }, 60e3).unref();
+
+// ---- request helpers
+function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+// resolves a user and/or device from headers; never rejects on its own
+function identify(headers = {}, extra = {}) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || "")?.[1];
+  const deviceKey = extra.key || headers["x-device-key"] || (bearer?.startsWith(KEY_PREFIX) ? bearer : null);
+  const token = extra.token || (bearer && !bearer.startsWith(KEY_PREFIX) ? bearer : null) || parseCookies(headers.cookie)[COOKIE];
+  return {
+    device: deviceKey ? deviceFromKey(deviceKey) : null,
+    user: token ? userFromToken(token) : null,
+  };
+}
+
+// the company whose bins a user or device may see
+const scopeOf = ({ user, device }) => companies.scopeOf(user?.company_id ?? device?.company_id ?? null);
+
+// ---- express middleware
+function authenticate(req, _res, next) {
+  Object.assign(req, identify(req.headers));
+  req.scope = scopeOf(req);
+  next();
+}
+
+const hasRole = (user, role) => !!user && rank(user.role) >= rank(role);
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ ok: false, error: "Login required" });
+    if (!hasRole(req.user, role)) return res.status(403).json({ ok: false, error: `Requires ${role} role` });
+    next();
+  };
+}
+
+// device ingest: a valid device key, or a user with at least `role`
+function requireDeviceOrRole(role) {
+  return (req, res, next) => {
+    if (req.device || hasRole(req.user, role)) return next();
+    if (!req.user) return res.status(401).json({ ok: false, error: "Device key or login required" });
+    return res.status(403).json({ ok: false, error: `Requires a device key or ${role} role` });
+  };
+}
+
+// GET/HEAD need `read`, everything else `write`
+function guard({ read = "viewer", write = "operator" } = {}) {
+  const r = requireRole(read), w = requireRole(write);
+  return (req, res, next) => (req.method === "GET" || req.method === "HEAD" ? r : w)(req, res, next);
+}
+
+// bins of other companies don't exist as far as the caller is concerned
+function requireOwnBin(param = "id") {
+  return (req, res, next) => {
+    if (!req.scope.owns(req.params[param])) return res.status(404).json({ ok: false, error: "Unknown bin" });
+    next();
+  };
+}
+
+// HTML pages: bounce to the login page instead of a JSON 401
+function requirePage(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+    if (!hasRole(req.user, role)) return res.status(403).send(`Requires ${role} role`);
+    next();
+  };
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(COOKIE, token, { httpOnly: true, sameSite: "lax", secure: process.env.COOKIE_SECURE === "1", path: "/" });
+}
+const clearSessionCookie = (res) => res.clearCookie(COOKIE, { path: "/" });
+
+// ---- Socket.IO handshake: devices send auth { key }, browsers carry the session cookie
+function socketMiddleware(socket, next) {
+  const a = socket.handshake.auth || {};
+  const who = identify(socket.handshake.headers, { key: a.key, token: a.token });
+  if (!who.device && !who.user) return next(new Error("unauthorized"));
+  socket.data.device = who.device;
+  socket.data.user = who.user;
+  socket.data.scope = scopeOf(who);
+  next();
+}
+
+module.exports = {
+  ROLES, hasRole,
+  listUsers, createUser, updateUser, deleteUser, deleteUsersOf, login,
+  listDeviceKeys, createDeviceKey, revokeDeviceKey, isKeyActive, deviceFromKey,
+  scopeOf, authenticate, requireRole, requireDeviceOrRole, requireOwnBin, guard, requirePage,
+  setSessionCookie, clearSessionCookie, socketMiddleware,
+};
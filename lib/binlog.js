@@ -0,0 +1,70 @@
+// lib/binlog.js — distance readings: persisted through lib/store, with the last 30 days
+// kept in memory per bin for the dashboard, forecasts and collection detection
+const path = require("path");
+const fs = require("fs");
+const { COMPARTMENTS } = require("./fill");
+const store = require("./store");
+
+const DATA_DIR = path.join(process.cwd(), "data");
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const RETENTION_MS = 30 * 24 * 3600 * 1000;
+
+// per-bin time series (last 30d)
+// Map<binId, Array<{t:number, recycle?:{distance_cm, weight?}, general?:{distance_cm, weight?}}>>
+const binSeries = new Map();
+
+// Map<binId, { trimmed }>: readings dropped off the front of a series, so what is derived from a
+// series (lib/anomalies) can tell which of the readings it has seen are gone
+const seriesEdits = new Map();
+
+// Log rows: { id, timestamp, recycle: {distance_cm, weight}, general: {...} }.
+// Legacy rows carry a flat distance_cm, which was always the recycle side.
+function compartmentsOf(row) {
+  const out = {};
+  for (const c of COMPARTMENTS) {
+    const src = row[c];
+    if (!src || typeof src !== "object" || !Number.isFinite(src.distance_cm)) continue;
+    out[c] = { distance_cm: src.distance_cm };
+    if (Number.isFinite(src.weight)) out[c].weight = src.weight;
+  }
+  if (!out.recycle && !out.general && Number.isFinite(row.distance_cm)) {
+    out.recycle = { distance_cm: row.distance_cm };
+  }
+  return out;
+}
+
+function appendLog(entry, { persist = true } = {}) {
+  const { id, timestamp } = entry;
+  const comps = compartmentsOf(entry);
+  if (!id || !Object.keys(comps).length) return;
+  const t = new Date(timestamp).getTime();
+  if (persist) store.insertReading({ bin_id: id, t, ...comps });
+  if (!binSeries.has(id)) binSeries.set(id, []);
+  if (!seriesEdits.has(id)) seriesEdits.set(id, { trimmed: 0 });
+  const arr = binSeries.get(id);
+  const edits = seriesEdits.get(id);
+  // keep the series in time order; backfilled (buffered) readings land behind newer ones
+  let i = arr.length;
+  while (i > 0 && arr[i - 1].t > t) i--;
+  arr.splice(i, 0, { t, ...comps });
+  // keep last 30 days in memory
+  const cutoff = Date.now() - RETENTION_MS;
+  while (arr.length && arr[0].t < cutoff) {
+    arr.shift();
+    edits.trimmed++;
+  }
+}
+
+// open the store (importing the old flat log on first run), then warm the in-memory series.
+// onBadRow({ file, line, raw, error }) hears about log lines that couldn't be read.
+async function loadLog({ onBadRow } = {}) {
+  await store.init({ dataDir: DATA_DIR, onBadRow });
+  for (const r of store.readings({ fromMs: Date.now() - RETENTION_MS })) {
+    if (!binSeries.has(r.bin_id)) binSeries.set(r.bin_id, []);
+    const { seq, bin_id, ...point } = r;
+    binSeries.get(bin_id).push(point);
+  }
+}
+
+module.exports = { DATA_DIR, binSeries, seriesEdits, appendLog, loadLog };
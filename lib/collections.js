@@ -0,0 +1,141 @@
+// lib/collections.js — detect bin emptying (collection) events from the fill series
+// A collection is a drop of at least DROP_PCT from the peak since the detector was
+// last armed. After an event the compartment has to climb REARM_PCT above its new
+// low before another event can fire (hysteresis against sensor jitter).
+// collected_kg is the weight just before the drop less what was left after it (bins with load
+// cells only); it is what the tonnage report adds up. Readings flagged by lib/anomalies are skipped,
+// and a drop from a peak that turned out to be a spike just resets the peak.
+const path = require("path");
+const fs = require("fs");
+const readline = require("readline");
+const { DATA_DIR } = require("./binlog");
+const { COMPARTMENTS, percentFull } = require("./fill");
+const registry = require("./registry");
+const anomalies = require("./anomalies");
+
+const COLLECTIONS_FILE = path.join(DATA_DIR, "collections.jsonl");
+const DROP_PCT = Number(process.env.COLLECTION_DROP_PCT) || 30;
+const REARM_PCT = Number(process.env.COLLECTION_REARM_PCT) || 10;
+
+// detector state per "binId/compartment": { armed, peak, low, last }
+const state = new Map();
+// all recorded events, oldest first
+const events = [];
+const eventIds = new Set();
+
+function observeCompartment(binId, compartment, reading) {
+  const key = `${binId}/${compartment}`;
+  const s = state.get(key);
+  if (!s) {
+    state.set(key, { armed: true, peak: reading, low: reading, last: reading });
+    return null;
+  }
+  if (reading.t < s.peak.t) return null; // out-of-order reading; the detector only moves forward
+  const prev = s.last;
+  if (reading.t >= prev.t) s.last = reading;
+
+  if (s.armed) {
+    if (s.peak.pct - reading.pct >= DROP_PCT && anomalies.isFlagged(binId, compartment, s.peak.t)) {
+      s.peak = reading;
+      return null;
+    }
+    if (s.peak.pct - reading.pct >= DROP_PCT) {
+      // heaviest of the peak and the reading right before the drop (a bin can be emptied over two readings)
+      const before = [s.peak.weight, prev.t <= reading.t ? prev.weight : null].filter(Number.isFinite);
+      const weightBefore = before.length ? Math.max(...before) : null;
+      const ev = {
+        id: `${binId}:${compartment}:${reading.t}`,
+        bin_id: binId,
+        compartment,
+        before_pct: s.peak.pct,
+        after_pct: reading.pct,
+        before_weight: s.peak.weight ?? null,
+        after_weight: reading.weight ?? null,
+        before_at: new Date(s.peak.t).toISOString(),
+        detected_at: new Date(reading.t).toISOString(),
+        drop_pct: s.peak.pct - reading.pct,
+        collected_kg: collectedKg(weightBefore, reading.weight),
+      };
+      state.set(key, { armed: false, peak: reading, low: reading, last: reading });
+      return ev;
+    }
+    if (reading.pct >= s.peak.pct) s.peak = reading;
+    return null;
+  }
+
+  if (reading.pct < s.low.pct) s.low = reading;
+  if (reading.pct - s.low.pct >= REARM_PCT) {
+    s.armed = true;
+    s.peak = reading;
+  }
+  return null;
+}
+
+function collectedKg(before, after) {
+  if (!Number.isFinite(before)) return null;
+  return Math.round(Math.max(0, before - (Number.isFinite(after) ? after : 0)) * 10) / 10;
+}
+// events recorded before collected_kg existed: from the weight at the peak
+const kgOf = (ev) => (ev.collected_kg !== undefined ? ev.collected_kg : collectedKg(ev.before_weight, ev.after_weight));
+
+function record(ev, { persist = true } = {}) {
+  if (eventIds.has(ev.id)) return false;
+  eventIds.add(ev.id);
+  events.push(ev);
+  if (persist) fs.appendFileSync(COLLECTIONS_FILE, JSON.stringify(ev) + "\n");
+  return true;
+}
+
+// Feed one logged reading ({ recycle: {distance_cm, weight}, general: {...} }); returns new events
+function observe(binId, timestamp, comps, { persist = true } = {}) {
+  const t = new Date(timestamp).getTime();
+  if (!Number.isFinite(t)) return [];
+  const out = [];
+  for (const c of COMPARTMENTS) {
+    const v = comps[c];
+    if (!v || !Number.isFinite(v.distance_cm) || anomalies.isFlagged(binId, c, t)) continue;
+    const pct = percentFull(v.distance_cm, registry.calibration(binId, c));
+    const ev = observeCompartment(binId, c, { t, pct, weight: v.weight });
+    if (ev && record(ev, { persist })) out.push(ev);
+  }
+  return out;
+}
+
+// Startup: load recorded events, then replay the in-memory series so the detector
+// state is warm and anything missed (e.g. log written before detection existed) is backfilled.
+async function load(binSeries) {
+  if (fs.existsSync(COLLECTIONS_FILE)) {
+    const rl = readline.createInterface({ input: fs.createReadStream(COLLECTIONS_FILE), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try {
+        const ev = JSON.parse(line);
+        if (ev && ev.id) record(ev, { persist: false });
+      } catch { /* ignore bad lines */ }
+    }
+  }
+  for (const [binId, arr] of binSeries) {
+    for (const p of arr) observe(binId, p.t, p);
+  }
+  events.sort((a, b) => a.detected_at.localeCompare(b.detected_at));
+}
+
+// Events in [fromMs, toMs] (either bound optional), optionally for one bin or a set of bins
+function query({ binId, binIds = null, fromMs = null, toMs = null } = {}) {
+  const only = binIds && new Set(binIds);
+  return events.filter(ev => {
+    if (binId && ev.bin_id !== binId) return false;
+    if (only && !only.has(ev.bin_id)) return false;
+    const t = Date.parse(ev.detected_at);
+    if (fromMs != null && t < fromMs) return false;
+    if (toMs != null && t > toMs) return false;
+    return true;
+  });
+}
+
+const lastFor = (binId) => {
+  for (let i = events.length - 1; i >= 0; i--) if (events[i].bin_id === binId) return events[i];
+  return null;
+};
+
+module.exports = { DROP_PCT, REARM_PCT, observe, load, query, lastFor, kgOf };
@@ -0,0 +1,143 @@
+// lib/commands.js — per-bin command queue for the Pis. Commands go to the bin's own room
+// ("bin:<id>") and wait for a Socket.IO acknowledgement, or through another transport (MQTT)
+// when the bin is only reachable there; with no device connected they stay queued and are
+// retried when one says pi:hello. Lifecycle:
+//   queued -> sent -> acked | failed      (ack timeout: back to queued until MAX_ATTEMPTS)
+//   queued | sent -> expired              (TTL passed before an ack)
+const path = require("path");
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+const metrics = require("./metrics");
+
+const COMMANDS_FILE = path.join(DATA_DIR, "commands.json");
+const DEFAULT_TTL_S = Number(process.env.COMMAND_TTL_S) || 3600;
+const ACK_TIMEOUT_MS = Number(process.env.COMMAND_ACK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = 5;
+const MAX_DONE = 2000;   // finished commands kept on disk
+const SWEEP_MS = 15000;
+
+const STATUSES = ["queued", "sent", "acked", "failed", "expired"];
+const FINAL = new Set(["acked", "failed", "expired"]);
+
+let io = null;
+const emitter = new EventEmitter(); // "update" (cmd) on every status change
+// other ways to reach a bin: { name, connected(binId), deliver(wire, timeoutMs, done(err, responses)) }
+const transports = [];
+let commands = readJson(COMMANDS_FILE, []);
+// anything in flight when the server stopped never got its ack: send it again
+for (const c of commands) if (c.status === "sent") c.status = "queued";
+
+const roomFor = (binId) => `bin:${binId}`;
+
+function save() {
+  const done = commands.filter(c => FINAL.has(c.status));
+  if (done.length > MAX_DONE) {
+    const drop = new Set(done.slice(0, done.length - MAX_DONE).map(c => c.id));
+    commands = commands.filter(c => !drop.has(c.id));
+  }
+  writeJson(COMMANDS_FILE, commands);
+}
+
+function setStatus(cmd, status, extra = {}) {
+  cmd.status = status;
+  cmd.updated_at = tsISO();
+  Object.assign(cmd, extra);
+  cmd.history.push({ status, at: cmd.updated_at, ...(extra.error ? { error: extra.error } : {}) });
+  metrics.commands.inc({ action: cmd.action, status });
+  save();
+  emitter.emit("update", cmd);
+}
+
+const expired = (cmd) => Date.parse(cmd.expires_at) <= Date.now();
+const socketConnected = (binId) => (io?.sockets.adapter.rooms.get(roomFor(binId))?.size || 0) > 0;
+
+// what the device receives as the "pi:cmd" payload (ts kept for older firmware)
+const wire = (cmd) => ({ id: cmd.id, action: cmd.action, payload: cmd.payload, bin_id: cmd.bin_id, ts: Date.parse(cmd.created_at), attempt: cmd.attempts });
+
+function send(cmd) {
+  if (!io || FINAL.has(cmd.status) || cmd.status === "sent") return;
+  if (expired(cmd)) return setStatus(cmd, "expired");
+  const via = socketConnected(cmd.bin_id) ? null : transports.find(t => t.connected(cmd.bin_id));
+  if (!via && !socketConnected(cmd.bin_id)) return; // stays queued until the device reconnects
+
+  cmd.attempts += 1;
+  setStatus(cmd, "sent", { sent_at: tsISO(), via: via ? via.name : "socket" });
+  const done = (err, responses) => {
+    if (cmd.status !== "sent") return; // expired meanwhile
+    if (err || !responses.length) {
+      if (cmd.attempts >= MAX_ATTEMPTS) return setStatus(cmd, "failed", { error: "no acknowledgement" });
+      return setStatus(cmd, "queued", { error: "ack timeout" });
+    }
+    // device replies with { ok, result?, error? }; a bare ack counts as success
+    const r = responses.find(x => x && x.ok !== false) || responses[0] || {};
+    if (r.ok === false) setStatus(cmd, "failed", { error: String(r.error || "rejected by device") });
+    else setStatus(cmd, "acked", { acked_at: tsISO(), result: r.result ?? null, error: null });
+  };
+  if (via) via.deliver(wire(cmd), ACK_TIMEOUT_MS, done);
+  else io.to(roomFor(cmd.bin_id)).timeout(ACK_TIMEOUT_MS).emit("pi:cmd", wire(cmd), done);
+}
+
+const addTransport = (transport) => transports.push(transport);
+
+function enqueue({ binId, action, payload, ttlS = DEFAULT_TTL_S, source = "api" }) {
+  const now = Date.now();
+  const cmd = {
+    id: crypto.randomUUID(),
+    bin_id: binId,
+    action,
+    payload: payload ?? null,
+    source,
+    status: "queued",
+    attempts: 0,
+    created_at: new Date(now).toISOString(),
+    updated_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlS * 1000).toISOString(),
+    history: [{ status: "queued", at: new Date(now).toISOString() }],
+  };
+  commands.push(cmd);
+  save();
+  metrics.commands.inc({ action, status: "queued" });
+  send(cmd);
+  return cmd;
+}
+
+// (re)send whatever is waiting for this bin, oldest first — called on pi:hello
+function flush(binId) {
+  for (const c of commands) if (c.bin_id === binId && c.status === "queued") send(c);
+}
+
+function sweep() {
+  for (const c of commands) {
+    if (FINAL.has(c.status)) continue;
+    if (c.status === "queued" && expired(c)) setStatus(c, "expired");
+    else if (c.status === "queued") send(c);
+  }
+}
+
+function cancel(id) {
+  const c = commands.find(x => x.id === id);
+  if (!c) return { ok: false, status: 404, errors: ["command not found"] };
+  if (FINAL.has(c.status)) return { ok: false, status: 409, errors: [`command is ${c.status}`] };
+  setStatus(c, "failed", { error: "cancelled" });
+  return { ok: true, command: c };
+}
+
+function list({ binId, binIds = null, status, limit = 100 } = {}) {
+  const only = binIds && new Set(binIds);
+  return commands
+    .filter(c => (!binId || c.bin_id === binId) && (!only || only.has(c.bin_id)) && (!status || c.status === status))
+    .slice(-limit)
+    .reverse();
+}
+const get = (id) => commands.find(c => c.id === id) || null;
+
+function init(server) {
+  io = server;
+  const timer = setInterval(sweep, SWEEP_MS);
+  timer.unref();
+}
+
+module.exports = { STATUSES, DEFAULT_TTL_S, emitter, roomFor, init, addTransport, enqueue, flush, cancel, list, get };
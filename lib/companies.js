@@ -0,0 +1,119 @@
+// lib/companies.js — tenants (data/companies.json). Every bin belongs to one company; users carry a
+// company_id and device keys belong to the company of their bin. API responses, CSV exports and
+// Socket.IO broadcasts only ever cover the caller's company's bins (see scopeOf).
+// Bins that existed before companies did (and any bin first seen without an owner, e.g. over an
+// external MQTT broker) go to the default company.
+const path = require("path");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+
+const COMPANIES_FILE = path.join(DATA_DIR, "companies.json");
+const DEFAULT_COMPANY = "default";
+
+// { companies: [{ id, name, created_at, updated_at? }], bins: { [binId]: companyId } }
+let state = readJson(COMPANIES_FILE, null);
+if (!state || !Array.isArray(state.companies)) {
+  state = { companies: [{ id: DEFAULT_COMPANY, name: process.env.DEFAULT_COMPANY_NAME || "Default", created_at: tsISO() }], bins: {} };
+  writeJson(COMPANIES_FILE, state);
+}
+const save = () => writeJson(COMPANIES_FILE, state);
+
+const get = (id) => state.companies.find(c => c.id === id) || null;
+const companyOf = (binId) => (binId ? state.bins[binId] ?? null : null);
+const binIdsOf = (companyId) => Object.keys(state.bins).filter(id => state.bins[id] === companyId).sort();
+
+// Socket.IO room of a company's dashboards and devices
+const roomFor = (companyId) => `company:${companyId}`;
+const roomOfBin = (binId) => roomFor(companyOf(binId) ?? DEFAULT_COMPANY);
+
+// unowned bin -> companyId's; returns the owner either way
+function claim(binId, companyId = DEFAULT_COMPANY) {
+  if (!binId) return null;
+  if (!state.bins[binId]) {
+    state.bins[binId] = companyId;
+    save();
+  }
+  return state.bins[binId];
+}
+
+function claimAll(binIds, companyId = DEFAULT_COMPANY) {
+  let n = 0;
+  for (const id of binIds) if (id && !state.bins[id]) { state.bins[id] = companyId; n++; }
+  if (n) save();
+  return n;
+}
+
+function list() {
+  return state.companies.map(c => ({ ...c, bins: binIdsOf(c.id).length }));
+}
+
+// ---- CRUD; each returns { ok, company } or { ok: false, status, errors }
+function validate(input, { partial = false } = {}) {
+  const errors = [];
+  if (!partial && (typeof input.id !== "string" || !/^[a-z0-9][a-z0-9-]{1,39}$/.test(input.id))) errors.push("id: 2-40 chars of a-z, 0-9, -");
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== "string" || !input.name.trim()) errors.push("name: required string");
+  }
+  return errors;
+}
+
+function create(input = {}) {
+  const errors = validate(input);
+  if (errors.length) return { ok: false, status: 400, errors };
+  if (get(input.id)) return { ok: false, status: 409, errors: [`id: ${input.id} exists`] };
+  const company = { id: input.id, name: input.name.trim(), created_at: tsISO() };
+  state.companies.push(company);
+  save();
+  return { ok: true, company };
+}
+
+function rename(id, input = {}) {
+  const c = get(id);
+  if (!c) return { ok: false, status: 404, errors: ["company not found"] };
+  const errors = validate(input, { partial: true });
+  if (errors.length) return { ok: false, status: 400, errors };
+  if (input.name !== undefined) c.name = input.name.trim();
+  c.updated_at = tsISO();
+  save();
+  return { ok: true, company: c };
+}
+
+// only companies without bins go (the route deletes their users)
+function remove(id) {
+  if (!get(id)) return { ok: false, status: 404, errors: ["company not found"] };
+  if (id === DEFAULT_COMPANY) return { ok: false, status: 409, errors: ["the default company can't be deleted"] };
+  if (binIdsOf(id).length) return { ok: false, status: 409, errors: ["company still owns bins; transfer them first"] };
+  state.companies = state.companies.filter(c => c.id !== id);
+  save();
+  return { ok: true };
+}
+
+// move a bin (with its history, devices and keys) to another company
+function assign(binId, companyId) {
+  if (!get(companyId)) return { ok: false, status: 404, errors: ["company not found"] };
+  if (typeof binId !== "string" || !binId.trim()) return { ok: false, status: 400, errors: ["bin_id: required string"] };
+  const from = state.bins[binId] ?? null;
+  state.bins[binId] = companyId;
+  save();
+  return { ok: true, bin_id: binId, from, to: companyId };
+}
+
+// what a caller may see: { company_id, owns(binId), sees(binId), binIds(requested?) }
+function scopeOf(companyId) {
+  const owns = (binId) => !!binId && !!companyId && state.bins[binId] === companyId;
+  return {
+    company_id: companyId,
+    owns,
+    // items without a bin id (older Pis, unreadable log lines) are the default company's
+    sees: (binId) => (binId ? owns(binId) : companyId === DEFAULT_COMPANY),
+    // requested ids narrowed to the company's bins; nothing requested = all of them
+    binIds: (requested = []) => (requested.length ? requested.filter(id => state.bins[id] === companyId) : binIdsOf(companyId)),
+  };
+}
+
+module.exports = {
+  DEFAULT_COMPANY,
+  get, list, create, rename, remove, assign,
+  companyOf, binIdsOf, claim, claimAll, roomFor, roomOfBin, scopeOf,
+};
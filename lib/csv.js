@@ -0,0 +1,13 @@
+// lib/csv.js — cells for the CSV exports, which mostly end up in a spreadsheet
+// Text starting with = + - @ (or a tab / carriage return) would be read there as a formula, so it
+// gets a leading ' and shows as typed; numbers are left as they are. Cells with quotes, commas or
+// line breaks are quoted.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (typeof v !== "number" && FORMULA_START.test(s)) s = "'" + s;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+module.exports = { csvCell };
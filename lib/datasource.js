@@ -0,0 +1,164 @@
+// lib/datasource.js — where /api/bins* gets its numbers from
+// Live bins come from the ingested binSeries; simulated bins only exist in demo mode.
+// Each compartment (recycle/general) is tracked on its own; the bin-level
+// percent_full/distance_cm are taken from whichever compartment is fuller.
+// Readings lib/anomalies flags as sensor faults are left out of live history and latest values.
+const { binSeries } = require("./binlog");
+const demo = require("./demo");
+const registry = require("./registry");
+const anomalies = require("./anomalies");
+const { COMPARTMENTS, percentFull, distanceFromPct } = require("./fill");
+
+const DEMO_MODE = /^(1|true|yes|on)$/i.test(process.env.DEMO_MODE || "");
+const HOUR_MS = 3600 * 1000;
+
+// demo mode: a fresh registry gets the demo fleet (real installs start empty)
+if (DEMO_MODE) {
+  registry.seed(demo.DEMO_POSTALS);
+  demo.pregenAll();
+}
+
+// "live" | "simulated" | null (unknown bin). Registered bins without readings are live (and empty).
+function sourceOf(binId) {
+  if (binSeries.get(binId)?.length) return "live";
+  if (DEMO_MODE && demo.PREGEN_BINS.includes(binId)) return "simulated";
+  if (registry.resolve(binId).registered) return "live";
+  return null;
+}
+
+// Bins with readings, registered bins and (demo mode) simulated bins; decommissioned ones are left out
+function listBinIds({ includeDecommissioned = false } = {}) {
+  const ids = new Set();
+  for (const [id, arr] of binSeries) if (arr.length) ids.add(id);
+  registry.list().forEach(b => ids.add(b.id));
+  if (DEMO_MODE) demo.PREGEN_BINS.forEach(id => ids.add(id));
+  return [...ids]
+    .filter(id => includeDecommissioned || !registry.isDecommissioned(id))
+    .sort();
+}
+
+// Bin-level view of a { recycle, general } pair: the fuller compartment wins
+function combine(comps) {
+  let best = null;
+  for (const c of COMPARTMENTS) {
+    const v = comps[c];
+    if (!v || v.percent_full == null) continue;
+    if (!best || v.percent_full > best.percent_full) best = v;
+  }
+  return best
+    ? { percent_full: best.percent_full, distance_cm: best.distance_cm }
+    : { percent_full: null, distance_cm: null };
+}
+
+// Live readings averaged into hourly buckets per compartment (bucket start as timestamp).
+function bucketHourly(binId, arr, fromMs) {
+  const buckets = new Map();
+  for (const p of arr) {
+    if (p.t < fromMs) continue;
+    const key = Math.floor(p.t / HOUR_MS) * HOUR_MS;
+    if (!buckets.has(key)) buckets.set(key, {});
+    const b = buckets.get(key);
+    for (const c of COMPARTMENTS) {
+      if (!p[c] || anomalies.isFlagged(binId, c, p.t)) continue;
+      const acc = b[c] || (b[c] = { dist: 0, n: 0, weight: 0, wn: 0 });
+      acc.dist += p[c].distance_cm;
+      acc.n += 1;
+      if (Number.isFinite(p[c].weight)) { acc.weight += p[c].weight; acc.wn += 1; }
+    }
+  }
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, b]) => {
+      const point = { timestamp: new Date(t).toISOString() };
+      for (const c of COMPARTMENTS) {
+        const acc = b[c];
+        if (!acc) { point[c] = null; continue; }
+        const distance_cm = acc.dist / acc.n;
+        point[c] = {
+          percent_full: percentFull(distance_cm, registry.calibration(binId, c)),
+          distance_cm: Math.round(distance_cm),
+          samples: acc.n,
+        };
+        if (acc.wn) point[c].weight = acc.weight / acc.wn;
+      }
+      return { ...combine(point), ...point };
+    });
+}
+
+// Simulated compartments share hourly timestamps; merge them per hour
+function simulatedPoints(binId, hours) {
+  const byHour = new Map();
+  for (const c of COMPARTMENTS) {
+    for (const d of demo.getOrGenerateHistory(binId, hours, c)) {
+      const key = Math.floor(new Date(d.timestamp).getTime() / HOUR_MS) * HOUR_MS;
+      if (!byHour.has(key)) byHour.set(key, { timestamp: d.timestamp });
+      byHour.get(key)[c] = {
+        percent_full: d.percent_full,
+        distance_cm: distanceFromPct(d.percent_full, registry.calibration(binId, c)),
+      };
+    }
+  }
+  return [...byHour.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, p]) => {
+      for (const c of COMPARTMENTS) if (!p[c]) p[c] = null;
+      return { ...combine(p), ...p };
+    });
+}
+
+// Hourly points for the last `hours` hours: { data_source, points }
+function getHistory(binId, hours) {
+  const data_source = sourceOf(binId);
+  if (data_source === "live") {
+    const fromMs = Math.floor((Date.now() - hours * HOUR_MS) / HOUR_MS) * HOUR_MS;
+    return { data_source, points: bucketHourly(binId, binSeries.get(binId) || [], fromMs) };
+  }
+  if (data_source === "simulated") {
+    return { data_source, points: simulatedPoints(binId, hours) };
+  }
+  return { data_source, points: [] };
+}
+
+// One compartment of getHistory() points as [{timestamp, percent_full, distance_cm}]
+function compartmentSeries(points, compartment) {
+  return points
+    .filter(p => p[compartment])
+    .map(p => ({ timestamp: p.timestamp, ...p[compartment] }));
+}
+
+// Most recent reading per compartment (last unflagged one for live bins, last simulated hour otherwise)
+function getLatest(binId) {
+  const data_source = sourceOf(binId);
+  if (!data_source) return null;
+
+  const compartments = {};
+  if (data_source === "live") {
+    const arr = binSeries.get(binId) || [];
+    for (const c of COMPARTMENTS) {
+      let last = null;
+      for (let i = arr.length - 1; i >= 0; i--) if (arr[i][c] && !anomalies.isFlagged(binId, c, arr[i].t)) { last = arr[i]; break; }
+      if (!last) { compartments[c] = null; continue; }
+      compartments[c] = {
+        timestamp: new Date(last.t).toISOString(),
+        distance_cm: last[c].distance_cm,
+        percent_full: percentFull(last[c].distance_cm, registry.calibration(binId, c)),
+      };
+      if (Number.isFinite(last[c].weight)) compartments[c].weight = last[c].weight;
+    }
+  } else {
+    for (const c of COMPARTMENTS) {
+      const last = demo.getOrGenerateHistory(binId, 168, c).at(-1);
+      compartments[c] = last ? {
+        timestamp: last.timestamp,
+        distance_cm: distanceFromPct(last.percent_full, registry.calibration(binId, c)),
+        percent_full: last.percent_full,
+      } : null;
+    }
+  }
+
+  const times = COMPARTMENTS.map(c => compartments[c]?.timestamp).filter(Boolean).sort();
+  if (!times.length) return null;
+  return { data_source, timestamp: times.at(-1), ...combine(compartments), compartments };
+}
+
+module.exports = { DEMO_MODE, sourceOf, listBinIds, getHistory, compartmentSeries, getLatest };
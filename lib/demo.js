@@ -0,0 +1,92 @@
+// lib/demo.js — simulated bins for demo mode (opt-in via DEMO_MODE=1)
+// Demo bins never touch ingest or the store; scripts/simulate.js drives the real pipeline instead.
+
+// --- PREGEN bins we want to simulate, with the postal codes they are registered under in demo mode ---
+const DEMO_POSTALS = {
+  "BIN-001": "238895",
+  "BIN-002": "178903",
+  "BIN-003": "520117",
+  "BIN-004": "409051",
+  "BIN-005": "069120",
+  "BIN-006": "149729",
+  "BIN-007": "546080",
+  "BIN-008": "310158",
+  "BIN-009": "650221",
+};
+const PREGEN_BINS = Object.keys(DEMO_POSTALS);
+
+// Simulated historical data, one series per compartment
+const BIN_HISTORY = {}; // In-memory cache: { ["binId/compartment"]: Array<{timestamp, percent_full}> }
+
+// Tunables for simulation realism
+const HOURS_DEFAULT = 72;           // generate 72h by default
+const EMPTY_THRESHOLD = 85;         // when >= this, more likely to be emptied
+const EMPTY_PROB_HIGH = 0.15;       // probability per hour to empty when above threshold
+const EMPTY_PROB_LOW = 0.01;        // probability per hour to empty when below threshold
+const RESET_MIN = 5;                // % full after empty
+const RESET_MAX = 20;               // % full after empty
+const DRIFT_MIN = 0.2;              // typical fill rate per hour (min)
+const DRIFT_MAX = 2.0;              // typical fill rate per hour (max)
+const NOISE = 0.8;                  // random noise amplitude (+/-)
+
+// Generate (or extend) history for the last `hours` hours with possible emptying events
+function getOrGenerateHistory(binId, hours = HOURS_DEFAULT, compartment = "recycle") {
+  const now = Date.now();
+  const key = `${binId}/${compartment}`;
+
+  // If we already have some history, extend it to cover the requested window.
+  let arr = BIN_HISTORY[key] || [];
+
+  const haveFrom = arr.length ? new Date(arr[0].timestamp).getTime() : null;
+  const wantFrom = now - hours * 3600 * 1000;
+
+  // If cache exists but does not go far enough back, regenerate from scratch for simplicity.
+  if (!arr.length || (haveFrom != null && haveFrom - wantFrom > 6 * 3600 * 1000)) {
+
+    arr = [];
+    // Start between 10–60%
+    let pct = Math.random() * 50 + 10;
+
+    for (let i = hours - 1; i >= 0; i--) {
+      const t = new Date(now - i * 3600 * 1000);
+
+      // probability of emptying this hour
+      const pEmpty = pct >= EMPTY_THRESHOLD ? EMPTY_PROB_HIGH : EMPTY_PROB_LOW;
+      if (Math.random() < pEmpty) {
+        // emptied (collection happened)
+        pct = rand(RESET_MIN, RESET_MAX);
+      } else {
+        // normal filling with noise
+        const drift = rand(DRIFT_MIN, DRIFT_MAX);       // base increase per hour
+        const noise = rand(-NOISE, NOISE);              // jitter
+        pct = clamp(pct + drift + noise, 0, 100);
+      }
+
+      arr.push({
+        timestamp: t.toISOString(),
+        percent_full: Math.round(pct),
+      });
+    }
+    BIN_HISTORY[key] = arr;
+  } else {
+    // We have enough history; just slice to the requested window.
+    arr = arr.filter(d => new Date(d.timestamp).getTime() >= wantFrom);
+  }
+
+  return arr;
+}
+
+// helpers
+function rand(a, b) { return a + Math.random() * (b - a); }
+function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+// 7 days of hourly history per simulated bin and compartment
+function pregenAll() {
+  const HOURS_7D = 24 * 7;
+  PREGEN_BINS.forEach(id => {
+    getOrGenerateHistory(id, HOURS_7D, "recycle");
+    getOrGenerateHistory(id, HOURS_7D, "general");
+  });
+}
+
+module.exports = { DEMO_POSTALS, PREGEN_BINS, getOrGenerateHistory, pregenAll };
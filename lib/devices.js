@@ -0,0 +1,154 @@
+// lib/devices.js — fleet registry for the Pis: identity, firmware, connection history and
+// reported health. A device is online while its socket is connected and it has been heard
+// from within OFFLINE_AFTER_S; a periodic sweep flips silent devices to offline.
+const path = require("path");
+const EventEmitter = require("events");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+
+const DEVICES_FILE = path.join(DATA_DIR, "devices.json");
+const OFFLINE_AFTER_S = Number(process.env.DEVICE_OFFLINE_AFTER_S) || 90; // ~3 missed 30 s heartbeats
+const MAX_EVENTS = 50;        // connect/disconnect history kept per device
+const SAVE_DEBOUNCE_MS = 2000;
+
+const emitter = new EventEmitter(); // "status" (device) whenever online/offline flips
+
+const devices = new Map(); // id -> device
+for (const d of readJson(DEVICES_FILE, [])) {
+  devices.set(d.id, { ...d, online: false, socket_id: null }); // nobody is connected after a restart
+}
+
+let saveTimer = null;
+function save() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeJson(DEVICES_FILE, [...devices.values()].map(({ socket_id, ...d }) => d));
+  }, SAVE_DEBOUNCE_MS);
+  saveTimer.unref();
+}
+
+const str = (v) => (v == null || v === "" ? null : String(v).trim() || null);
+const num = (v) => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// device id: explicit device_id, else the bin it serves
+const idFrom = (info = {}) => str(info.device_id) || str(info.bin_id);
+
+function logEvent(d, type, extra = {}) {
+  d.events.push({ type, at: tsISO(), ...extra });
+  if (d.events.length > MAX_EVENTS) d.events.splice(0, d.events.length - MAX_EVENTS);
+}
+
+function setOnline(d, online, reason) {
+  if (d.online === online) return;
+  d.online = online;
+  if (!online) logEvent(d, "offline", { reason });
+  emitter.emit("status", view(d));
+}
+
+// pi:hello — register (or refresh) the device behind this socket
+function hello(info = {}, { socketId, ip } = {}) {
+  const id = idFrom(info);
+  if (!id) return null;
+  const now = tsISO();
+  const d = devices.get(id) || { id, first_seen: now, events: [], health: null };
+  Object.assign(d, {
+    bin_id: str(info.bin_id) ?? d.bin_id ?? null,
+    firmware: str(info.firmware ?? info.fw_version ?? info.version) ?? d.firmware ?? null,
+    model: str(info.model ?? info.hw_model) ?? d.model ?? null,
+    ip: ip || d.ip || null,
+    socket_id: socketId || null,
+    connected_at: now,
+    last_seen: now,
+  });
+  devices.set(id, d);
+  logEvent(d, "connect", { ip: d.ip, firmware: d.firmware });
+  setOnline(d, true);
+  save();
+  return view(d);
+}
+
+// pi:heartbeat — periodic health report; without a pi:hello on this socket, only for a device of the same bin
+function heartbeat(socketId, payload = {}) {
+  const d = bySocket(socketId) || devices.get(idFrom(payload));
+  if (!d || (d.socket_id !== socketId && d.bin_id !== str(payload.bin_id))) return null;
+  d.last_seen = tsISO();
+  d.health = {
+    cpu_temp_c: num(payload.cpu_temp_c ?? payload.cpu_temp),
+    uptime_s: num(payload.uptime_s ?? payload.uptime),
+    sensor_errors: num(payload.sensor_errors) ?? (Array.isArray(payload.sensor_errors) ? payload.sensor_errors.length : null),
+    load: num(payload.load),
+    mem_free_mb: num(payload.mem_free_mb),
+    reported_at: d.last_seen,
+  };
+  if (str(payload.firmware)) d.firmware = str(payload.firmware);
+  if (d.socket_id) setOnline(d, true);
+  save();
+  return view(d);
+}
+
+// any other traffic from the socket also counts as a sign of life
+function touch(socketId) {
+  const d = bySocket(socketId);
+  if (!d) return;
+  d.last_seen = tsISO();
+  setOnline(d, true);
+}
+
+function disconnect(socketId, reason) {
+  const d = bySocket(socketId);
+  if (!d) return null;
+  d.socket_id = null;
+  logEvent(d, "disconnect", { reason: reason || null });
+  setOnline(d, false, "disconnected");
+  save();
+  return view(d);
+}
+
+// flip devices that went quiet without a clean disconnect
+function sweep() {
+  const cutoff = Date.now() - OFFLINE_AFTER_S * 1000;
+  for (const d of devices.values()) {
+    if (d.online && Date.parse(d.last_seen) < cutoff) {
+      setOnline(d, false, "heartbeat_timeout");
+      save();
+    }
+  }
+}
+
+function start() {
+  const timer = setInterval(sweep, Math.min(OFFLINE_AFTER_S * 1000, 30000));
+  timer.unref();
+}
+
+const bySocket = (socketId) => {
+  if (!socketId) return null;
+  for (const d of devices.values()) if (d.socket_id === socketId) return d;
+  return null;
+};
+
+function view(d, { events = false } = {}) {
+  const { socket_id, events: ev, ...rest } = d;
+  const seconds_since_seen = d.last_seen ? Math.round((Date.now() - Date.parse(d.last_seen)) / 1000) : null;
+  return { ...rest, seconds_since_seen, ...(events ? { events: ev.slice().reverse() } : {}) };
+}
+
+// binIds: only devices serving these bins (a company's)
+function list({ binId, binIds = null, online } = {}) {
+  const only = binIds && new Set(binIds);
+  return [...devices.values()]
+    .filter(d => (!binId || d.bin_id === binId) && (!only || only.has(d.bin_id)) && (online === undefined || d.online === online))
+    .map(d => view(d));
+}
+const get = (id) => (devices.has(id) ? view(devices.get(id), { events: true }) : null);
+
+// status of the device(s) serving a bin, for bin snapshots
+function forBin(binId) {
+  const ds = [...devices.values()].filter(d => d.bin_id === binId);
+  if (!ds.length) return null;
+  const d = ds.find(x => x.online) || ds.sort((a, b) => (b.last_seen || "").localeCompare(a.last_seen || ""))[0];
+  return { id: d.id, online: d.online, last_seen: d.last_seen, firmware: d.firmware };
+}
+
+module.exports = { OFFLINE_AFTER_S, emitter, hello, heartbeat, touch, disconnect, sweep, start, list, get, forBin };
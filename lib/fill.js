@@ -0,0 +1,37 @@
+// lib/fill.js — distance -> percent full and the colour/state buckets
+const BIN_HEIGHT_CM = 75; // default compartment depth when a bin isn't registered
+const COMPARTMENTS = ["recycle", "general"];
+const DEFAULT_CALIBRATION = { height_cm: BIN_HEIGHT_CM, empty_distance_cm: BIN_HEIGHT_CM };
+const DEFAULT_THRESHOLDS = { warn_pct: 70, full_pct: 90 };
+
+// The sensor reads empty_distance_cm on an empty compartment and
+// (empty_distance_cm - height_cm) when it's filled to the rim.
+const percentFull = (distance, calib = DEFAULT_CALIBRATION) => {
+  if (!Number.isFinite(distance)) return null;
+  const { height_cm, empty_distance_cm = height_cm } = calib;
+  const filled = Math.max(0, Math.min(empty_distance_cm - distance, height_cm));
+  return Math.round((filled / height_cm) * 100);
+};
+const distanceFromPct = (pct, calib = DEFAULT_CALIBRATION) => {
+  const { height_cm, empty_distance_cm = height_cm } = calib;
+  return Math.round(empty_distance_cm - height_cm * (pct / 100));
+};
+// Weight counts once a compartment has a max_weight_kg. The load is whichever of volume and weight
+// is further along, so a compartment of wet waste reads full by weight before the sensor sees the rim.
+const weightPct = (kg, calib = DEFAULT_CALIBRATION) => {
+  if (!Number.isFinite(kg) || !(calib.max_weight_kg > 0)) return null;
+  return Math.max(0, Math.round((kg / calib.max_weight_kg) * 100));
+};
+// -> { load_pct, full_by: "volume" | "weight" | null }
+const loadOf = (volumePct, wPct) => (wPct != null && (volumePct == null || wPct > volumePct)
+  ? { load_pct: wPct, full_by: "weight" }
+  : { load_pct: volumePct, full_by: volumePct == null ? null : "volume" });
+const colourFromPct = (pct, t = DEFAULT_THRESHOLDS) =>
+  (pct == null ? "gray" : pct >= t.full_pct ? "red" : pct >= t.warn_pct ? "orange" : "green");
+const stateFromPct = (pct, t = DEFAULT_THRESHOLDS) =>
+  (pct == null ? "unknown" : pct >= t.full_pct ? "full" : pct >= t.warn_pct ? "getting_full" : "ok");
+
+module.exports = {
+  BIN_HEIGHT_CM, COMPARTMENTS, DEFAULT_CALIBRATION, DEFAULT_THRESHOLDS,
+  percentFull, distanceFromPct, weightPct, loadOf, colourFromPct, stateFromPct,
+};
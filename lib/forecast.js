@@ -0,0 +1,277 @@
+// lib/forecast.js — fill-level forecasting shared by /predict, /pickups and the backtest
+//
+// Models (all work on hourly points [{ timestamp, percent_full }], oldest first):
+//   ma        legacy: slope between the last two 5-point moving averages
+//   cycle     least-squares line through the current fill cycle (since the last emptying)
+//   seasonal  cycle rate shaped by the bin's learned hour-of-day / day-of-week fill profile
+// Every model returns the same shape: level, rate, confidence bands and ETA ranges.
+const { DROP_PCT } = require("./collections");
+
+const HOUR_MS = 3600 * 1000;
+const MODELS = ["seasonal", "cycle", "ma"];
+const DEFAULT_MODEL = MODELS.includes(process.env.FORECAST_MODEL) ? process.env.FORECAST_MODEL : "seasonal";
+const Z = 1.645;                 // two-sided 90% bands
+const MA_WINDOW = 5;
+const MIN_CYCLE_POINTS = 3;      // fewer than this in the cycle -> fall back to the learned mean rate
+const MIN_PROFILE_SAMPLES = 24;  // hourly increments needed before the profile is trusted
+const SHRINK = 3;                // pseudo-samples pulling sparse hour/day buckets toward the mean
+const MAX_ETA_HOURS = 24 * 14;   // ETAs further out than this are reported as null
+
+const prep = (points) => points
+  .filter(p => p && p.percent_full != null)
+  .map(p => ({ t: Date.parse(p.timestamp ?? p.timeISO), pct: p.percent_full }))
+  .filter(p => Number.isFinite(p.t));
+
+const isStep = (a, b) => Math.abs(b.t - a.t - HOUR_MS) < 60 * 1000;
+const isDrop = (a, b) => a.pct - b.pct >= DROP_PCT;
+
+// index of the first point after the last emptying (drop >= DROP_PCT)
+function cycleStart(pts) {
+  for (let i = pts.length - 1; i > 0; i--) if (isDrop(pts[i - 1], pts[i])) return i;
+  return 0;
+}
+
+// least squares pct = a + b * hours; se_b is the standard error of the slope
+function linreg(pts) {
+  const n = pts.length;
+  const t0 = pts[0].t;
+  const xs = pts.map(p => (p.t - t0) / HOUR_MS);
+  const xbar = xs.reduce((s, x) => s + x, 0) / n;
+  const ybar = pts.reduce((s, p) => s + p.pct, 0) / n;
+  let sxx = 0, sxy = 0;
+  for (let i = 0; i < n; i++) { sxx += (xs[i] - xbar) ** 2; sxy += (xs[i] - xbar) * (pts[i].pct - ybar); }
+  const b = sxx > 0 ? sxy / sxx : 0;
+  const a = ybar - b * xbar;
+  const sse = pts.reduce((s, p, i) => s + (p.pct - (a + b * xs[i])) ** 2, 0);
+  const sigma = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+  const se_b = sxx > 0 ? sigma / Math.sqrt(sxx) : 0;
+  return { t0, a, b, sigma, se_b, n, xbar, sxx, xlast: xs[n - 1] };
+}
+
+// Hour-of-day and day-of-week multipliers of the hourly fill rate (server local time; set TZ)
+function learnProfile(pts) {
+  const hod = Array.from({ length: 24 }, () => ({ sum: 0, n: 0 }));
+  const dow = Array.from({ length: 7 }, () => ({ sum: 0, n: 0 }));
+  let sum = 0, n = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    if (!isStep(a, b) || isDrop(a, b)) continue;
+    const inc = b.pct - a.pct;
+    const d = new Date(b.t);
+    hod[d.getHours()].sum += inc; hod[d.getHours()].n += 1;
+    dow[d.getDay()].sum += inc; dow[d.getDay()].n += 1;
+    sum += inc; n += 1;
+  }
+  const mean = n ? sum / n : null;
+  const flat = { hod: Array(24).fill(1), dow: Array(7).fill(1), mean_rate: mean, samples: n, learned: false };
+  if (n < MIN_PROFILE_SAMPLES || !(mean > 0)) return flat;
+  const factor = (b) => Math.max(0, (b.sum + SHRINK * mean) / (b.n + SHRINK) / mean);
+  return { hod: hod.map(factor), dow: dow.map(factor), mean_rate: mean, samples: n, learned: true };
+}
+
+const profileFactor = (profile, t) => {
+  const d = new Date(t);
+  return profile.hod[d.getHours()] * profile.dow[d.getDay()];
+};
+
+// ---- fit: returns the state project() needs
+function fit(points, model = DEFAULT_MODEL) {
+  if (!MODELS.includes(model)) throw new Error(`unknown model: ${model}`);
+  const pts = prep(points);
+  const base = { model, samples: pts.length, cycle_start_iso: null, profile: null };
+  if (!pts.length) return { ...base, level: null, rate: null, status: "insufficient_data" };
+
+  const last = pts.at(-1);
+
+  if (model === "ma") {
+    const ma = pts.map((_, i) => {
+      const slice = pts.slice(Math.max(0, i - MA_WINDOW + 1), i + 1);
+      return slice.reduce((s, p) => s + p.pct, 0) / slice.length;
+    });
+    const rate = ma.length >= 2 ? ma.at(-1) - ma.at(-2) : null;
+    const resid = pts.map((p, i) => p.pct - ma[i]);
+    const sigma = Math.sqrt(resid.reduce((s, r) => s + r * r, 0) / Math.max(1, resid.length - 1));
+    return {
+      ...base, t: last.t, level: ma.at(-1), rate, sigma,
+      se_rate: sigma * Math.SQRT2 / MA_WINDOW, n: pts.length,
+      status: statusOf(ma.at(-1), rate),
+    };
+  }
+
+  const start = cycleStart(pts);
+  const cycle = pts.slice(start);
+  const profile = model === "seasonal" ? learnProfile(pts) : null;
+  const out = { ...base, cycle_start_iso: new Date(cycle[0].t).toISOString(), cycle_samples: cycle.length };
+  if (profile) out.profile = { learned: profile.learned, samples: profile.samples, mean_rate: profile.mean_rate, hod: profile.hod, dow: profile.dow };
+
+  if (cycle.length < MIN_CYCLE_POINTS) {
+    // too early in the cycle for a line: last reading plus the bin's typical rate, if we know it
+    const fallback = profile ?? learnProfile(pts);
+    const rate = fallback.mean_rate > 0 ? fallback.mean_rate : null;
+    return {
+      ...out, t: last.t, level: last.pct, rate, sigma: 0, se_rate: rate ? rate / 2 : 0, n: cycle.length,
+      reg: null, status: rate == null ? "insufficient_data" : statusOf(last.pct, rate),
+    };
+  }
+
+  const reg = linreg(cycle);
+  let rate = reg.b;
+  if (profile && profile.learned) {
+    // de-seasonalise: the fitted slope is the average rate over the cycle's hours
+    const avgFactor = cycle.slice(1).reduce((s, p) => s + profileFactor(profile, p.t), 0) / Math.max(1, cycle.length - 1);
+    if (avgFactor > 0) rate = reg.b / avgFactor;
+  }
+  const level = reg.a + reg.b * reg.xlast;
+  return {
+    ...out, t: last.t, level, rate, sigma: reg.sigma, se_rate: reg.se_b, n: reg.n,
+    reg: { xbar: reg.xbar, sxx: reg.sxx, xlast: reg.xlast },
+    profileFull: profile && profile.learned ? profile : null,
+    status: statusOf(level, rate),
+  };
+}
+
+function statusOf(level, rate) {
+  if (level == null || rate == null) return "insufficient_data";
+  if (level >= 100) return "full";
+  if (rate <= 0) return "stalled";
+  return "ok";
+}
+
+// k hours past the last observation: { mean, lower, upper } (unclamped)
+function stepper(state) {
+  let cum = 0; // sum of rate multipliers up to step k
+  let k = 0;
+  return () => {
+    k += 1;
+    const t = state.t + k * HOUR_MS;
+    cum += state.profileFull ? profileFactor(state.profileFull, t) : 1;
+    const mean = state.level + state.rate * cum;
+    let variance = state.sigma ** 2 + (cum * state.se_rate) ** 2;
+    if (state.reg && state.n > 0) variance += state.sigma ** 2 / state.n;
+    if (state.model === "ma") variance = state.sigma ** 2 * k + (cum * state.se_rate) ** 2;
+    const half = Z * Math.sqrt(variance);
+    return { t, mean, lower: mean - half, upper: mean + half };
+  };
+}
+
+const clampPct = (v) => Math.max(0, Math.min(100, v));
+
+// forecast points for the next `hours` hours
+function project(state, hours) {
+  if (state.level == null || state.rate == null) return [];
+  const next = stepper(state);
+  const points = [];
+  for (let h = 1; h <= hours; h++) {
+    const s = next();
+    points.push({
+      timeISO: new Date(s.t).toISOString(),
+      percent_full: Math.round(clampPct(s.mean)),
+      lower: Math.round(clampPct(s.lower)),
+      upper: Math.round(clampPct(s.upper)),
+    });
+  }
+  return points;
+}
+
+// when mean/upper/lower first reach `target`; upper gives the earliest, lower the latest ETA
+function eta(state, target) {
+  const none = { eta_iso: null, earliest_iso: null, latest_iso: null };
+  if (state.level == null || state.rate == null) return none;
+  if (state.level >= target) {
+    const now = new Date(state.t).toISOString();
+    return { eta_iso: now, earliest_iso: now, latest_iso: now };
+  }
+  const next = stepper(state);
+  let prev = { t: state.t, mean: state.level, lower: state.level, upper: state.level };
+  const found = {};
+  for (let h = 1; h <= MAX_ETA_HOURS && !(found.mean && found.lower && found.upper); h++) {
+    const s = next();
+    for (const key of ["mean", "lower", "upper"]) {
+      if (found[key] || s[key] < target) continue;
+      // interpolate inside the hour
+      const frac = s[key] === prev[key] ? 1 : (target - prev[key]) / (s[key] - prev[key]);
+      found[key] = prev.t + Math.max(0, Math.min(1, frac)) * HOUR_MS;
+    }
+    prev = s;
+  }
+  const iso = (t) => (t ? new Date(t).toISOString() : null);
+  return { eta_iso: iso(found.mean), earliest_iso: iso(found.upper), latest_iso: iso(found.lower) };
+}
+
+// Full forecast for one compartment's hourly points
+function forecast(points, { model = DEFAULT_MODEL, hours = 72 } = {}) {
+  const state = fit(points, model);
+  const e90 = eta(state, 90);
+  const e100 = eta(state, 100);
+  return {
+    model,
+    last_pct: state.level == null ? null : Math.round(clampPct(state.level) * 10) / 10,
+    slope_per_hr: state.rate,
+    slope_stderr: state.se_rate ?? null,
+    cycle_start_iso: state.cycle_start_iso,
+    samples: state.samples,
+    forecast_status: state.status,
+    points: project(state, hours),
+    eta90_iso: e90.eta_iso,
+    eta100_iso: e100.eta_iso,
+    eta90_range: { earliest_iso: e90.earliest_iso, latest_iso: e90.latest_iso },
+    eta100_range: { earliest_iso: e100.earliest_iso, latest_iso: e100.latest_iso },
+    profile: state.profile,
+  };
+}
+
+// Rolling-origin backtest over the last `holdout` hours: fit on everything before each
+// origin, score 1..horizon hours ahead against what was actually measured. Targets that
+// lie across an emptying are skipped (no model predicts a collection).
+function backtest(points, { models = MODELS, horizon = 6, holdout = 48, minTrain = 12 } = {}) {
+  const pts = prep(points);
+  const byTime = new Map(pts.map((p, i) => [p.t, i]));
+  const firstOrigin = Math.max(minTrain - 1, pts.length - 1 - holdout);
+  const origins = [];
+  for (let i = firstOrigin; i < pts.length - 1; i++) origins.push(i);
+
+  const results = {};
+  for (const model of models) {
+    const errs = Array.from({ length: horizon }, () => []);
+    let covered = 0, total = 0;
+    for (const i of origins) {
+      const train = pts.slice(0, i + 1).map(p => ({ timestamp: new Date(p.t).toISOString(), percent_full: p.pct }));
+      const state = fit(train, model);
+      if (state.level == null || state.rate == null) continue;
+      const next = stepper(state);
+      for (let k = 1; k <= horizon; k++) {
+        const s = next();
+        const j = byTime.get(s.t);
+        if (j === undefined) continue;
+        let crossed = false;
+        for (let m = i + 1; m <= j; m++) if (isDrop(pts[m - 1], pts[m])) { crossed = true; break; }
+        if (crossed) break;
+        const actual = pts[j].pct;
+        errs[k - 1].push(clampPct(s.mean) - actual);
+        total += 1;
+        if (actual >= clampPct(s.lower) && actual <= clampPct(s.upper)) covered += 1;
+      }
+    }
+    const all = errs.flat();
+    const mae = (arr) => (arr.length ? arr.reduce((s, e) => s + Math.abs(e), 0) / arr.length : null);
+    results[model] = {
+      n: all.length,
+      mae: mae(all),
+      rmse: all.length ? Math.sqrt(all.reduce((s, e) => s + e * e, 0) / all.length) : null,
+      bias: all.length ? all.reduce((s, e) => s + e, 0) / all.length : null,
+      band_coverage: total ? covered / total : null,
+      by_horizon: errs.map((arr, k) => ({ hours_ahead: k + 1, n: arr.length, mae: mae(arr) })),
+    };
+  }
+
+  const scored = Object.entries(results).filter(([, r]) => r.mae != null).sort((a, b) => a[1].mae - b[1].mae);
+  return {
+    horizon_hours: horizon,
+    holdout_hours: holdout,
+    origins: origins.length,
+    models: results,
+    best_model: scored.length ? scored[0][0] : null,
+  };
+}
+
+module.exports = { MODELS, DEFAULT_MODEL, forecast, backtest };
@@ -0,0 +1,77 @@
+// lib/geocode.js — offline postal code -> lat/lng. No network lookups: exact coordinates come from
+// data/postal_codes.json ({ "238895": [lat, lng], ... }, operator-maintained) or the built-in table
+// of the original fleet; any other Singapore code falls back to the centre of its postal district,
+// found from the code's first two digits (the sector).
+const path = require("path");
+const { DATA_DIR } = require("./binlog");
+const { readJson } = require("./jsonfile");
+
+const POSTAL_TABLE_FILE = path.join(DATA_DIR, "postal_codes.json");
+
+// the demo fleet's codes (see DEMO_POSTALS in demo.js)
+const KNOWN = {
+  "238895": [1.3039, 103.8357],
+  "178903": [1.2925, 103.8520],
+  "520117": [1.3460, 103.9440],
+  "409051": [1.3180, 103.8930],
+  "069120": [1.2770, 103.8450],
+  "149729": [1.2880, 103.8030],
+  "546080": [1.3700, 103.8880],
+  "310158": [1.3330, 103.8490],
+  "650221": [1.3490, 103.7470],
+};
+
+// postal district centres, keyed by the sectors that make up each district
+const DISTRICTS = [
+  [["01", "02", "03", "04", "05", "06"], [1.2840, 103.8510]], // Raffles Place, Marina
+  [["07", "08"], [1.2760, 103.8440]],                         // Tanjong Pagar
+  [["14", "15", "16"], [1.2900, 103.8100]],                   // Queenstown, Tiong Bahru
+  [["09", "10"], [1.2700, 103.8200]],                         // Telok Blangah, HarbourFront
+  [["11", "12", "13"], [1.2950, 103.7750]],                   // Pasir Panjang, Clementi
+  [["17"], [1.2930, 103.8520]],                               // City Hall
+  [["18", "19"], [1.3000, 103.8580]],                         // Beach Road, Bugis
+  [["20", "21"], [1.3080, 103.8520]],                         // Little India
+  [["22", "23"], [1.3040, 103.8320]],                         // Orchard, River Valley
+  [["24", "25", "26", "27"], [1.3150, 103.8000]],             // Tanglin, Holland, Bukit Timah
+  [["28", "29", "30"], [1.3200, 103.8400]],                   // Newton, Novena
+  [["31", "32", "33"], [1.3320, 103.8500]],                   // Toa Payoh, Balestier
+  [["34", "35", "36", "37"], [1.3340, 103.8750]],             // Macpherson, Potong Pasir
+  [["38", "39", "40", "41"], [1.3180, 103.8950]],             // Geylang, Eunos
+  [["42", "43", "44", "45"], [1.3050, 103.9050]],             // Katong, Marine Parade
+  [["46", "47", "48"], [1.3240, 103.9300]],                   // Bedok, Upper East Coast
+  [["49", "50", "81"], [1.3600, 103.9800]],                   // Loyang, Changi
+  [["51", "52"], [1.3500, 103.9450]],                         // Tampines, Pasir Ris
+  [["53", "54", "55", "82"], [1.3700, 103.8900]],             // Serangoon, Hougang, Punggol
+  [["56", "57"], [1.3600, 103.8450]],                         // Bishan, Ang Mo Kio
+  [["58", "59"], [1.3400, 103.7750]],                         // Upper Bukit Timah
+  [["60", "61", "62", "63", "64"], [1.3400, 103.7150]],       // Jurong
+  [["65", "66", "67", "68"], [1.3600, 103.7550]],             // Bukit Batok, Choa Chu Kang
+  [["69", "70", "71"], [1.4000, 103.7100]],                   // Lim Chu Kang, Tengah
+  [["72", "73"], [1.4350, 103.7750]],                         // Kranji, Woodlands
+  [["75", "76"], [1.4250, 103.8350]],                         // Yishun, Sembawang
+  [["77", "78"], [1.3950, 103.8200]],                         // Upper Thomson, Springleaf
+  [["79", "80"], [1.3950, 103.8700]],                         // Seletar
+];
+const SECTORS = new Map(DISTRICTS.flatMap(([sectors, at]) => sectors.map(s => [s, at])));
+
+const validPair = (v) => Array.isArray(v) && v.length === 2 && v.every(n => typeof n === "number" && Number.isFinite(n));
+
+// operator table, read once at start
+const table = (() => {
+  const raw = readJson(POSTAL_TABLE_FILE, {});
+  const out = {};
+  for (const [code, at] of Object.entries(raw && typeof raw === "object" ? raw : {})) if (validPair(at)) out[code] = at;
+  return out;
+})();
+
+// "238895" -> { lat, lng, precision: "postal" | "sector" } or null
+function locate(postalCode) {
+  const code = String(postalCode ?? "").replace(/\D/g, "");
+  if (code.length !== 6) return null;
+  const exact = table[code] || KNOWN[code];
+  if (exact) return { lat: exact[0], lng: exact[1], precision: "postal" };
+  const sector = SECTORS.get(code.slice(0, 2));
+  return sector ? { lat: sector[0], lng: sector[1], precision: "sector" } : null;
+}
+
+module.exports = { locate };
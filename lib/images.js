@@ -0,0 +1,240 @@
+// lib/images.js — frames the Pi classified, linked to their classification id.
+// Originals go to data/images/<yyyy-mm-dd>/<id>.<ext> with a <id>.thumb.jpg next to them;
+// data/images.json indexes them with the model's verdict and the staff review.
+// Low-confidence and overridden items join the review queue; confirmed/relabelled items
+// make up the labelled dataset export (images + CSV/JSON manifest) used for retraining.
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const archiver = require("archiver");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+const { csvCell } = require("./csv");
+const log = require("./log").child("images");
+
+const IMAGES_DIR = path.join(DATA_DIR, "images");
+const INDEX_FILE = path.join(DATA_DIR, "images.json");
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+const REVIEW_BELOW_CONFIDENCE = Number(process.env.REVIEW_BELOW_CONFIDENCE) || 0.6;
+const RETENTION_DAYS = Number(process.env.IMAGE_RETENTION_DAYS) || 90; // frames nobody needed to review
+const THUMB_PX = 240;
+const SWEEP_MS = 6 * 3600 * 1000;
+const SAVE_DEBOUNCE_MS = 2000;
+
+const EXT = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+const VERDICTS = ["recyclable", "non-recyclable", "contaminated"];
+const REVIEW_STATUSES = ["pending", "confirmed", "relabelled", "skipped"];
+const ACTIONS = { confirm: "confirmed", relabel: "relabelled", skip: "skipped" };
+
+const records = new Map(); // classification id -> record
+for (const r of readJson(INDEX_FILE, [])) if (r && r.id) records.set(r.id, r);
+
+let saveTimer = null;
+function save() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeJson(INDEX_FILE, [...records.values()]);
+  }, SAVE_DEBOUNCE_MS);
+  saveTimer.unref();
+}
+
+// ---- decoding (used by ingest before anything is stored)
+function sniff(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buf.length > 12 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+// base64 / data: URL string or an uploaded buffer -> { data, mime } | { code, error }
+function decode(input) {
+  let data = input;
+  if (typeof input === "string") {
+    const b64 = input.replace(/^data:image\/[a-z+.-]+;base64,/i, "").replace(/\s+/g, "");
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(b64)) return { code: "invalid_image", error: "not base64" };
+    data = Buffer.from(b64, "base64");
+  }
+  if (data.length > MAX_IMAGE_BYTES) return { code: "too_large", error: `larger than ${MAX_IMAGE_BYTES} bytes` };
+  const mime = sniff(data);
+  if (!mime) return { code: "invalid_image", error: "must be a JPEG, PNG or WebP image" };
+  return { data, mime };
+}
+
+// ---- storage
+const needsReview = (r) => !!r.override || r.confidence == null || r.confidence < REVIEW_BELOW_CONFIDENCE;
+const abs = (rel) => path.join(IMAGES_DIR, rel);
+
+function view(r) {
+  return {
+    ...r,
+    url: `/api/images/${encodeURIComponent(r.id)}/file`,
+    thumb_url: `/api/images/${encodeURIComponent(r.id)}/thumb`,
+  };
+}
+
+// Store the frame for a classification entry (entry.id must be set) and link it from the entry.
+// The original is written straight away; the thumbnail follows in the background.
+function attach(entry, { data, mime }) {
+  const day = (entry.timestamp || tsISO()).slice(0, 10);
+  const rel = path.join(day, `${entry.id}.${EXT[mime]}`);
+  fs.mkdirSync(path.join(IMAGES_DIR, day), { recursive: true });
+  fs.writeFileSync(abs(rel), data);
+
+  const r = {
+    id: entry.id,
+    bin_id: entry.bin_id ?? null,
+    taken_at: entry.timestamp,
+    file: rel,
+    thumb: null,
+    mime,
+    bytes: data.length,
+    width: null,
+    height: null,
+    label: entry.label ?? null,
+    recyclable: entry.recyclable ?? null,
+    confidence: entry.confidence ?? null,
+    override: Number(entry.override) || 0,
+    source: entry.source,
+    review: { status: "pending", label: null, recyclable: null, note: null, by: null, at: null },
+  };
+  r.needs_review = needsReview(r);
+  records.set(r.id, r);
+  save();
+
+  const thumbRel = path.join(day, `${entry.id}.thumb.jpg`);
+  const img = sharp(data);
+  Promise.all([img.metadata(), img.clone().rotate().resize(THUMB_PX, THUMB_PX, { fit: "inside" }).jpeg({ quality: 75 }).toFile(abs(thumbRel))])
+    .then(([meta]) => {
+      Object.assign(r, { thumb: thumbRel, width: meta.width ?? null, height: meta.height ?? null });
+      save();
+    })
+    .catch((err) => log.warn("thumbnail failed", { id: entry.id, err }));
+
+  const v = view(r);
+  entry.image = { url: v.url, thumb_url: v.thumb_url };
+  return v;
+}
+
+const get = (id) => (records.has(id) ? view(records.get(id)) : null);
+
+function inBins(rows, binIds) {
+  if (!binIds) return rows;
+  const only = new Set(binIds);
+  return rows.filter(r => only.has(r.bin_id));
+}
+
+// files on disk for /file and /thumb (thumb falls back to the original until it exists)
+function fileOf(id, { thumb = false } = {}) {
+  const r = records.get(id);
+  if (!r) return null;
+  const rel = thumb && r.thumb ? r.thumb : r.file;
+  return { path: abs(rel), mime: thumb && r.thumb ? "image/jpeg" : r.mime };
+}
+
+// status: pending (the review queue: needs review, not reviewed yet) | confirmed | relabelled | skipped | all;
+// binIds (a company's bins) limits everything, binId narrows to one of them
+function list({ status = "pending", binId, binIds = null, fromMs = null, toMs = null, limit = 50, offset = 0 } = {}) {
+  let rows = inBins([...records.values()], binIds);
+  if (status === "pending") rows = rows.filter(r => r.needs_review && r.review.status === "pending");
+  else if (status !== "all") rows = rows.filter(r => r.review.status === status);
+  if (binId) rows = rows.filter(r => r.bin_id === binId);
+  if (fromMs != null) rows = rows.filter(r => Date.parse(r.taken_at) >= fromMs);
+  if (toMs != null) rows = rows.filter(r => Date.parse(r.taken_at) <= toMs);
+  rows.sort((a, b) => b.taken_at.localeCompare(a.taken_at));
+  return { total: rows.length, items: rows.slice(offset, offset + limit).map(view) };
+}
+
+const queueSize = (binIds = null) => inBins([...records.values()], binIds).filter(r => r.needs_review && r.review.status === "pending").length;
+
+// { action: confirm|relabel|skip, label?, recyclable?, note? } -> { ok, image } | { ok:false, status, errors }
+function review(id, input = {}, by = null) {
+  const r = records.get(id);
+  if (!r) return { ok: false, status: 404, errors: ["unknown image"] };
+  const errors = [];
+  const status = ACTIONS[input.action];
+  if (!status) errors.push(`action: one of ${Object.keys(ACTIONS).join(", ")}`);
+  if (input.action === "relabel" && (typeof input.label !== "string" || !input.label.trim())) errors.push("label: required string for relabel");
+  if (input.recyclable !== undefined && input.recyclable !== null && !VERDICTS.includes(input.recyclable)) errors.push(`recyclable: one of ${VERDICTS.join(", ")}`);
+  if (input.note !== undefined && input.note !== null && typeof input.note !== "string") errors.push("note: string");
+  if (errors.length) return { ok: false, status: 400, errors };
+
+  r.review = {
+    status,
+    label: status === "skipped" ? null : status === "relabelled" ? input.label.trim() : r.label,
+    recyclable: status === "skipped" ? null : input.recyclable ?? r.recyclable,
+    note: input.note ?? null,
+    by,
+    at: tsISO(),
+  };
+  save();
+  return { ok: true, image: view(r) };
+}
+
+// ---- dataset export: confirmed + relabelled frames, filed by label
+const slug = (s) => String(s || "unlabelled").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "unlabelled";
+
+function datasetItems({ binId, binIds = null, fromMs, toMs } = {}) {
+  return inBins([...records.values()], binIds)
+    .filter(r => r.review.status === "confirmed" || r.review.status === "relabelled")
+    .filter(r => (!binId || r.bin_id === binId)
+      && (fromMs == null || Date.parse(r.taken_at) >= fromMs)
+      && (toMs == null || Date.parse(r.taken_at) <= toMs)
+      && fs.existsSync(abs(r.file)))
+    .sort((a, b) => a.taken_at.localeCompare(b.taken_at));
+}
+
+const MANIFEST_COLUMNS = ["id", "file", "label", "recyclable", "model_label", "model_recyclable", "model_confidence", "review_status", "bin_id", "taken_at", "reviewed_by", "reviewed_at"];
+
+// zip streamed to `out`: images/<label>/<id>.<ext>, manifest.csv, manifest.json
+function exportDataset(out, filters = {}) {
+  const items = datasetItems(filters);
+  const manifest = items.map(r => ({
+    id: r.id,
+    file: `images/${slug(r.review.label)}/${path.basename(r.file)}`,
+    label: r.review.label,
+    recyclable: r.review.recyclable,
+    model_label: r.label,
+    model_recyclable: r.recyclable,
+    model_confidence: r.confidence,
+    review_status: r.review.status,
+    bin_id: r.bin_id,
+    taken_at: r.taken_at,
+    reviewed_by: r.review.by,
+    reviewed_at: r.review.at,
+  }));
+
+  const zip = archiver("zip", { zlib: { level: 1 } }); // images are already compressed
+  zip.on("warning", (err) => log.warn("dataset export", { err }));
+  zip.pipe(out);
+  items.forEach((r, i) => zip.file(abs(r.file), { name: manifest[i].file }));
+  zip.append([MANIFEST_COLUMNS.join(","), ...manifest.map(m => MANIFEST_COLUMNS.map(c => csvCell(m[c])).join(","))].join("\n") + "\n", { name: "manifest.csv" });
+  zip.append(JSON.stringify({ exported_at: tsISO(), count: manifest.length, items: manifest }, null, 2), { name: "manifest.json" });
+  zip.finalize();
+  return { count: items.length, done: new Promise((resolve, reject) => { zip.on("end", resolve); zip.on("error", reject); }) };
+}
+
+// ---- retention: frames that never needed review are dropped after RETENTION_DAYS
+function sweep(now = Date.now()) {
+  const cutoff = now - RETENTION_DAYS * 24 * 3600 * 1000;
+  let removed = 0;
+  for (const r of records.values()) {
+    if (r.needs_review || r.review.status !== "pending" || Date.parse(r.taken_at) >= cutoff) continue;
+    for (const rel of [r.file, r.thumb]) if (rel) fs.rmSync(abs(rel), { force: true });
+    records.delete(r.id);
+    removed++;
+  }
+  if (removed) save();
+  return removed;
+}
+
+function start() {
+  sweep();
+  setInterval(sweep, SWEEP_MS).unref();
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES, REVIEW_BELOW_CONFIDENCE, REVIEW_STATUSES, ACTIONS,
+  decode, attach, get, fileOf, list, queueSize, review, exportDataset, sweep, start,
+};
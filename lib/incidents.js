@@ -0,0 +1,144 @@
+// lib/incidents.js — contaminated-item incidents. Every contaminated classification opens one;
+// staff then override it (the item isn't recyclable after all) or acknowledge it (item removed),
+// and finally resolve it. The original classification is kept on the incident, and every
+// transition is recorded with who, when and an optional note.
+// Lifecycle: open -> overridden | acknowledged -> resolved (overridden may still be acknowledged).
+const path = require("path");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+const log = require("./log").child("incidents");
+
+const INCIDENTS_FILE = path.join(DATA_DIR, "incidents.json");
+const MAX_RESOLVED = 2000;     // resolved incidents kept on disk
+const BACKFILL_DAYS = 30;      // first start: contaminated items this recent become incidents
+
+const STATUSES = ["open", "overridden", "acknowledged", "resolved"];
+// action -> [allowed from-states, resulting state]
+const ACTIONS = {
+  override: [["open"], "overridden"],
+  acknowledge: [["open", "overridden"], "acknowledged"],
+  resolve: [["open", "overridden", "acknowledged"], "resolved"],
+};
+const VERDICTS = ["recyclable", "non-recyclable", "contaminated"];
+
+const emitter = new EventEmitter(); // "incident" (event, incident) with event incident.opened|incident.overridden|incident.acknowledged|incident.resolved
+
+let incidents = [];
+
+// ---- persistence
+function load(store) {
+  const stored = readJson(INCIDENTS_FILE, null);
+  if (Array.isArray(stored)) {
+    incidents = stored;
+    return;
+  }
+  // first start: open incidents for recent contaminated items (already-acknowledged ones as acknowledged)
+  const since = Date.now() - BACKFILL_DAYS * 24 * 3600 * 1000;
+  const rows = store.events({ kinds: ["classification"], fromMs: since, match: { recyclable: "contaminated" }, order: "asc", limit: 10000 });
+  for (const e of rows) {
+    const inc = build(e.data, { at: e.data.timestamp });
+    if (e.acknowledged_at) transition(inc, "acknowledged", { by: e.acknowledged_by, at: new Date(e.acknowledged_at).toISOString(), note: "backfilled" });
+    incidents.push(inc);
+  }
+  save();
+  if (incidents.length) log.info("opened incidents from stored contaminated items", { count: incidents.length });
+}
+
+function save() {
+  const resolved = incidents.filter(i => i.status === "resolved");
+  if (resolved.length > MAX_RESOLVED) {
+    const drop = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED).map(i => i.id));
+    incidents = incidents.filter(i => !drop.has(i.id));
+  }
+  writeJson(INCIDENTS_FILE, incidents);
+}
+
+// ---- lifecycle
+function build(entry, { at = tsISO() } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    classification_id: entry.id,
+    bin_id: entry.bin_id ?? null,
+    label: entry.label ?? null,
+    confidence: entry.confidence ?? null,
+    image: entry.image ?? null,
+    classification: entry, // as classified, never modified
+    status: "open",
+    verdict: null,         // staff verdict once overridden
+    override_id: null,     // stored override entry
+    opened_at: at,
+    updated_at: at,
+    resolved_at: null,
+    transitions: [{ from: null, to: "open", by: entry.source ?? null, at, note: null }],
+  };
+}
+
+function transition(inc, to, { by = null, at = tsISO(), note = null } = {}) {
+  inc.transitions.push({ from: inc.status, to, by, at, note });
+  inc.status = to;
+  inc.updated_at = at;
+  if (to === "resolved") inc.resolved_at = at;
+}
+
+// stored classification -> new incident when it's a contaminated item (overrides never open one)
+function observe(entry) {
+  if (entry.kind !== "classification" || entry.recyclable !== "contaminated" || Number(entry.override)) return null;
+  if (incidents.some(i => i.classification_id === entry.id)) return null;
+  const inc = build(entry);
+  incidents.push(inc);
+  save();
+  emitter.emit("incident", "incident.opened", inc);
+  return inc;
+}
+
+// { note?, recyclable? (override only) } -> { ok, incident } | { ok:false, status, errors }
+function act(id, action, input = {}, by = null) {
+  const inc = incidents.find(i => i.id === id);
+  if (!inc) return { ok: false, status: 404, errors: ["unknown incident"] };
+  const rule = ACTIONS[action];
+  if (!rule) return { ok: false, status: 400, errors: [`action: one of ${Object.keys(ACTIONS).join(", ")}`] };
+  const errors = [];
+  if (input.note !== undefined && input.note !== null && typeof input.note !== "string") errors.push("note: string");
+  if (action === "override" && input.recyclable !== undefined && !VERDICTS.includes(input.recyclable)) errors.push(`recyclable: one of ${VERDICTS.join(", ")}`);
+  if (errors.length) return { ok: false, status: 400, errors };
+  if (!rule[0].includes(inc.status)) {
+    return { ok: false, status: 409, errors: [`cannot ${action} an incident that is ${inc.status}`] };
+  }
+
+  if (action === "override") inc.verdict = input.recyclable ?? "non-recyclable";
+  transition(inc, rule[1], { by, note: input.note?.trim() || null });
+  save();
+  emitter.emit("incident", `incident.${rule[1]}`, inc);
+  return { ok: true, incident: inc };
+}
+
+// the stored override entry that went with an override transition
+function linkOverride(id, overrideId) {
+  const inc = incidents.find(i => i.id === id);
+  if (!inc) return;
+  inc.override_id = overrideId;
+  save();
+}
+
+const get = (id) => incidents.find(i => i.id === id) || null;
+const forClassification = (classificationId) => incidents.find(i => i.classification_id === classificationId) || null;
+
+// newest first; status: a state, "active" (anything not resolved) or "all". binIds (a company's
+// bins) limits the counts too.
+function list({ status = "active", binId, binIds = null, fromMs = null, toMs = null, limit = 100 } = {}) {
+  const only = binIds && new Set(binIds);
+  const scoped = only ? incidents.filter(i => only.has(i.bin_id)) : incidents;
+  let rows = scoped;
+  if (status === "active") rows = rows.filter(i => i.status !== "resolved");
+  else if (status !== "all") rows = rows.filter(i => i.status === status);
+  if (binId) rows = rows.filter(i => i.bin_id === binId);
+  if (fromMs != null) rows = rows.filter(i => Date.parse(i.opened_at) >= fromMs);
+  if (toMs != null) rows = rows.filter(i => Date.parse(i.opened_at) <= toMs);
+  const counts = Object.fromEntries(STATUSES.map(s => [s, scoped.filter(i => i.status === s).length]));
+  return { total: rows.length, counts, items: rows.slice(-limit).reverse() };
+}
+
+module.exports = { STATUSES, ACTIONS, emitter, load, observe, act, linkOverride, get, forClassification, list };
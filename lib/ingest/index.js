@@ -0,0 +1,395 @@
+// lib/ingest/index.js — the gate every device payload passes before it is stored:
+// schema validation (versioned, see schemas.js), normalization, sensor sanity checks and
+// duplicate detection (message id per bin, seq per device stream). Rejected payloads land in a
+// dead-letter store (data/ingest_rejects.json) with field-level errors; accepted/rejected/duplicate
+// counters are kept per device.
+const path = require("path");
+const crypto = require("crypto");
+const Ajv = require("ajv");
+const { DATA_DIR } = require("../binlog");
+const { readJson, writeJson } = require("../jsonfile");
+const { COMPARTMENTS } = require("../fill");
+const { tsISO, toMs } = require("../time");
+const images = require("../images");
+const metrics = require("../metrics");
+const { SCHEMAS, BATCH_ITEM, COMPARTMENT_ALIASES, FLAT_FIELDS, NUMERIC } = require("./schemas");
+
+const REJECTS_FILE = path.join(DATA_DIR, "ingest_rejects.json");
+const SEQS_FILE = path.join(DATA_DIR, "ingest_seqs.json");
+const MAX_REJECTS = 1000;             // newest dead letters kept
+const MAX_PAYLOAD_CHARS = 8192;       // bigger payloads (e.g. inline images) are kept truncated
+const SAVE_DEBOUNCE_MS = 2000;
+
+const MAX_DISTANCE_CM = Number(process.env.INGEST_MAX_DISTANCE_CM) || 400; // ultrasonic sensor range
+const MAX_FUTURE_S = Number(process.env.INGEST_MAX_FUTURE_S) || 300;       // tolerated device clock skew
+const DEDUP_TTL_MS = (Number(process.env.INGEST_DEDUP_TTL_S) || 24 * 3600) * 1000;
+const MAX_DEDUP_KEYS = 50000;
+const MAX_SEQS_PER_STREAM = 20000;            // seqs remembered per device stream; older ones count as seen
+const STREAM_IDLE_MS = 30 * 24 * 3600 * 1000; // streams silent this long are forgotten
+
+// channel -> schema name; POST /update carries either kind and is told apart by its fields
+const CHANNELS = {
+  "pi:sensors": () => "sensors",
+  "pi:vision": () => "classification",
+  "mqtt:sensors": () => "sensors",
+  "mqtt:vision": () => "classification",
+  "http:update": (p) => ("label" in p || "recyclable" in p || "override" in p ? "classification" : "sensors"),
+  "http:snapshot": () => "snapshot",
+  "batch:sensors": () => "sensors",
+  "batch:classification": () => "classification",
+  "batch": () => "batch",
+};
+
+const ajv = new Ajv({ allErrors: true, strict: true, allowUnionTypes: true });
+const validators = {};
+for (const [name, versions] of Object.entries(SCHEMAS)) {
+  validators[name] = {};
+  for (const [v, schema] of Object.entries(versions)) validators[name][v] = ajv.compile(schema);
+}
+const validateBatchItem = ajv.compile(BATCH_ITEM);
+
+let rejects = [];
+let counters = {}; // origin -> { accepted, rejected, duplicates, by_code, last_accepted_at, last_rejected_at, bin_id }
+const recentIds = new Map(); // "bin:id" -> ms first seen (insertion order = age)
+const streams = new Map();   // "origin" or "origin/boot_id" -> { floor, seqs: Set, last_at }; seq <= floor counts as seen
+
+const stored = readJson(REJECTS_FILE, null);
+if (stored) {
+  rejects = Array.isArray(stored.items) ? stored.items : [];
+  counters = stored.counters && typeof stored.counters === "object" ? stored.counters : {};
+}
+for (const [k, st] of Object.entries(readJson(SEQS_FILE, {}))) {
+  streams.set(k, { floor: st.floor ?? -1, seqs: new Set(st.seqs || []), last_at: st.last_at || 0 });
+}
+
+let saveTimer = null;
+function save() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeJson(REJECTS_FILE, { counters, items: rejects });
+    writeJson(SEQS_FILE, Object.fromEntries([...streams].map(([k, st]) => [k, { floor: st.floor, seqs: [...st.seqs], last_at: st.last_at }])));
+  }, SAVE_DEBOUNCE_MS);
+  saveTimer.unref();
+}
+
+// ---- errors: [{ path, code, message }]
+const fieldError = (p, code, message) => ({ path: p || "/", code, message });
+
+function fromAjv(errors) {
+  return errors.map((e) => {
+    if (e.keyword === "additionalProperties") return fieldError(`${e.instancePath}/${e.params.additionalProperty}`, "unknown_field", "unknown field");
+    if (e.keyword === "required") return fieldError(`${e.instancePath}/${e.params.missingProperty}`, "required", "is required");
+    if (e.keyword === "pattern" && e.params.pattern === NUMERIC) return fieldError(e.instancePath, "type", "must be a number");
+    if (e.keyword === "enum") return fieldError(e.instancePath, "enum", `must be one of ${e.params.allowedValues.join(", ")}`);
+    return fieldError(e.instancePath, e.keyword, e.message);
+  });
+}
+
+// ---- normalization (payloads here have passed their schema)
+function numOrNull(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v === "string" && v.trim() !== "") {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+const safeStr = (v) => (v == null ? undefined : String(v).trim() || undefined);
+
+function readingOf(src) {
+  const out = {};
+  const u = numOrNull(src.ultrasonic ?? src.distance ?? src.dist);
+  const w = numOrNull(src.weight);
+  if (u != null) out.ultrasonic = u;
+  if (w != null) out.weight = w;
+  return out;
+}
+
+// { recycle?: {ultrasonic?, weight?}, general?: {...} } from nested aliases or a flat reading
+function normalizeSensors(s = {}) {
+  const out = {};
+  if (!s || typeof s !== "object") return out;
+  for (const c of COMPARTMENTS) {
+    const src = COMPARTMENT_ALIASES[c].map(k => s[k]).find(v => v && typeof v === "object");
+    if (src) out[c] = readingOf(src);
+  }
+  if (!out.recycle && !out.general && FLAT_FIELDS.some(k => s[k] != null)) out.recycle = readingOf(s);
+  return out;
+}
+
+// ISO timestamp from an ISO string or epoch ms; defaults to now when absent
+function normalizeTimestamp(ts) {
+  if (ts === undefined || ts === null || ts === "") return tsISO();
+  const ms = toMs(ts);
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+function normalizeClassification(source, p = {}) {
+  const override = p.override === 1 || p.override === "1" ? 1 : Number(p.override) || 0;
+  const recyRaw = (p.recyclable ?? "").toString().trim().toLowerCase();
+  const recyclable =
+    recyRaw === "recyclable" || recyRaw === "non-recyclable" || recyRaw === "contaminated" ? recyRaw : undefined;
+
+  return {
+    source,
+    kind: "classification",
+    bin_id: safeStr(p.bin_id),
+    label: safeStr(p.label),
+    confidence: numOrNull(p.confidence),
+    time_ms: numOrNull(p.time_ms),
+    timestamp: normalizeTimestamp(p.timestamp) ?? p.timestamp,
+    recyclable,
+    sensors: p.sensors ? normalizeSensors(p.sensors) : undefined,
+    override,
+  };
+}
+
+function normalizeSensorsEntry(source, p = {}) {
+  return {
+    source,
+    kind: "sensors",
+    bin_id: safeStr(p.bin_id),
+    timestamp: normalizeTimestamp(p.timestamp) ?? p.timestamp,
+    sensors: normalizeSensors(p.sensors || p),
+  };
+}
+
+// ---- sanity checks on the normalized entry
+function checkReadings(sensors, base, errors) {
+  for (const [c, r] of Object.entries(sensors || {})) {
+    if (r.ultrasonic != null && (r.ultrasonic < 0 || r.ultrasonic > MAX_DISTANCE_CM)) {
+      errors.push(fieldError(`${base}/${c}/ultrasonic`, "out_of_range", `distance must be within 0–${MAX_DISTANCE_CM} cm`));
+    }
+    if (r.weight != null && r.weight < 0) errors.push(fieldError(`${base}/${c}/weight`, "negative_weight", "weight must not be negative"));
+  }
+}
+
+function checkTimestamp(raw, errors) {
+  if (raw === undefined || raw === null || raw === "") return;
+  const ms = toMs(raw);
+  if (ms == null) return errors.push(fieldError("/timestamp", "invalid_timestamp", "must be an ISO 8601 timestamp or epoch ms"));
+  if (ms > Date.now() + MAX_FUTURE_S * 1000) errors.push(fieldError("/timestamp", "future_timestamp", `is more than ${MAX_FUTURE_S} s in the future`));
+}
+
+function sanity(schema, p, entry) {
+  const errors = [];
+  checkTimestamp(p.timestamp, errors);
+  if (schema === "sensors") {
+    if (!Object.values(entry.sensors).some(r => r.ultrasonic != null || r.weight != null)) {
+      errors.push(fieldError("/sensors", "empty", "no compartment readings"));
+    }
+    checkReadings(entry.sensors, "/sensors", errors);
+  } else if (schema === "classification") {
+    if (entry.confidence != null && (entry.confidence < 0 || entry.confidence > 1)) errors.push(fieldError("/confidence", "out_of_range", "must be within 0–1"));
+    if (entry.time_ms != null && entry.time_ms < 0) errors.push(fieldError("/time_ms", "out_of_range", "must not be negative"));
+    if (entry.sensors) checkReadings(entry.sensors, "/sensors", errors);
+  } else if (schema === "snapshot") {
+    if (p.distance_cm < 0 || p.distance_cm > MAX_DISTANCE_CM) errors.push(fieldError("/distance_cm", "out_of_range", `must be within 0–${MAX_DISTANCE_CM} cm`));
+  }
+  return errors;
+}
+
+// ---- duplicates: the same message id from the same bin within DEDUP_TTL ...
+function idSeen(key) {
+  const now = Date.now();
+  for (const [k, t] of recentIds) {
+    if (t > now - DEDUP_TTL_MS && recentIds.size <= MAX_DEDUP_KEYS) break;
+    recentIds.delete(k);
+  }
+  return recentIds.has(key);
+}
+
+// ... or the same seq from the same device stream (kept across restarts)
+const streamKey = (origin, bootId) => (bootId ? `${origin}/${bootId}` : origin);
+function seqSeen(key, seq) {
+  const st = streams.get(key);
+  return !!st && (seq <= st.floor || st.seqs.has(seq));
+}
+function rememberSeq(key, seq) {
+  const now = Date.now();
+  let st = streams.get(key);
+  if (!st) streams.set(key, (st = { floor: -1, seqs: new Set(), last_at: now }));
+  st.seqs.add(seq);
+  st.last_at = now;
+  if (st.seqs.size > MAX_SEQS_PER_STREAM) {
+    // forget the oldest tenth; anything at or below the new floor is treated as already received
+    const sorted = [...st.seqs].sort((a, b) => a - b);
+    const cut = Math.ceil(MAX_SEQS_PER_STREAM / 10);
+    st.floor = Math.max(st.floor, sorted[cut - 1]);
+    st.seqs = new Set(sorted.slice(cut));
+  }
+  for (const [k, other] of streams) if (other.last_at < now - STREAM_IDLE_MS) streams.delete(k);
+}
+
+// ---- counters + dead letters
+// bin_id is the last bin the origin reported for, so counters can be scoped to a company
+function count(origin, field, codes = [], binId = null) {
+  const c = counters[origin] || (counters[origin] = { accepted: 0, rejected: 0, duplicates: 0, by_code: {}, last_accepted_at: null, last_rejected_at: null });
+  c[field] += 1;
+  if (binId) c.bin_id = binId;
+  if (field === "accepted") c.last_accepted_at = tsISO();
+  else c.last_rejected_at = tsISO();
+  for (const code of codes) c.by_code[code] = (c.by_code[code] || 0) + 1;
+  save();
+}
+
+function keepPayload(payload) {
+  let s;
+  try { s = JSON.stringify(payload); } catch { s = String(payload); }
+  if (s === undefined) return { payload: null };
+  return s.length > MAX_PAYLOAD_CHARS ? { payload: s.slice(0, MAX_PAYLOAD_CHARS), payload_truncated: true } : { payload };
+}
+
+// store one rejected payload; `key` makes re-reported rows (e.g. a bad file line seen on every start) idempotent
+function deadLetter({ channel, schema = null, origin = null, binId = null, errors, payload, key = null }) {
+  if (key && rejects.some(r => r.key === key)) return null;
+  const item = {
+    id: crypto.randomUUID(),
+    at: tsISO(),
+    channel,
+    schema,
+    origin,
+    bin_id: binId,
+    errors,
+    ...(key ? { key } : {}),
+    ...keepPayload(payload),
+  };
+  rejects.push(item);
+  if (rejects.length > MAX_REJECTS) rejects.splice(0, rejects.length - MAX_REJECTS);
+  if (origin) count(origin, "rejected", [...new Set(errors.map(e => e.code))], binId);
+  save();
+  return item;
+}
+
+// bad line in a store file (replayed log or imported JSONL)
+function badRow({ file, line, raw, error }) {
+  const name = path.basename(file);
+  return deadLetter({
+    channel: "store:file",
+    origin: `file:${name}`,
+    errors: [fieldError("/", "unreadable_row", error)],
+    payload: raw,
+    key: `${name}:${line}:${crypto.createHash("sha1").update(raw).digest("hex").slice(0, 12)}`,
+  });
+}
+
+// Validate, normalize and sanity-check one payload.
+// -> { ok: true, schema, entry?, image? } | { ok: false, status: 409|422, error, schema, errors, reject_id? }
+// `source` labels the stored entry (sio-sensors, http-update, ...); `origin` is the device (or user) for the
+// counters and seq dedup; `bootId` separates a device's seq streams across counter resets; `upload` is an
+// image file that came with a multipart post. `image` ({ data, mime }) is the decoded frame, if any.
+function check(channel, payload, { source = channel, origin = null, bootId = null, upload = null } = {}) {
+  const p = payload && typeof payload === "object" && !Array.isArray(payload) ? payload : null;
+  const name = p ? CHANNELS[channel](p) : CHANNELS[channel]({});
+  const v = p && p.v !== undefined ? p.v : 1;
+  // only integer versions are looked up; anything else ("__proto__", "constructor", objects) is unsupported
+  const known = Number.isInteger(v) && Object.hasOwn(validators[name], v);
+  const schemaId = `${name}/v${Number.isInteger(v) ? v : "?"}`;
+  const binId = (p && safeStr(name === "snapshot" ? p.id : p.bin_id)) ?? null;
+  const fail = (status, error, errors, { letter = true } = {}) => {
+    metrics.ingestRejected.inc({ channel, reason: status === 409 ? "duplicate" : "invalid" });
+    const item = letter ? deadLetter({ channel, schema: schemaId, origin, binId, errors, payload }) : null;
+    return { ok: false, status, error, schema: schemaId, errors, ...(item ? { reject_id: item.id } : {}) };
+  };
+
+  if (!p) return fail(422, "Payload failed validation", [fieldError("/", "type", "must be a JSON object")]);
+  const validate = known ? validators[name][v] : null;
+  if (!validate) return fail(422, "Unsupported schema version", [fieldError("/v", "version", `supported: ${Object.keys(validators[name]).join(", ")}`)]);
+  if (!validate(p)) return fail(422, "Payload failed validation", fromAjv(validate.errors));
+
+  const entry = name === "classification" ? normalizeClassification(source, p)
+    : name === "sensors" ? normalizeSensorsEntry(source, p)
+      : null;
+  const errors = sanity(name, p, entry);
+  let image = null;
+  if (p.image !== undefined || upload) {
+    if (upload && !validate.schema.properties.image) {
+      errors.push(fieldError("/image", "unknown_field", `images need ${name} schema v2 or later`));
+    } else if (upload && p.image !== undefined) {
+      errors.push(fieldError("/image", "conflict", "send the image inline or as a file, not both"));
+    } else {
+      image = images.decode(upload ? upload.buffer : p.image);
+      if (image.error) errors.push(fieldError("/image", image.code, image.error));
+    }
+  }
+  if (errors.length) return fail(422, "Payload failed sanity checks", errors);
+
+  const idKey = name !== "snapshot" && p.id !== undefined ? `${binId || ""}:${p.id}` : null;
+  const seqKey = p.seq !== undefined && origin ? streamKey(origin, bootId) : null;
+  const dupOf = (seqKey && seqSeen(seqKey, p.seq) && "/seq") || (idKey && idSeen(idKey) && "/id");
+  if (dupOf) {
+    if (origin) count(origin, "duplicates", [], binId);
+    return fail(409, "Duplicate message", [fieldError(dupOf, "duplicate", "already received")], { letter: false });
+  }
+  if (idKey) recentIds.set(idKey, Date.now());
+  if (seqKey) rememberSeq(seqKey, p.seq);
+
+  if (origin && name !== "batch") count(origin, "accepted", [], binId); // a batch's items are counted one by one
+  return { ok: true, schema: schemaId, entry, ...(image ? { image } : {}) };
+}
+
+// A batch of buffered items: the envelope must be valid (else the whole batch fails like check()),
+// then each item is checked on its own. Accepted entries come back in time order (seq breaks ties),
+// with their decoded frames (or null) at the same index in `images`.
+// -> { ok: true, schema, results: [{ index, seq, status: accepted|duplicate|rejected, errors?, reject_id? }], entries, images }
+// `binId` (a device key's bin) overrides whatever bin the batch names.
+function checkBatch(payload, { source = "batch", origin = null, binId = null } = {}) {
+  const env = check("batch", payload, { origin });
+  if (!env.ok) return env;
+  const results = [];
+  const accepted = [];
+  payload.items.forEach((item, index) => {
+    const seq = Number.isInteger(item.seq) ? item.seq : null;
+    if (!validateBatchItem(item)) {
+      const errors = fromAjv(validateBatchItem.errors).map(e => ({ ...e, path: `/items/${index}${e.path === "/" ? "" : e.path}` }));
+      const letter = deadLetter({ channel: "batch", schema: "batch/v1", origin, binId: binId ?? payload.bin_id ?? null, errors, payload: item });
+      return results.push({ index, seq, status: "rejected", errors, reject_id: letter.id });
+    }
+    const { kind, ...rest } = item;
+    const r = check(`batch:${kind}`, { ...rest, bin_id: binId ?? rest.bin_id ?? payload.bin_id }, { source, origin, bootId: payload.boot_id });
+    if (r.ok) {
+      accepted.push({ seq, entry: r.entry, image: r.image ?? null });
+      return results.push({ index, seq, status: "accepted" });
+    }
+    const errors = r.errors.map(e => ({ ...e, path: `/items/${index}${e.path === "/" ? "" : e.path}` }));
+    results.push({ index, seq, status: r.status === 409 ? "duplicate" : "rejected", errors, ...(r.reject_id ? { reject_id: r.reject_id } : {}) });
+  });
+  accepted.sort((a, b) => Date.parse(a.entry.timestamp) - Date.parse(b.entry.timestamp) || a.seq - b.seq);
+  return { ok: true, schema: env.schema, results, entries: accepted.map(a => a.entry), images: accepted.map(a => a.image) };
+}
+
+// newest first; filters: origin (device), bin_id, channel, code. inScope(binId) limits everything
+// to what one company may see.
+function listRejects({ origin, binId, channel, code, inScope = null, limit = 100 } = {}) {
+  let rows = inScope ? rejects.filter(r => inScope(r.bin_id)) : rejects;
+  if (origin) rows = rows.filter(r => r.origin === origin);
+  if (binId) rows = rows.filter(r => r.bin_id === binId);
+  if (channel) rows = rows.filter(r => r.channel === channel);
+  if (code) rows = rows.filter(r => r.errors.some(e => e.code === code));
+  return { total: rows.length, items: rows.slice(-limit).reverse() };
+}
+
+const getReject = (id) => rejects.find(r => r.id === id) || null;
+
+function clearRejects(inScope = null) {
+  const n = rejects.length;
+  rejects = inScope ? rejects.filter(r => !inScope(r.bin_id)) : [];
+  save();
+  return n - rejects.length;
+}
+
+const stats = (inScope = null) => (inScope ? Object.fromEntries(Object.entries(counters).filter(([, c]) => inScope(c.bin_id ?? null))) : counters);
+
+function describe() {
+  return {
+    channels: Object.fromEntries(Object.keys(CHANNELS).map(ch => [ch, ch === "http:update" ? ["classification", "sensors"] : [CHANNELS[ch]({})]])),
+    schemas: SCHEMAS,
+    limits: { max_distance_cm: MAX_DISTANCE_CM, max_future_s: MAX_FUTURE_S, dedup_ttl_s: DEDUP_TTL_MS / 1000 },
+  };
+}
+
+module.exports = {
+  check, checkBatch, deadLetter, badRow, listRejects, getReject, clearRejects, stats, describe,
+  normalizeClassification, normalizeSensors,
+};
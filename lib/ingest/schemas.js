@@ -0,0 +1,125 @@
+// lib/ingest/schemas.js — versioned JSON Schemas for everything devices send us.
+// A payload names its version with `v` (absent = 1). New fields or stricter rules go in a
+// new version; existing versions are never edited once devices depend on them.
+const { COMPARTMENTS } = require("../fill");
+
+// numbers may arrive as numeric strings ("12.5"); null means the sensor had no reading
+const NUMERIC = "^[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?$";
+const num = { type: ["number", "string", "null"], pattern: NUMERIC };
+const str = (maxLength = 100) => ({ type: "string", minLength: 1, maxLength });
+const timestamp = { type: ["string", "integer"], description: "ISO 8601 or epoch ms" };
+
+// aliases the Pis have used for each compartment
+const COMPARTMENT_ALIASES = {
+  recycle: ["recycle", "recyclable", "blue", "comp1"],
+  general: ["general", "non-recyclable", "trash", "black", "comp2", "nonrecycle"],
+};
+// flat (single-compartment) readings; they always meant the recycle side
+const FLAT_FIELDS = ["ultrasonic", "distance", "dist", "weight"];
+
+const reading = {
+  type: "object",
+  properties: { ultrasonic: num, distance: num, dist: num, weight: num },
+  additionalProperties: false,
+};
+const readingFields = () => ({
+  ...Object.fromEntries(Object.values(COMPARTMENT_ALIASES).flat().map(k => [k, reading])),
+  ...Object.fromEntries(FLAT_FIELDS.map(k => [k, num])),
+});
+const sensorsBlock = { type: "object", properties: readingFields(), additionalProperties: false };
+
+const MAX_BATCH_ITEMS = 1000;
+
+// fields every device message may carry
+const envelope = {
+  v: { const: 1 },
+  id: str(64),          // message id, used to drop duplicates
+  seq: { type: "integer", minimum: 0 },
+  bin_id: str(64),
+  device_id: str(64),
+  timestamp,
+};
+
+const MAX_IMAGE_CHARS = 14 * 1024 * 1024; // base64 of ~10 MB, inside the 15 MB body limit
+
+const classificationFields = (v) => ({
+  ...envelope,
+  v: { const: v },
+  label: str(100),
+  recyclable: { enum: ["recyclable", "non-recyclable", "contaminated"] },
+  confidence: num,
+  time_ms: num,
+  override: { enum: [0, 1, "0", "1"] },
+  sensors: sensorsBlock,
+});
+
+const SCHEMAS = {
+  // pi:sensors, bins/{id}/sensors (MQTT), POST /update with readings: nested { sensors: {recycle, general} } or the readings at the top level
+  sensors: {
+    1: {
+      $id: "smartbin/sensors/v1",
+      type: "object",
+      properties: { ...envelope, sensors: sensorsBlock, ...readingFields() },
+      additionalProperties: false,
+    },
+  },
+  // pi:vision, bins/{id}/vision (MQTT), POST /update with label/recyclable/override
+  classification: {
+    1: {
+      $id: "smartbin/classification/v1",
+      type: "object",
+      properties: classificationFields(1),
+      additionalProperties: false,
+    },
+    // v2: optional frame the model classified (base64 or a data: URL; multipart uploads send it as a file)
+    2: {
+      $id: "smartbin/classification/v2",
+      type: "object",
+      properties: { ...classificationFields(2), image: { type: "string", minLength: 1, maxLength: MAX_IMAGE_CHARS } },
+      additionalProperties: false,
+    },
+  },
+  // POST /api/ingest/batch, pi:batch, bins/{id}/batch (MQTT) — readings/classifications buffered while offline.
+  // Items are checked one by one (BATCH_ITEM, then their kind's schema) so one bad item doesn't hold up the rest.
+  batch: {
+    1: {
+      $id: "smartbin/batch/v1",
+      type: "object",
+      required: ["items"],
+      properties: {
+        v: { const: 1 },
+        bin_id: str(64),
+        device_id: str(64),
+        boot_id: str(64), // changes whenever the device's seq counter starts over
+        items: { type: "array", minItems: 1, maxItems: MAX_BATCH_ITEMS, items: { type: "object" } },
+      },
+      additionalProperties: false,
+    },
+  },
+  // POST /api/bins/snapshot
+  snapshot: {
+    1: {
+      $id: "smartbin/snapshot/v1",
+      type: "object",
+      required: ["id", "distance_cm"],
+      properties: {
+        v: { const: 1 },
+        id: str(64),
+        distance_cm: { type: "number" },
+        compartment: { enum: COMPARTMENTS },
+        postalCode: { type: "string", pattern: "^\\d{6}$" },
+      },
+      additionalProperties: false,
+    },
+  },
+};
+
+// one batch item: { kind, seq, timestamp, ...fields of that kind's schema }
+const BATCH_ITEM = {
+  $id: "smartbin/batch-item/v1",
+  type: "object",
+  required: ["kind", "seq", "timestamp"],
+  properties: { kind: { enum: ["sensors", "classification"] }, seq: envelope.seq, timestamp },
+};
+
+module.exports = { SCHEMAS, BATCH_ITEM, MAX_BATCH_ITEMS, COMPARTMENT_ALIASES, FLAT_FIELDS, NUMERIC };
@@ -0,0 +1,21 @@
+// lib/jsonfile.js — small JSON documents under data/ (read with fallback, atomic write)
+const fs = require("fs");
+const log = require("./log");
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    log.error("could not read JSON file", { file, err });
+    return fallback;
+  }
+}
+
+function writeJson(file, data) {
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJson };
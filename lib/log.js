@@ -0,0 +1,23 @@
+// lib/log.js — structured logs: one JSON object per line, { time, level, component?, msg, ...fields }.
+// info/debug go to stdout, warn/error to stderr. LOG_LEVEL=debug|info|warn|error (default info).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// errors keep their message (and stack); everything else is logged as given
+const field = (v) => (v instanceof Error ? { message: v.message, ...(v.stack ? { stack: v.stack } : {}) } : v);
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const line = { time: new Date().toISOString(), level, ...bindings, msg };
+  for (const [k, v] of Object.entries(fields)) line[k] = field(v);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(line) + "\n");
+}
+
+// log.child("mqtt").info("device online", { bin_id }) -> {"level":"info","component":"mqtt","msg":"device online","bin_id":...}
+function logger(bindings = {}) {
+  const out = { child: (component) => logger({ ...bindings, component }) };
+  for (const level of Object.keys(LEVELS)) out[level] = (msg, fields) => write(level, bindings, msg, fields);
+  return out;
+}
+
+module.exports = logger();
@@ -0,0 +1,115 @@
+// lib/metrics.js — Prometheus metrics for GET /metrics. Counters are bumped where things happen;
+// gauges for live state (connections, per-bin readings) are read from the sources server.js
+// registers with use() at scrape time.
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "smartbin_" });
+
+let sources = {
+  sockets: () => ({ device: 0, dashboard: 0 }), // connected Socket.IO clients by kind
+  devices: () => 0,                              // devices currently online (Socket.IO or MQTT)
+  bins: () => [],                                // [{ bin_id, last_reading_ms, fill: { recycle: pct, general: pct } }]
+};
+const use = (s) => { sources = { ...sources, ...s }; };
+
+const ingestAccepted = new client.Counter({
+  name: "smartbin_ingest_entries_total",
+  help: "Entries stored, by source (sio-sensors, http-update, http-bins-snapshot, web-override, mqtt-*, ...) and kind",
+  labelNames: ["source", "kind"],
+  registers: [registry],
+});
+
+const ingestRejected = new client.Counter({
+  name: "smartbin_ingest_rejected_total",
+  help: "Payloads turned away, by ingest channel and reason (invalid | duplicate)",
+  labelNames: ["channel", "reason"],
+  registers: [registry],
+});
+
+const classifications = new client.Counter({
+  name: "smartbin_classifications_total",
+  help: "Classifications stored, by recyclable verdict and whether staff overrode it",
+  labelNames: ["recyclable", "override"],
+  registers: [registry],
+});
+
+const commands = new client.Counter({
+  name: "smartbin_commands_total",
+  help: "Command status changes (sent = delivered as pi:cmd or over MQTT), by action and status",
+  labelNames: ["action", "status"],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: "smartbin_http_request_duration_seconds",
+  help: "HTTP request latency by route",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+new client.Gauge({
+  name: "smartbin_socketio_clients",
+  help: "Connected Socket.IO clients, by kind (device | dashboard)",
+  labelNames: ["kind"],
+  registers: [registry],
+  collect() {
+    for (const [kind, n] of Object.entries(sources.sockets())) this.set({ kind }, n);
+  },
+});
+
+new client.Gauge({
+  name: "smartbin_devices_online",
+  help: "Devices currently online",
+  registers: [registry],
+  collect() {
+    this.set(sources.devices());
+  },
+});
+
+new client.Gauge({
+  name: "smartbin_bin_last_reading_age_seconds",
+  help: "Seconds since the bin's last sensor reading",
+  labelNames: ["bin_id"],
+  registers: [registry],
+  collect() {
+    this.reset(); // bins that dropped out of retention disappear
+    for (const b of sources.bins()) this.set({ bin_id: b.bin_id }, (Date.now() - b.last_reading_ms) / 1000);
+  },
+});
+
+new client.Gauge({
+  name: "smartbin_bin_fill_percent",
+  help: "Fill percent from the bin's last reading, by compartment",
+  labelNames: ["bin_id", "compartment"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const b of sources.bins()) {
+      for (const [compartment, pct] of Object.entries(b.fill)) if (pct != null) this.set({ bin_id: b.bin_id, compartment }, pct);
+    }
+  },
+});
+
+// express middleware: latency per matched route ("static" for files, "unmatched" for 404s)
+function httpMetrics(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on("finish", () => {
+    let route = res.statusCode === 404 ? "unmatched" : "static";
+    if (req.route) {
+      route = req.baseUrl + (Array.isArray(req.route.path) ? req.route.path[0] : req.route.path);
+      if (route.length > 1) route = route.replace(/\/$/, ""); // router roots: "/api/devices/" -> "/api/devices"
+    }
+    end({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+const render = () => registry.metrics();
+
+module.exports = {
+  contentType: registry.contentType,
+  use, render, httpMetrics,
+  ingestAccepted, ingestRejected, classifications, commands,
+};
@@ -0,0 +1,207 @@
+// lib/mqttbridge.js — MQTT alongside Socket.IO, for bins whose boards (ESP32) can't run a
+// Socket.IO client. Payloads are the same as the pi:* events; the bin id comes from the topic.
+//   bins/{id}/sensors   device -> server   as pi:sensors
+//   bins/{id}/vision    device -> server   as pi:vision
+//   bins/{id}/batch     device -> server   as pi:batch
+//   bins/{id}/status    device -> server   "online" | "offline" | { status, device_id?, firmware?, model?, ...heartbeat };
+//                                          set the LWT to "offline" (retained) and re-send status as a heartbeat
+//   bins/{id}/cmd       server -> device   queued commands, as pi:cmd (QoS 1)
+//   bins/{id}/cmd/ack   device -> server   { id, ok, result?, error? }
+//   bins/{id}/errors    server -> device   rejected payloads, as server:error
+// MQTT_URL bridges an existing broker (credentials in MQTT_USERNAME/MQTT_PASSWORD; topic ACLs are
+// the broker's job). MQTT_PORT runs an embedded broker instead, where a device logs in with its
+// device key as the password and may only use its own bin's topics.
+const net = require("net");
+const crypto = require("crypto");
+const auth = require("./auth");
+const ingest = require("./ingest");
+const devices = require("./devices");
+const commands = require("./commands");
+const log = require("./log").child("mqtt");
+
+const MQTT_URL = process.env.MQTT_URL || null;
+const MQTT_PORT = Number(process.env.MQTT_PORT) || null;
+const PREFIX = "bins";
+const FROM_DEVICE = ["sensors", "vision", "batch", "status", "cmd/ack"];
+const TO_DEVICE = ["cmd", "errors"];
+
+let publish = null;           // (topic, payload) -> void, once started
+let handlers = null;          // { store(entry, image), batch(payload, { origin, binId }) }
+const online = new Set();     // bin ids with a device on MQTT
+const deviceIds = new Map();  // bin id -> device id from its status messages
+const pending = new Map();    // command id -> { binId, done, timer }
+
+// "bins/BIN-001/cmd/ack" -> { binId: "BIN-001", channel: "cmd/ack" }
+function parseTopic(topic) {
+  const m = /^bins\/([^/+#]+)\/(.+)$/.exec(topic);
+  return m ? { binId: m[1], channel: m[2] } : null;
+}
+
+function parseJson(buf) {
+  try {
+    return JSON.parse(buf.toString("utf8"));
+  } catch {
+    return undefined;
+  }
+}
+
+// devices are tracked by a pseudo socket id so lib/devices can treat both transports alike
+const socketIdOf = (binId) => `mqtt:${binId}`;
+const originOf = (binId) => deviceIds.get(binId) || binId;
+
+function sendError(binId, event, err) {
+  publish(`${PREFIX}/${binId}/errors`, { event, ...err });
+}
+
+// ---- device -> server
+function onStatus(binId, raw, { ip = null } = {}) {
+  const text = raw.toString("utf8").trim();
+  const p = text.startsWith("{") ? parseJson(raw) || {} : { status: text };
+  const status = String(p.status ?? (p.online === false ? "offline" : "online")).toLowerCase();
+  if (p.device_id) deviceIds.set(binId, String(p.device_id));
+
+  if (status === "offline") return wentOffline(binId, p.reason || "lwt");
+  if (!online.has(binId)) {
+    online.add(binId);
+    devices.hello({ ...p, bin_id: binId, device_id: originOf(binId) }, { socketId: socketIdOf(binId), ip });
+    log.info("device online", { bin_id: binId, device_id: originOf(binId) });
+    commands.flush(binId); // deliver anything queued while it was away
+  } else {
+    devices.heartbeat(socketIdOf(binId), p); // repeated status doubles as the heartbeat
+  }
+}
+
+function wentOffline(binId, reason) {
+  if (!online.delete(binId)) return;
+  devices.disconnect(socketIdOf(binId), reason);
+  log.info("device offline", { bin_id: binId, reason });
+}
+
+function onIngest(binId, channel, raw) {
+  const event = `mqtt:${channel}`;
+  const p = parseJson(raw);
+  const body = p && typeof p === "object" && !Array.isArray(p) ? { ...p, bin_id: binId } : p;
+  devices.touch(socketIdOf(binId));
+
+  if (channel === "batch") {
+    const { status, ...result } = handlers.batch(body, { origin: originOf(binId), binId });
+    if (!result.ok) sendError(binId, event, result);
+    return;
+  }
+  const r = ingest.check(event, body, { source: `mqtt-${channel}`, origin: originOf(binId) });
+  if (!r.ok) {
+    const { ok, ...err } = r;
+    return sendError(binId, event, err);
+  }
+  handlers.store(r.entry, r.image);
+}
+
+// only the bin a command went to can ack it
+function onCommandAck(binId, raw) {
+  const p = parseJson(raw);
+  const waiting = p && pending.get(p.id);
+  if (!waiting) return;
+  if (waiting.binId !== binId) {
+    log.warn("command ack from another bin ignored", { command_id: p.id, bin_id: binId, command_bin_id: waiting.binId });
+    return;
+  }
+  pending.delete(p.id);
+  clearTimeout(waiting.timer);
+  waiting.done(null, [p]);
+}
+
+function onMessage(topic, payload, meta) {
+  const t = parseTopic(topic);
+  if (!t || !FROM_DEVICE.includes(t.channel)) return; // our own cmd/errors publishes, or foreign topics
+  try {
+    if (t.channel === "status") onStatus(t.binId, payload, meta);
+    else if (t.channel === "cmd/ack") onCommandAck(t.binId, payload);
+    else onIngest(t.binId, t.channel, payload);
+  } catch (err) {
+    log.error("message failed", { topic, err });
+  }
+}
+
+// ---- server -> device: commands.js delivers here when the bin has no Socket.IO connection
+const transport = {
+  name: "mqtt",
+  connected: (binId) => online.has(binId),
+  deliver(wire, timeoutMs, done) {
+    const timer = setTimeout(() => {
+      pending.delete(wire.id);
+      done(new Error("ack timeout"), []);
+    }, timeoutMs);
+    timer.unref();
+    pending.set(wire.id, { binId: wire.bin_id, done, timer });
+    publish(`${PREFIX}/${wire.bin_id}/cmd`, wire);
+  },
+};
+
+// ---- brokers
+function startEmbedded(port) {
+  const aedes = require("aedes")();
+
+  // device key as the password; the username is free-form (usually the bin id)
+  aedes.authenticate = (client, _username, password, callback) => {
+    const device = password ? auth.deviceFromKey(password.toString("utf8")) : null;
+    if (!device) {
+      const err = new Error("bad device key");
+      err.returnCode = 4;
+      return callback(err, false);
+    }
+    client.device = device;
+    callback(null, true);
+  };
+  const allowed = (client, topic, channels) => {
+    const t = parseTopic(topic);
+    return !!t && !!client.device && auth.isKeyActive(client.device.key_id) && t.binId === client.device.bin_id && channels.includes(t.channel);
+  };
+  aedes.authorizePublish = (client, packet, callback) => {
+    if (!client) return callback(null); // a stored LWT published on behalf of a gone client
+    callback(allowed(client, packet.topic, FROM_DEVICE) ? null : new Error(`not allowed to publish to ${packet.topic}`));
+  };
+  aedes.authorizeSubscribe = (client, sub, callback) => {
+    callback(null, allowed(client, sub.topic, TO_DEVICE) ? sub : null);
+  };
+
+  aedes.subscribe(`${PREFIX}/#`, (packet, cb) => {
+    onMessage(packet.topic, packet.payload, { ip: null });
+    cb();
+  });
+  // a dropped connection fires the LWT; a clean disconnect without "offline" still means offline
+  aedes.on("clientDisconnect", (client) => {
+    if (client.device) wentOffline(client.device.bin_id, "disconnected");
+  });
+
+  publish = (topic, payload) => aedes.publish({ topic, payload: Buffer.from(JSON.stringify(payload)), qos: 1, retain: false }, () => { });
+  const server = net.createServer(aedes.handle);
+  server.on("error", (err) => log.error("broker error", { err }));
+  server.listen(port, () => log.info("broker listening", { port }));
+}
+
+function startClient(url) {
+  const mqtt = require("mqtt");
+  const client = mqtt.connect(url, {
+    clientId: `smartbin-server-${crypto.randomBytes(4).toString("hex")}`,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+  });
+  client.on("connect", () => {
+    log.info("bridge connected", { url });
+    client.subscribe(FROM_DEVICE.map(c => `${PREFIX}/+/${c}`), { qos: 1 });
+  });
+  client.on("message", (topic, payload) => onMessage(topic, payload, {}));
+  client.on("error", (err) => log.error("bridge error", { err }));
+  publish = (topic, payload) => client.publish(topic, JSON.stringify(payload), { qos: 1 });
+}
+
+// no-op unless MQTT_URL or MQTT_PORT is set
+function start(opts) {
+  if (!MQTT_URL && !MQTT_PORT) return;
+  handlers = opts;
+  if (MQTT_PORT) startEmbedded(MQTT_PORT);
+  else startClient(MQTT_URL);
+  commands.addTransport(transport);
+}
+
+module.exports = { start };
@@ -0,0 +1,232 @@
+// lib/notify.js — alert delivery channels: generic webhook and SMTP email
+// Each company configures its own channels (data/notify.json, set by its admins through
+// PUT /api/alerts/channels/:channel); an alert goes out through its company's config only.
+// The environment (ALERT_WEBHOOK_URL, SMTP_HOST, ...) stands in for the default company's channels
+// it hasn't configured, so a local stand-in (a request bin on localhost, MailHog/smtp4dev on :1025)
+// can still be swapped in without code changes.
+// A company's webhook may not point into the server's own networks (loopback, private, link-local,
+// unique-local): checked on the URL when it's set and on every address its host resolves to when
+// it's called. ALERT_WEBHOOK_ALLOW_HOSTS (comma-separated hostnames) lifts that for named hosts.
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const nodemailer = require("nodemailer");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const companies = require("./companies");
+
+const NOTIFY_FILE = path.join(DATA_DIR, "notify.json");
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// { [companyId]: { webhook?: { url, secret }, email?: { host, port, secure, user, pass, from, to } } }
+let stored = readJson(NOTIFY_FILE, {});
+if (!stored || typeof stored !== "object" || Array.isArray(stored)) stored = {};
+const save = () => writeJson(NOTIFY_FILE, stored);
+
+const ENV = {
+  webhook: () => process.env.ALERT_WEBHOOK_URL ? {
+    url: process.env.ALERT_WEBHOOK_URL,
+    secret: process.env.ALERT_WEBHOOK_SECRET || null,
+  } : null,
+  email: () => process.env.SMTP_HOST ? {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: /^(1|true|yes)$/i.test(process.env.SMTP_SECURE || ""),
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.ALERT_EMAIL_FROM || "smartbin@localhost",
+    to: (process.env.ALERT_EMAIL_TO || "").split(",").map(s => s.trim()).filter(Boolean),
+  } : null,
+};
+
+// -> { config, source: "company" | "env" } or null
+function configOf(companyId, name) {
+  const own = stored[companyId]?.[name];
+  if (own) return { config: own, source: "company" };
+  const env = companyId === companies.DEFAULT_COMPANY ? ENV[name]() : null;
+  return env ? { config: env, source: "env" } : null;
+}
+
+// the URL's path and query often carry the hook's token; admins see scheme and host only
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}/…`;
+  } catch {
+    return "…";
+  }
+}
+
+const INTERNAL = new net.BlockList(); // IPv4-mapped IPv6 addresses match their IPv4 subnet
+for (const [a, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]) {
+  INTERNAL.addSubnet(a, bits, "ipv4");
+}
+for (const [a, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) INTERNAL.addSubnet(a, bits, "ipv6");
+const isInternal = (address) => INTERNAL.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+const ipOf = (hostname) => {
+  const h = hostname.replace(/^\[|\]$/g, ""); // URL keeps IPv6 hosts in brackets
+  return net.isIP(h) ? h : null;
+};
+const allowedHost = (hostname) => (process.env.ALERT_WEBHOOK_ALLOW_HOSTS || "").split(",").map(s => s.trim().toLowerCase()).includes(hostname.toLowerCase());
+
+// dns.lookup that refuses internal addresses, so a name can't be re-pointed inward after it was set
+function externalLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isInternal(a.address));
+    if (bad) return callback(new Error(`${hostname} resolves to internal address ${bad.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST without following redirects (a redirect could lead inward too); -> HTTP status
+function post(url, headers, body, lookup) {
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === "https:" ? https : http).request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (res) => {
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+const isStr = (v) => typeof v === "string" && v.trim().length > 0;
+const optStr = (v) => v === undefined || v === null || typeof v === "string";
+
+const CHANNELS = {
+  webhook: {
+    configured: (c) => !!c.url,
+    describe: (c) => ({ url: redactUrl(c.url), signed: !!c.secret }),
+    // { url, secret? }
+    validate(input) {
+      const errors = [];
+      let url = null;
+      try { url = isStr(input.url) ? new URL(input.url) : null; } catch { /* reported below */ }
+      if (!url || !["http:", "https:"].includes(url.protocol)) errors.push("url: http(s) URL required");
+      else if (!allowedHost(url.hostname) && ipOf(url.hostname) && isInternal(ipOf(url.hostname))) {
+        errors.push("url: loopback, private and link-local addresses are not allowed");
+      }
+      if (!optStr(input.secret)) errors.push("secret: string");
+      return { errors, value: { url: input.url, secret: input.secret || null } };
+    },
+    // POST { event, alert } as JSON; signed with HMAC-SHA256 when a secret is set.
+    // The env URL is the operator's own and may be internal; a company's may not.
+    async send({ url, secret }, event, alert, source) {
+      const target = new URL(url);
+      const guarded = source === "company" && !allowedHost(target.hostname);
+      const ip = ipOf(target.hostname);
+      if (guarded && ip && isInternal(ip)) throw new Error(`internal address ${ip} refused`);
+      const body = JSON.stringify({ event, alert, sent_at: new Date().toISOString() });
+      const headers = { "Content-Type": "application/json" };
+      if (secret) headers["X-SmartBin-Signature"] = "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+      const status = await post(target, headers, body, guarded ? externalLookup : undefined);
+      if (status < 200 || status > 299) throw new Error(`webhook responded HTTP ${status}`);
+    },
+  },
+
+  email: {
+    configured: (c) => !!(c.host && c.to.length),
+    describe: (c) => ({ host: c.host, port: c.port, secure: c.secure, from: c.from, to: c.to }),
+    // { host, to: [address], port?, secure?, user?, pass?, from? }
+    validate(input) {
+      const errors = [];
+      const port = input.port ?? 587;
+      if (!isStr(input.host)) errors.push("host: required string");
+      if (!Number.isInteger(port) || port < 1 || port > 65535) errors.push("port: integer 1-65535");
+      if (input.secure !== undefined && typeof input.secure !== "boolean") errors.push("secure: boolean");
+      for (const k of ["user", "pass", "from"]) if (!optStr(input[k])) errors.push(`${k}: string`);
+      if (!Array.isArray(input.to) || !input.to.length || !input.to.every(a => isStr(a) && a.includes("@"))) errors.push("to: non-empty array of email addresses");
+      const value = {
+        host: input.host, port, secure: input.secure ?? false,
+        user: input.user || null, pass: input.pass || null,
+        from: input.from || "smartbin@localhost", to: input.to,
+      };
+      return { errors, value };
+    },
+    async send(c, event, alert) {
+      const transport = nodemailer.createTransport({
+        host: c.host,
+        port: c.port,
+        secure: c.secure,
+        auth: c.user ? { user: c.user, pass: c.pass } : undefined,
+      });
+      const subject = `[SmartBin ${alert.severity}] ${event === "alert.resolved" ? "Resolved: " : ""}${alert.message}`;
+      const text = [
+        alert.message,
+        "",
+        `Bin: ${alert.bin_id ?? "—"}${alert.compartment ? ` (${alert.compartment})` : ""}`,
+        `Rule: ${alert.rule_id}`,
+        `Status: ${alert.status}`,
+        `Opened: ${alert.opened_at}`,
+        alert.resolved_at ? `Resolved: ${alert.resolved_at}` : null,
+        "",
+        JSON.stringify(alert.details ?? {}, null, 2),
+      ].filter(l => l !== null).join("\n");
+      await transport.sendMail({ from: c.from, to: c.to.join(", "), subject, text });
+    },
+  },
+};
+
+// Deliver to each named channel of the alert's company; never throws, returns one result per channel
+async function deliver(channels, event, alert) {
+  const companyId = alert.company_id ?? companies.DEFAULT_COMPANY;
+  const results = [];
+  for (const name of channels) {
+    const ch = CHANNELS[name];
+    const at = new Date().toISOString();
+    if (!ch) { results.push({ channel: name, ok: false, at, error: "unknown channel" }); continue; }
+    const found = configOf(companyId, name);
+    if (!found || !ch.configured(found.config)) { results.push({ channel: name, ok: false, at, error: "not configured" }); continue; }
+    try {
+      await ch.send(found.config, event, alert, found.source);
+      results.push({ channel: name, ok: true, at, event });
+    } catch (err) {
+      results.push({ channel: name, ok: false, at, event, error: err.message });
+    }
+  }
+  return results;
+}
+
+// a company's channels without secrets: { webhook: { configured, source?, url, signed }, email: { ... } }
+function describe(companyId) {
+  return Object.fromEntries(Object.entries(CHANNELS).map(([name, ch]) => {
+    const found = configOf(companyId, name);
+    if (!found) return [name, { configured: false }];
+    return [name, { configured: ch.configured(found.config), source: found.source, ...ch.describe(found.config) }];
+  }));
+}
+
+// replace a company's config for one channel (null clears it); -> { ok, channel } or { ok: false, status, errors }
+function configure(companyId, name, input) {
+  const ch = Object.hasOwn(CHANNELS, name) ? CHANNELS[name] : null;
+  if (!ch) return { ok: false, status: 404, errors: [`unknown channel (use ${Object.keys(CHANNELS).join(", ")})`] };
+  if (input === null) {
+    if (stored[companyId]) delete stored[companyId][name];
+  } else {
+    if (!input || typeof input !== "object" || Array.isArray(input)) return { ok: false, status: 400, errors: ["body: JSON object required"] };
+    const { errors, value } = ch.validate(input);
+    if (errors.length) return { ok: false, status: 400, errors };
+    stored[companyId] = { ...stored[companyId], [name]: value };
+  }
+  save();
+  return { ok: true, channel: describe(companyId)[name] };
+}
+
+// a deleted company's channels go with it (a new company under the same id starts unconfigured)
+function forget(companyId) {
+  if (!stored[companyId]) return;
+  delete stored[companyId];
+  save();
+}
+
+module.exports = { CHANNEL_NAMES: Object.keys(CHANNELS), deliver, describe, configure, forget };
@@ -0,0 +1,74 @@
+// lib/pickups.js — which bins need emptying and when (shared by /api/pickups and route planning)
+const datasource = require("./datasource");
+const forecast = require("./forecast");
+const collections = require("./collections");
+const registry = require("./registry");
+const { COMPARTMENTS } = require("./fill");
+
+// Forecast window: seasonal profiles learn from up to 30 days of hourly points
+const FORECAST_HISTORY_HOURS = 24 * 30;
+
+// Compartment that reaches 100% first; falls back to the fuller one when neither has an ETA
+function limitingCompartment(compartments, pctOf) {
+  let best = null;
+  for (const c of COMPARTMENTS) {
+    const v = compartments[c];
+    if (!v) continue;
+    if (!best) { best = c; continue; }
+    const b = compartments[best];
+    if (v.eta100_iso && (!b.eta100_iso || v.eta100_iso < b.eta100_iso)) best = c;
+    else if (!v.eta100_iso && !b.eta100_iso && (pctOf(v) ?? 0) > (pctOf(b) ?? 0)) best = c;
+  }
+  return best;
+}
+
+// One row per bin due within horizonHours (null: every bin with an ETA), soonest ETA 100% first
+function pickupItems({ model = forecast.DEFAULT_MODEL, horizonHours = 168, binIds = datasource.listBinIds() } = {}) {
+  const horizonEnd = horizonHours == null ? null : new Date(Date.now() + horizonHours * 3600e3).toISOString();
+
+  return binIds.map(bin_id => {
+    const { data_source, points: h } = datasource.getHistory(bin_id, FORECAST_HISTORY_HOURS);
+    const latest = datasource.getLatest(bin_id);
+
+    const compartments = {};
+    for (const c of COMPARTMENTS) {
+      const series = datasource.compartmentSeries(h, c);
+      const last = latest?.compartments[c];
+      if (!series.length || !last) { compartments[c] = null; continue; }
+
+      const f = forecast.forecast(series, { model, hours: 0 });
+      compartments[c] = {
+        current_percent: last.percent_full,
+        current_distance_cm: last.distance_cm,
+        slope_per_hr: f.slope_per_hr,
+        eta90_iso: f.eta90_iso,
+        eta100_iso: f.eta100_iso,
+        eta100_range: f.eta100_range,
+        forecast_status: f.forecast_status,
+      };
+    }
+
+    const limiting = limitingCompartment(compartments, (v) => v.current_percent);
+    const top = limiting ? compartments[limiting] : null;
+
+    return {
+      bin_id,
+      postalCode: registry.postalOf(bin_id),
+      current_percent: top ? top.current_percent : 0,
+      current_distance_cm: top ? top.current_distance_cm : null,
+      slope_per_hr: top ? top.slope_per_hr : null,
+      eta90_iso: top ? top.eta90_iso : null,
+      eta100_iso: top ? top.eta100_iso : null,
+      eta100_range: top ? top.eta100_range : null,
+      forecast_status: top ? top.forecast_status : "insufficient_data",
+      limiting_compartment: limiting,
+      compartments,
+      last_collected_iso: collections.lastFor(bin_id)?.detected_at ?? null,
+      data_source
+    };
+  })
+    .filter(x => x.eta100_iso && (!horizonEnd || x.eta100_iso <= horizonEnd)) // keep those due within the horizon
+    .sort((a, b) => new Date(a.eta100_iso) - new Date(b.eta100_iso)); // soonest first
+}
+
+module.exports = { FORECAST_HISTORY_HOURS, limitingCompartment, pickupItems };
@@ -0,0 +1,162 @@
+// lib/query.js — time-range queries over stored readings and classifications:
+// filters, keyset cursor pagination and bucketed aggregation (15m | 1h | 1d).
+// Readings come back with per-compartment fill computed from the bin's registry calibration.
+const store = require("./store");
+const registry = require("./registry");
+const { COMPARTMENTS, percentFull } = require("./fill");
+const { aggregate, bucketOf, RESOLUTIONS } = require("./store/common");
+
+// bucket param -> store resolution; 1h/1d read the stored rollups, 15m aggregates raw readings
+const BUCKETS = { "15m": "15m", "1h": "hour", "1d": "day" };
+const EVENT_KINDS = ["classification", "override", "acknowledgement"];
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_AGG_EVENTS = 100000; // events scanned for one bucketed classification query
+
+// ---- cursors: opaque base64url of the last row's sort key, { t, seq } for rows and { t, bin } for
+// buckets. Every field the keyset query uses is checked here, so a forged cursor never reaches the store.
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString("base64url");
+function decodeCursor(s, { bucketed = false } = {}) {
+  if (s == null || s === "") return { key: null };
+  try {
+    const key = JSON.parse(Buffer.from(String(s), "base64url").toString("utf8"));
+    if (key && typeof key === "object" && Number.isFinite(key.t)) {
+      if (bucketed && typeof key.bin === "string") return { key: { t: key.t, bin: key.bin } };
+      if (!bucketed && Number.isSafeInteger(key.seq)) return { key: { t: key.t, seq: key.seq } };
+    }
+  } catch { /* fall through */ }
+  return { error: "cursor: invalid" };
+}
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+const pct = (binId, c, dist) => (dist == null ? null : percentFull(dist, registry.calibration(binId, c)));
+
+// page = rows + next_cursor when there may be more
+function page(rows, limit, keyOf) {
+  const more = rows.length > limit;
+  const items = more ? rows.slice(0, limit) : rows;
+  return { items, next_cursor: more ? encodeCursor(keyOf(items[items.length - 1])) : null };
+}
+
+// ---- readings
+function readingView(r, compartments) {
+  const out = { bin_id: r.bin_id, timestamp: new Date(r.t).toISOString() };
+  for (const c of compartments) {
+    const v = r[c];
+    out[c] = v ? { distance_cm: v.distance_cm, percent_full: pct(r.bin_id, c, v.distance_cm), weight: v.weight ?? null } : null;
+  }
+  return out;
+}
+
+// raw rows; order asc|desc; cursor from a previous page
+function readings({ binIds, fromMs, toMs, compartments = COMPARTMENTS, limit = DEFAULT_LIMIT, cursor = null, order = "asc" }) {
+  const rows = store.readings({ binIds, fromMs, toMs, after: cursor, order, limit: limit + 1 });
+  const p = page(rows, limit, r => ({ t: r.t, seq: r.seq }));
+  return { ...p, items: p.items.map(r => readingView(r, compartments)) };
+}
+
+// rollup rows (distance stats) -> per bin+bucket items with fill stats per compartment.
+// Distance and fill are inversely related: the closest reading is the fullest.
+function bucketView(rows, bucket, compartments) {
+  const size = RESOLUTIONS[BUCKETS[bucket]];
+  const byKey = new Map();
+  for (const r of rows) {
+    if (!compartments.includes(r.compartment)) continue;
+    const k = `${r.bucket}/${r.bin_id}`;
+    if (!byKey.has(k)) {
+      byKey.set(k, {
+        bin_id: r.bin_id,
+        bucket_start: new Date(r.bucket).toISOString(),
+        bucket_end: new Date(r.bucket + size).toISOString(),
+        ...Object.fromEntries(compartments.map(c => [c, null])),
+        _t: r.bucket,
+      });
+    }
+    byKey.get(k)[r.compartment] = {
+      samples: r.n,
+      percent_full_min: pct(r.bin_id, r.compartment, r.dist_max),
+      percent_full_max: pct(r.bin_id, r.compartment, r.dist_min),
+      percent_full_avg: pct(r.bin_id, r.compartment, r.dist_avg),
+      percent_full_last: pct(r.bin_id, r.compartment, r.dist_last),
+      distance_cm_avg: round1(r.dist_avg),
+      weight_avg: round1(r.weight_avg),
+      weight_last: r.weight_last ?? null,
+    };
+  }
+  return [...byKey.values()].sort((a, b) => a._t - b._t || a.bin_id.localeCompare(b.bin_id));
+}
+
+function readingBuckets({ binIds, fromMs, toMs, bucket, compartments = COMPARTMENTS, limit = DEFAULT_LIMIT, cursor = null, order = "asc" }) {
+  const resolution = BUCKETS[bucket];
+  // rollup rows are keyed by bucket start, so widen `from` to the bucket containing it
+  const from = fromMs != null ? bucketOf(fromMs, resolution) : null;
+  let rows;
+  if (resolution === "15m") {
+    const raw = store.readings({ binIds, fromMs: from, toMs });
+    const ids = [...new Set(raw.map(r => r.bin_id))];
+    rows = ids.flatMap(id => aggregate(id, raw.filter(r => r.bin_id === id), "15m"));
+  } else {
+    const ids = binIds?.length ? binIds : [undefined];
+    rows = ids.flatMap(id => store.rollups({ binId: id, resolution, fromMs: from, toMs }));
+  }
+  let items = bucketView(rows, bucket, compartments);
+  if (order === "desc") items.reverse();
+  // cursor = { t: bucket start, bin } of the last item
+  if (cursor) {
+    const after = (x) => (x._t - cursor.t || x.bin_id.localeCompare(cursor.bin)) * (order === "desc" ? -1 : 1) > 0;
+    items = items.filter(after);
+  }
+  const p = page(items.slice(0, limit + 1), limit, x => ({ t: x._t, bin: x.bin_id }));
+  return { ...p, items: p.items.map(({ _t, ...x }) => x) };
+}
+
+// ---- classifications (stored entries: classifications, overrides, acknowledgements)
+function classifications({ binIds, fromMs, toMs, kinds, match, limit = DEFAULT_LIMIT, cursor = null, order = "asc" }) {
+  const rows = store.events({ kinds, binIds, fromMs, toMs, match, after: cursor, order, limit: limit + 1 });
+  const p = page(rows, limit, e => ({ t: e.t, seq: e.seq }));
+  return {
+    ...p,
+    items: p.items.map(e => ({
+      ...e.data,
+      id: e.id,
+      kind: e.kind,
+      bin_id: e.bin_id,
+      timestamp: e.data?.timestamp ?? new Date(e.t).toISOString(),
+      acknowledged_at: e.acknowledged_at ? new Date(e.acknowledged_at).toISOString() : null,
+      acknowledged_by: e.acknowledged_by ?? null,
+    })),
+  };
+}
+
+// counts per bucket: total, per label, per recyclable verdict, overrides
+function classificationBuckets({ binIds, fromMs, toMs, kinds, match, bucket, order = "asc" }) {
+  const size = RESOLUTIONS[BUCKETS[bucket]];
+  const rows = store.events({ kinds, binIds, fromMs, toMs, match, order: "asc", limit: MAX_AGG_EVENTS + 1 });
+  const truncated = rows.length > MAX_AGG_EVENTS;
+  const buckets = new Map();
+  const totals = { total: 0, by_label: {}, by_recyclable: {}, overrides: 0 };
+  const bump = (o, k) => { o[k] = (o[k] || 0) + 1; };
+
+  for (const e of rows.slice(0, MAX_AGG_EVENTS)) {
+    const t = Math.floor(e.t / size) * size;
+    if (!buckets.has(t)) {
+      buckets.set(t, { bucket_start: new Date(t).toISOString(), bucket_end: new Date(t + size).toISOString(), total: 0, by_label: {}, by_recyclable: {}, overrides: 0 });
+    }
+    const label = e.data?.label ?? "unknown";
+    const verdict = e.data?.recyclable ?? "unknown";
+    for (const b of [buckets.get(t), totals]) {
+      b.total += 1;
+      bump(b.by_label, label);
+      bump(b.by_recyclable, verdict);
+      if (Number(e.data?.override)) b.overrides += 1;
+    }
+  }
+  const items = [...buckets.values()];
+  if (order === "desc") items.reverse();
+  return { items, totals, truncated };
+}
+
+module.exports = {
+  BUCKETS, EVENT_KINDS, DEFAULT_LIMIT, MAX_LIMIT,
+  decodeCursor, readings, readingBuckets, classifications, classificationBuckets,
+};
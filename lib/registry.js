@@ -0,0 +1,245 @@
+// lib/registry.js — persisted bin registry (data/registry.json)
+// Per-bin compartment heights, empty-distance calibration, location, capacity (litres and,
+// for bins with load cells, max_weight_kg per compartment), alert thresholds and active/decommissioned status.
+// lat/lng follow the postal code (lib/geocode) until they are set by hand; geo_source says which:
+// "manual", "postal" (exact code), "sector" (postal district centre) or null (not located).
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const geocode = require("./geocode");
+const { BIN_HEIGHT_CM, COMPARTMENTS, DEFAULT_CALIBRATION, DEFAULT_THRESHOLDS } = require("./fill");
+
+const REGISTRY_FILE = path.join(DATA_DIR, "registry.json");
+const STATUSES = ["active", "decommissioned"];
+
+// Map<binId, record>
+const bins = new Map();
+
+function load() {
+  if (!fs.existsSync(REGISTRY_FILE)) return; // a fresh install starts with no bins
+  const rows = readJson(REGISTRY_FILE, []);
+  let located = 0;
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || !row.id) continue;
+    const rec = withDefaults(row);
+    // records from before geocoding get their coordinates from the postal code once
+    if (row.geo_source === undefined && rec.geo_source === null && rec.postal_code) {
+      bins.set(row.id, geolocate(rec));
+      located++;
+    } else bins.set(row.id, rec);
+  }
+  if (located) save();
+}
+
+const save = () => writeJson(REGISTRY_FILE, [...bins.values()]);
+
+// { binId: postal code } registered on an empty registry (demo mode's fleet, see lib/demo)
+function seed(postals) {
+  if (bins.size || fs.existsSync(REGISTRY_FILE)) return 0;
+  const now = new Date().toISOString();
+  for (const [id, postal_code] of Object.entries(postals)) {
+    bins.set(id, geolocate(withDefaults({ id, postal_code, created_at: now, updated_at: now })));
+  }
+  save();
+  return bins.size;
+}
+
+function withDefaults(row) {
+  const compartments = {};
+  for (const c of COMPARTMENTS) {
+    const src = row.compartments?.[c] || {};
+    const height_cm = src.height_cm ?? BIN_HEIGHT_CM;
+    compartments[c] = { ...src, height_cm, empty_distance_cm: src.empty_distance_cm ?? height_cm };
+  }
+  return {
+    id: row.id,
+    status: row.status ?? "active",
+    postal_code: row.postal_code ?? null,
+    lat: row.lat ?? null,
+    lng: row.lng ?? null,
+    geo_source: row.geo_source ?? (row.lat != null && row.lng != null ? "manual" : null),
+    capacity_l: row.capacity_l ?? null,
+    compartments,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(row.thresholds || {}) },
+    created_at: row.created_at ?? null,
+    updated_at: row.updated_at ?? null,
+  };
+}
+
+// Registered record, or the defaults an unregistered bin is measured with
+function resolve(id) {
+  if (bins.has(id)) return { ...bins.get(id), registered: true };
+  return { ...withDefaults({ id }), registered: false };
+}
+
+const calibration = (id, compartment) => resolve(id).compartments[compartment] || DEFAULT_CALIBRATION;
+const thresholds = (id) => resolve(id).thresholds;
+const postalOf = (id) => bins.get(id)?.postal_code ?? null;
+const isDecommissioned = (id) => bins.get(id)?.status === "decommissioned";
+
+function list({ status } = {}) {
+  const rows = [...bins.values()];
+  return (status ? rows.filter(b => b.status === status) : rows).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// ---- validation: returns { errors: string[], value } (value only holds provided fields)
+const posNum = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+const nonNegNum = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const pctNum = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0 && v <= 100;
+
+function validate(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!partial) {
+    if (typeof input.id !== "string" || !input.id.trim()) errors.push("id: required string");
+    else value.id = input.id.trim();
+  }
+  if (input.status !== undefined) {
+    if (!STATUSES.includes(input.status)) errors.push(`status: one of ${STATUSES.join(", ")}`);
+    else value.status = input.status;
+  }
+  if (input.postal_code !== undefined) {
+    if (input.postal_code !== null && !/^\d{6}$/.test(String(input.postal_code))) errors.push("postal_code: 6 digits or null");
+    else value.postal_code = input.postal_code === null ? null : String(input.postal_code);
+  }
+  if (input.lat !== undefined) {
+    if (input.lat !== null && !(typeof input.lat === "number" && input.lat >= -90 && input.lat <= 90)) errors.push("lat: number in [-90, 90] or null");
+    else value.lat = input.lat;
+  }
+  if (input.lng !== undefined) {
+    if (input.lng !== null && !(typeof input.lng === "number" && input.lng >= -180 && input.lng <= 180)) errors.push("lng: number in [-180, 180] or null");
+    else value.lng = input.lng;
+  }
+  if (input.capacity_l !== undefined) {
+    if (input.capacity_l !== null && !posNum(input.capacity_l)) errors.push("capacity_l: positive number or null");
+    else value.capacity_l = input.capacity_l;
+  }
+  if (input.compartments !== undefined) {
+    if (!input.compartments || typeof input.compartments !== "object") errors.push("compartments: object");
+    else {
+      value.compartments = {};
+      for (const [c, src] of Object.entries(input.compartments)) {
+        if (!COMPARTMENTS.includes(c)) { errors.push(`compartments.${c}: unknown compartment`); continue; }
+        if (!src || typeof src !== "object") { errors.push(`compartments.${c}: object`); continue; }
+        const out = {};
+        if (src.height_cm !== undefined) {
+          if (!posNum(src.height_cm)) errors.push(`compartments.${c}.height_cm: positive number`);
+          else out.height_cm = src.height_cm;
+        }
+        if (src.empty_distance_cm !== undefined) {
+          if (!posNum(src.empty_distance_cm)) errors.push(`compartments.${c}.empty_distance_cm: positive number`);
+          else out.empty_distance_cm = src.empty_distance_cm;
+        }
+        if (src.capacity_l !== undefined) {
+          if (src.capacity_l !== null && !posNum(src.capacity_l)) errors.push(`compartments.${c}.capacity_l: positive number or null`);
+          else out.capacity_l = src.capacity_l;
+        }
+        if (src.max_weight_kg !== undefined) {
+          if (src.max_weight_kg !== null && !posNum(src.max_weight_kg)) errors.push(`compartments.${c}.max_weight_kg: positive number or null`);
+          else out.max_weight_kg = src.max_weight_kg;
+        }
+        value.compartments[c] = out;
+      }
+    }
+  }
+  if (input.thresholds !== undefined) {
+    const t = input.thresholds;
+    if (!t || typeof t !== "object") errors.push("thresholds: object");
+    else {
+      value.thresholds = {};
+      for (const k of ["warn_pct", "full_pct"]) {
+        if (t[k] === undefined) continue;
+        if (!pctNum(t[k])) errors.push(`thresholds.${k}: number in [0, 100]`);
+        else value.thresholds[k] = t[k];
+      }
+    }
+  }
+  return { errors, value };
+}
+
+// merged compartments must still make sense (sensor can't read past the empty distance of a shallower bin)
+function checkMerged(rec) {
+  const errors = [];
+  for (const c of COMPARTMENTS) {
+    const comp = rec.compartments[c];
+    if (comp.empty_distance_cm < comp.height_cm) errors.push(`compartments.${c}.empty_distance_cm: must be >= height_cm`);
+  }
+  if (rec.thresholds.warn_pct >= rec.thresholds.full_pct) errors.push("thresholds.warn_pct: must be below full_pct");
+  if ((rec.lat == null) !== (rec.lng == null)) errors.push("lat/lng: set both or neither");
+  return errors;
+}
+
+// coordinates set in this patch stay; clearing them (or a bin never placed by hand) goes by postal code
+function geolocate(rec, patch = {}) {
+  if (patch.lat !== undefined || patch.lng !== undefined) {
+    if (rec.lat != null && rec.lng != null) return { ...rec, geo_source: "manual" };
+  } else if (rec.geo_source === "manual") return rec;
+  const at = geocode.locate(rec.postal_code);
+  return { ...rec, lat: at ? at.lat : null, lng: at ? at.lng : null, geo_source: at ? at.precision : null };
+}
+
+function merge(base, patch) {
+  const compartments = {};
+  for (const c of COMPARTMENTS) {
+    const next = { ...base.compartments[c], ...(patch.compartments?.[c] || {}) };
+    // moving the height without an explicit calibration keeps "sensor at the rim"
+    if (patch.compartments?.[c]?.height_cm !== undefined && patch.compartments[c].empty_distance_cm === undefined
+      && base.compartments[c].empty_distance_cm === base.compartments[c].height_cm) {
+      next.empty_distance_cm = next.height_cm;
+    }
+    compartments[c] = next;
+  }
+  return {
+    ...base,
+    ...patch,
+    compartments,
+    thresholds: { ...base.thresholds, ...(patch.thresholds || {}) },
+  };
+}
+
+// ---- CRUD; each returns { ok, bin } or { ok: false, status, errors }
+function create(input) {
+  const { errors, value } = validate(input);
+  if (errors.length) return { ok: false, status: 400, errors };
+  if (bins.has(value.id)) return { ok: false, status: 409, errors: [`id: ${value.id} already registered`] };
+  const now = new Date().toISOString();
+  const rec = merge(withDefaults({ id: value.id }), { ...value, created_at: now, updated_at: now });
+  const merged = checkMerged(rec);
+  if (merged.length) return { ok: false, status: 400, errors: merged };
+  bins.set(rec.id, geolocate(rec, value));
+  save();
+  return { ok: true, bin: bins.get(rec.id) };
+}
+
+function update(id, input) {
+  if (!bins.has(id)) return { ok: false, status: 404, errors: [`id: ${id} not registered`] };
+  const { errors, value } = validate(input, { partial: true });
+  if (errors.length) return { ok: false, status: 400, errors };
+  const rec = merge(bins.get(id), { ...value, updated_at: new Date().toISOString() });
+  const merged = checkMerged(rec);
+  if (merged.length) return { ok: false, status: 400, errors: merged };
+  bins.set(id, geolocate(rec, value));
+  save();
+  return { ok: true, bin: bins.get(id) };
+}
+
+// create-or-update used by ingest paths (e.g. snapshot postalCode)
+function upsert(id, input) {
+  return bins.has(id) ? update(id, input) : create({ ...input, id });
+}
+
+function remove(id) {
+  if (!bins.delete(id)) return { ok: false, status: 404, errors: [`id: ${id} not registered`] };
+  save();
+  return { ok: true };
+}
+
+load();
+
+module.exports = {
+  STATUSES,
+  resolve, calibration, thresholds, postalOf, isDecommissioned, list,
+  create, update, upsert, remove, seed,
+};
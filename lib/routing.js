@@ -0,0 +1,163 @@
+// lib/routing.js — collection run planning over a local distance matrix (no routing service)
+// Route-first, split-second: one tour through every stop (nearest neighbour + 2-opt),
+// then walked in order with the truck's capacity (unload at the depot when full) and
+// the shift's time window (stops that can't be reached and still get back in time are left out).
+
+const EARTH_R_KM = 6371;
+const ROAD_FACTOR = Number(process.env.ROUTE_ROAD_FACTOR) || 1.3; // straight line -> street distance
+const DEFAULTS = {
+  speed_kmh: 25,
+  service_min: 5,       // per bin
+  unload_min: 20,       // per trip back to the depot
+  shift_hours: 8,
+};
+const MAX_STOPS = 300; // 2-opt is O(n²) per pass; a single run never has more bins than this
+
+const rad = (d) => (d * Math.PI) / 180;
+function haversineKm(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_R_KM * Math.asin(Math.sqrt(h));
+}
+
+function distanceMatrix(points) {
+  return points.map(a => points.map(b => haversineKm(a, b) * ROAD_FACTOR));
+}
+
+// closed tour 0 -> ... -> 0 (node 0 is the depot)
+function nearestNeighbour(m) {
+  const n = m.length;
+  const seen = new Set([0]);
+  const tour = [0];
+  while (tour.length < n) {
+    const from = tour.at(-1);
+    let best = -1;
+    for (let j = 1; j < n; j++) if (!seen.has(j) && (best < 0 || m[from][j] < m[from][best])) best = j;
+    seen.add(best);
+    tour.push(best);
+  }
+  tour.push(0);
+  return tour;
+}
+
+function twoOpt(tour, m) {
+  let improved = true;
+  let best = tour.slice();
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < best.length - 2; i++) {
+      for (let k = i + 1; k < best.length - 1; k++) {
+        const a = best[i - 1], b = best[i], c = best[k], d = best[k + 1];
+        if (m[a][c] + m[b][d] < m[a][b] + m[c][d] - 1e-9) {
+          best = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// depot: {lat, lng}; stops: [{ bin_id, lat, lng, load_l, eta100_iso? }]
+function plan({ depot, stops, truckCapacityL = null, shiftStartMs, shiftEndMs, opts = {} }) {
+  const o = { ...DEFAULTS, ...opts };
+  const unscheduled = [];
+  const fits = [];
+  for (const s of stops) {
+    if (truckCapacityL != null && s.load_l > truckCapacityL) unscheduled.push({ bin_id: s.bin_id, reason: "exceeds_truck_capacity" });
+    else fits.push(s);
+  }
+
+  const nodes = [depot, ...fits];
+  const m = distanceMatrix(nodes);
+  const tour = fits.length ? twoOpt(nearestNeighbour(m), m) : [0, 0];
+  const minutes = (km) => (km / o.speed_kmh) * 60;
+
+  const legs = [];
+  let at = 0;                 // current node
+  let t = shiftStartMs;
+  let load = 0;
+  let km = 0;
+  let trips = 1;
+
+  const goTo = (node) => {
+    const leg = m[at][node];
+    km += leg;
+    t += minutes(leg) * 60e3;
+    at = node;
+    return leg;
+  };
+
+  for (const node of tour.slice(1, -1)) {
+    const stop = nodes[node];
+
+    // full truck: unload at the depot first
+    let unload = null;
+    if (truckCapacityL != null && load + stop.load_l > truckCapacityL) {
+      unload = { from: at, km: m[at][0] };
+    }
+
+    // would this stop (plus getting home) still fit the shift?
+    const viaDepot = unload ? unload.km + m[0][node] : m[at][node];
+    const arrive = t + (minutes(viaDepot) + (unload ? o.unload_min : 0)) * 60e3;
+    const depart = arrive + o.service_min * 60e3;
+    if (depart + minutes(m[node][0]) * 60e3 > shiftEndMs) {
+      unscheduled.push({ bin_id: stop.bin_id, reason: "outside_shift" });
+      continue;
+    }
+
+    if (unload) {
+      const leg = goTo(0);
+      const arrival = t;
+      t += o.unload_min * 60e3;
+      legs.push({ type: "unload", lat: depot.lat, lng: depot.lng, leg_km: leg, arrival_ms: arrival, departure_ms: t, truck_load_l: 0 });
+      load = 0;
+      trips += 1;
+    }
+
+    const leg = goTo(node);
+    const arrival = t;
+    t += o.service_min * 60e3;
+    load += stop.load_l;
+    legs.push({
+      type: "bin", bin_id: stop.bin_id, lat: stop.lat, lng: stop.lng, leg_km: leg,
+      arrival_ms: arrival, departure_ms: t, load_l: stop.load_l, truck_load_l: load,
+      eta100_iso: stop.eta100_iso ?? null,
+    });
+  }
+
+  const back = goTo(0);
+  legs.push({ type: "depot", lat: depot.lat, lng: depot.lng, leg_km: back, arrival_ms: t, departure_ms: null, truck_load_l: load });
+
+  let cumulative = 0;
+  const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+  const round = (v) => Math.round(v * 100) / 100;
+  const sequence = legs.map((l, i) => {
+    cumulative += l.leg_km;
+    const { arrival_ms, departure_ms, ...rest } = l;
+    return {
+      seq: i + 1,
+      ...rest,
+      leg_km: round(l.leg_km),
+      cumulative_km: round(cumulative),
+      arrival_iso: iso(arrival_ms),
+      departure_iso: iso(departure_ms),
+      // arriving after the forecast says the bin is full
+      ...(l.type === "bin" ? { late: !!(l.eta100_iso && arrival_ms > Date.parse(l.eta100_iso)) } : {}),
+    };
+  });
+
+  return {
+    stops: sequence,
+    total_distance_km: round(km),
+    total_duration_min: Math.round((t - shiftStartMs) / 60e3),
+    finish_iso: iso(t),
+    trips,
+    bins_scheduled: sequence.filter(s => s.type === "bin").length,
+    unscheduled,
+    assumptions: { ...o, road_factor: ROAD_FACTOR },
+  };
+}
+
+module.exports = { DEFAULTS, MAX_STOPS, haversineKm, distanceMatrix, plan };
@@ -0,0 +1,64 @@
+// lib/store/common.js — log-row parsing, bucket helpers and in-memory aggregation shared by the backends
+const { COMPARTMENTS } = require("../fill");
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RESOLUTIONS = { "15m": 15 * 60 * 1000, hour: HOUR_MS, day: DAY_MS };
+
+// { id, timestamp, recycle?, general? } (or a legacy flat distance_cm = recycle) -> reading
+function readingFromLogRow(row) {
+  if (!row || !row.id || !row.timestamp) return null;
+  const t = Date.parse(row.timestamp);
+  if (!Number.isFinite(t)) return null;
+  const out = { bin_id: String(row.id), t };
+  for (const c of COMPARTMENTS) {
+    const v = row[c];
+    if (!v || !Number.isFinite(v.distance_cm)) continue;
+    out[c] = { distance_cm: v.distance_cm };
+    if (Number.isFinite(v.weight)) out[c].weight = v.weight;
+  }
+  if (!out.recycle && !out.general && Number.isFinite(row.distance_cm)) out.recycle = { distance_cm: row.distance_cm };
+  return out.recycle || out.general ? out : null;
+}
+
+const toLogRow = (r) => ({
+  id: r.bin_id,
+  timestamp: new Date(r.t).toISOString(),
+  ...Object.fromEntries(COMPARTMENTS.filter(c => r[c]).map(c => [c, r[c]])),
+});
+
+const bucketOf = (t, resolution) => Math.floor(t / RESOLUTIONS[resolution]) * RESOLUTIONS[resolution];
+
+// readings [{t, recycle?, general?}] (sorted by t) -> rollup rows, one per bucket and compartment:
+// { bin_id, resolution, bucket, compartment, n, dist_min, dist_max, dist_avg, dist_last, weight_avg, weight_last }
+function aggregate(binId, readings, resolution) {
+  const acc = new Map(); // "bucket/compartment" -> row
+  for (const r of readings) {
+    const bucket = bucketOf(r.t, resolution);
+    for (const c of COMPARTMENTS) {
+      const v = r[c];
+      if (!v || !Number.isFinite(v.distance_cm)) continue;
+      const k = `${bucket}/${c}`;
+      let row = acc.get(k);
+      if (!row) {
+        row = { bin_id: binId, resolution, bucket, compartment: c, n: 0, dist_min: Infinity, dist_max: -Infinity, dist_sum: 0, dist_last: null, weight_sum: 0, weight_n: 0, weight_last: null };
+        acc.set(k, row);
+      }
+      row.n += 1;
+      row.dist_min = Math.min(row.dist_min, v.distance_cm);
+      row.dist_max = Math.max(row.dist_max, v.distance_cm);
+      row.dist_sum += v.distance_cm;
+      row.dist_last = v.distance_cm;
+      if (Number.isFinite(v.weight)) { row.weight_sum += v.weight; row.weight_n += 1; row.weight_last = v.weight; }
+    }
+  }
+  return [...acc.values()]
+    .sort((a, b) => a.bucket - b.bucket || a.compartment.localeCompare(b.compartment))
+    .map(({ dist_sum, weight_sum, weight_n, ...row }) => ({
+      ...row,
+      dist_avg: dist_sum / row.n,
+      weight_avg: weight_n ? weight_sum / weight_n : null,
+    }));
+}
+
+module.exports = { HOUR_MS, DAY_MS, RESOLUTIONS, readingFromLogRow, toLogRow, bucketOf, aggregate };
@@ -0,0 +1,136 @@
+// lib/store/index.js — storage facade for readings and classification events.
+// STORAGE_BACKEND=sqlite (default; embedded SQLite database file) or jsonl (the original
+// flat files). Both expose the same calls; the facade adds the rollup/retention policy:
+//   raw readings  -> kept RETENTION_RAW_DAYS (30), rolled into hourly rollups
+//   hourly        -> kept RETENTION_HOURLY_DAYS (365), rolled into daily rollups
+//   daily         -> kept
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { DAY_MS, readingFromLogRow, bucketOf, aggregate } = require("./common");
+const log = require("../log").child("store");
+
+const BACKENDS = { sqlite: "./sqlite", jsonl: "./jsonl" };
+const BACKEND = (process.env.STORAGE_BACKEND || "sqlite").toLowerCase();
+if (!BACKENDS[BACKEND]) throw new Error(`STORAGE_BACKEND must be one of ${Object.keys(BACKENDS).join(", ")}`);
+const backend = require(BACKENDS[BACKEND]);
+
+const RAW_RETENTION_MS = (Number(process.env.RETENTION_RAW_DAYS) || 30) * DAY_MS;
+const HOURLY_RETENTION_MS = (Number(process.env.RETENTION_HOURLY_DAYS) || 365) * DAY_MS;
+const MAINTAIN_MS = 15 * 60 * 1000;
+const IMPORT_BATCH = 5000;
+
+let dataDir = null;
+let onBadRow = () => {}; // ({ file, line, raw, error }) for lines that can't be read back
+
+// ---- rollup watermarks: everything before them has been rolled up
+const rolledUntil = (res) => Number(backend.getMeta(`rolled_${res}`)) || 0;
+const setRolledUntil = (res, ms) => backend.setMeta(`rolled_${res}`, ms);
+
+// roll completed hours/days, then apply retention (never deleting what isn't rolled up yet)
+function maintain(now = Date.now()) {
+  const hourEnd = bucketOf(now, "hour");
+  const hourFrom = rolledUntil("hour");
+  if (hourFrom < hourEnd) {
+    backend.rollInto("hour", hourFrom, hourEnd);
+    setRolledUntil("hour", hourEnd);
+  }
+  const dayEnd = bucketOf(now, "day");
+  const dayFrom = rolledUntil("day");
+  if (dayFrom < dayEnd) {
+    backend.rollInto("day", bucketOf(dayFrom, "day"), dayEnd);
+    setRolledUntil("day", dayEnd);
+  }
+  backend.deleteReadingsBefore(Math.min(now - RAW_RETENTION_MS, rolledUntil("hour")));
+  backend.deleteRollupsBefore("hour", Math.min(now - HOURLY_RETENTION_MS, rolledUntil("day")));
+}
+
+// a reading for an hour that was already rolled up: re-roll from there next time
+function rewind(t) {
+  if (t < Date.now() - RAW_RETENTION_MS) return;
+  if (t < rolledUntil("hour")) setRolledUntil("hour", bucketOf(t, "hour"));
+  if (t < rolledUntil("day")) setRolledUntil("day", bucketOf(t, "day"));
+}
+
+// ---- JSONL import (legacy bin_log.jsonl rows); idempotent per file size+mtime unless forced.
+// Unreadable lines are skipped, counted and reported through onBadRow.
+async function importJsonl(file, { force = false } = {}) {
+  if (!fs.existsSync(file)) return { file, imported: 0, skipped: "missing" };
+  const st = fs.statSync(file);
+  const key = `import:${path.resolve(file)}`;
+  const stamp = `${st.size}:${st.mtimeMs}`;
+  if (!force && backend.getMeta(key) === stamp) return { file, imported: 0, skipped: "already imported" };
+
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let batch = [], imported = 0, bad = 0, minT = Infinity, lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+    let r = null, error = "not a reading (needs id, timestamp and a distance)";
+    try { r = readingFromLogRow(JSON.parse(line)); } catch (err) { error = `invalid JSON: ${err.message}`; }
+    if (!r) { bad++; onBadRow({ file, line: lineNo, raw: line, error }); continue; }
+    minT = Math.min(minT, r.t);
+    batch.push(r);
+    if (batch.length >= IMPORT_BATCH) { backend.insertReadings(batch); imported += batch.length; batch = []; }
+  }
+  if (batch.length) { backend.insertReadings(batch); imported += batch.length; }
+  if (Number.isFinite(minT)) {
+    // re-roll everything the import touched
+    setRolledUntil("hour", Math.min(rolledUntil("hour") || Infinity, bucketOf(minT, "hour")));
+    setRolledUntil("day", Math.min(rolledUntil("day") || Infinity, bucketOf(minT, "day")));
+  }
+  backend.setMeta(key, stamp);
+  return { file, imported, bad };
+}
+
+async function init(opts) {
+  dataDir = opts.dataDir;
+  if (opts.onBadRow) onBadRow = opts.onBadRow;
+  await backend.init({ dataDir, onBadRow });
+  // first start on the database: bring the old flat log over
+  if (BACKEND !== "jsonl") {
+    const r = await importJsonl(path.join(dataDir, "bin_log.jsonl"));
+    if (r.imported) log.info("imported readings", { count: r.imported, file: path.basename(r.file) });
+    if (r.bad) log.warn("skipped unreadable lines", { count: r.bad, file: path.basename(r.file) });
+  }
+  maintain();
+  setInterval(maintain, MAINTAIN_MS).unref();
+}
+
+function insertReading(r) {
+  backend.insertReading(r);
+  rewind(r.t);
+}
+
+// hourly/daily rollups; buckets still inside the raw window are rolled on the fly so the
+// current (incomplete) hour/day is included too
+function rollups({ binId, resolution = "hour", fromMs = null, toMs = null }) {
+  const stored = backend.rollups({ binId, resolution, fromMs, toMs });
+  if (backend.name === "jsonl") return stored;
+  const openFrom = rolledUntil(resolution);
+  const fresh = [];
+  const raw = backend.readings({ binId, fromMs: Math.max(openFrom, fromMs ?? 0), toMs });
+  const bins = [...new Set(raw.map(r => r.bin_id))];
+  for (const id of bins) fresh.push(...aggregate(id, raw.filter(r => r.bin_id === id), resolution));
+  return [...stored.filter(r => r.bucket < openFrom), ...fresh]
+    .sort((a, b) => a.bucket - b.bucket || a.bin_id.localeCompare(b.bin_id) || a.compartment.localeCompare(b.compartment));
+}
+
+module.exports = {
+  BACKEND,
+  RAW_RETENTION_MS,
+  HOURLY_RETENTION_MS,
+  init,
+  maintain,
+  importJsonl,
+  insertReading,
+  readings: (q) => backend.readings(q),
+  rollups,
+  insertEvent: (ev) => backend.insertEvent(ev),
+  events: (q) => backend.events(q),
+  acknowledgeEvent: (id, info) => backend.acknowledgeEvent(id, info),
+  flush: () => backend.flush(),
+  // before the process exits (the sqlite backend checkpoints its WAL and closes the file)
+  close: () => (backend.close ? backend.close() : backend.flush()),
+  stats: () => ({ backend: BACKEND, ...backend.stats(), rolled_hour_until: rolledUntil("hour") || null, rolled_day_until: rolledUntil("day") || null }),
+};
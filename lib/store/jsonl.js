@@ -0,0 +1,175 @@
+// lib/store/jsonl.js — the original flat-file backend: append-only JSONL files replayed
+// into memory at startup. Readings go to bin_log.jsonl (same row format as before),
+// events to events.jsonl (acknowledgements are appended as their own rows).
+// Rollups aren't stored; they're aggregated from the raw readings on request, so
+// nothing older than the raw retention window survives a compaction.
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { readingFromLogRow, toLogRow, aggregate } = require("./common");
+const log = require("../log").child("store");
+
+let readingsFile = null;
+let eventsFile = null;
+let metaFile = null;
+
+const byBin = new Map();     // bin -> [{seq, bin_id, t, recycle?, general?}] sorted by t
+let readingSeq = 0;          // file order, the tie-breaker for cursors
+let eventSeq = 0;
+const eventList = [];        // sorted by t
+const eventById = new Map();
+let meta = {};
+
+// onRow returns false for a row it can't use; those and unparseable lines go to onBad
+async function replay(file, onRow, onBad) {
+  if (!fs.existsSync(file)) return 0;
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let lineNo = 0, bad = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+    let row;
+    try { row = JSON.parse(line); } catch (err) {
+      bad++;
+      onBad({ file, line: lineNo, raw: line, error: `invalid JSON: ${err.message}` });
+      continue;
+    }
+    if (onRow(row) === false) {
+      bad++;
+      onBad({ file, line: lineNo, raw: line, error: "unrecognised row" });
+    }
+  }
+  if (bad) log.warn("skipped unreadable lines", { count: bad, file: path.basename(file) });
+  return bad;
+}
+
+function remember(reading) {
+  const r = { seq: ++readingSeq, ...reading };
+  if (!byBin.has(r.bin_id)) byBin.set(r.bin_id, []);
+  const arr = byBin.get(r.bin_id);
+  // keep sorted; readings nearly always arrive in order
+  let i = arr.length;
+  while (i > 0 && arr[i - 1].t > r.t) i--;
+  arr.splice(i, 0, r);
+}
+
+function applyEvent(row) {
+  if (row.ack_of) {
+    const ev = eventById.get(row.ack_of);
+    if (ev) { ev.acknowledged_at = row.acknowledged_at; ev.acknowledged_by = row.acknowledged_by ?? null; }
+    return;
+  }
+  const ev = { seq: ++eventSeq, acknowledged_at: null, acknowledged_by: null, ...row };
+  eventById.set(ev.id, ev);
+  let i = eventList.length;
+  while (i > 0 && eventList[i - 1].t > ev.t) i--;
+  eventList.splice(i, 0, ev);
+}
+
+async function init({ dataDir, onBadRow = () => {} }) {
+  readingsFile = path.join(dataDir, "bin_log.jsonl");
+  eventsFile = path.join(dataDir, "events.jsonl");
+  metaFile = path.join(dataDir, "store_meta.json");
+  try { meta = JSON.parse(fs.readFileSync(metaFile, "utf8")); } catch { meta = {}; }
+  await replay(readingsFile, (row) => { const r = readingFromLogRow(row); if (!r) return false; remember(r); }, onBadRow);
+  await replay(eventsFile, applyEvent, onBadRow);
+}
+
+const flush = () => {};
+const getMeta = (key) => meta[key] ?? null;
+function setMeta(key, value) {
+  meta[key] = String(value);
+  fs.writeFileSync(metaFile, JSON.stringify(meta, null, 2));
+}
+
+// ---- readings
+function insertReading(r) {
+  fs.appendFileSync(readingsFile, JSON.stringify(toLogRow(r)) + "\n");
+  remember(r);
+}
+function insertReadings(rows) {
+  if (!rows.length) return;
+  fs.appendFileSync(readingsFile, rows.map(r => JSON.stringify(toLogRow(r))).join("\n") + "\n");
+  rows.forEach(remember);
+}
+
+// (t, seq) keyset comparison for cursors
+const cmp = (a, b) => a.t - b.t || a.seq - b.seq;
+const pastCursor = (after, order) => (r) => !after || (order === "desc" ? cmp(r, after) < 0 : cmp(r, after) > 0);
+
+function readings({ binId, binIds, fromMs = null, toMs = null, limit = null, after = null, order = "asc" } = {}) {
+  const ids = binIds?.length ? binIds : binId ? [binId] : [...byBin.keys()];
+  const past = pastCursor(after, order);
+  let out = ids.flatMap(id => (byBin.get(id) || []).filter(r => (fromMs == null || r.t >= fromMs) && (toMs == null || r.t <= toMs) && past(r)));
+  out.sort(order === "desc" ? (a, b) => cmp(b, a) : cmp);
+  if (limit) out = out.slice(0, limit);
+  return out;
+}
+const readingCount = () => [...byBin.values()].reduce((n, arr) => n + arr.length, 0);
+
+// ---- rollups (computed on demand)
+const rollInto = () => {};
+function rollups({ binId, resolution, fromMs = null, toMs = null }) {
+  const bins = binId ? [binId] : [...byBin.keys()];
+  return bins
+    .flatMap(id => aggregate(id, readings({ binId: id }), resolution))
+    .filter(r => (fromMs == null || r.bucket >= fromMs) && (toMs == null || r.bucket <= toMs))
+    .sort((a, b) => a.bucket - b.bucket || a.compartment.localeCompare(b.compartment));
+}
+
+// retention: drop from memory and rewrite the log without the expired rows
+function deleteReadingsBefore(ms) {
+  let dropped = 0;
+  for (const arr of byBin.values()) {
+    let i = 0;
+    while (i < arr.length && arr[i].t < ms) i++;
+    if (i) { arr.splice(0, i); dropped += i; }
+  }
+  if (!dropped) return;
+  const rows = [...byBin.values()].flat().sort((a, b) => a.t - b.t);
+  const tmp = readingsFile + ".tmp";
+  fs.writeFileSync(tmp, rows.map(r => JSON.stringify(toLogRow(r)) + "\n").join(""));
+  fs.renameSync(tmp, readingsFile);
+}
+const deleteRollupsBefore = () => {};
+
+// ---- events
+function insertEvent(ev) {
+  const row = { id: ev.id, kind: ev.kind, bin_id: ev.bin_id ?? null, t: ev.t, data: ev.data };
+  fs.appendFileSync(eventsFile, JSON.stringify(row) + "\n");
+  applyEvent(row);
+}
+
+function events({ kinds, binId, binIds, fromMs = null, toMs = null, unacknowledged = false, match = {}, limit = 100, after = null, order = "desc" } = {}) {
+  const ids = binIds?.length ? binIds : binId ? [binId] : null;
+  const past = pastCursor(after, order);
+  const matchEntries = Object.entries(match);
+  const out = eventList.filter(e =>
+    (!kinds?.length || kinds.includes(e.kind)) &&
+    (!ids || ids.includes(e.bin_id)) &&
+    (fromMs == null || e.t >= fromMs) &&
+    (toMs == null || e.t <= toMs) &&
+    (!unacknowledged || e.acknowledged_at == null) &&
+    matchEntries.every(([f, v]) => e.data?.[f] === v) &&
+    past(e));
+  out.sort(cmp); // (t, seq) order, which the cursor relies on
+  return (order === "asc" ? out.slice(0, limit) : out.slice(-limit).reverse()).map(e => ({ ...e }));
+}
+
+function acknowledgeEvent(id, { at, by }) {
+  if (!eventById.has(id)) return false;
+  const row = { ack_of: id, acknowledged_at: at, acknowledged_by: by ?? null };
+  fs.appendFileSync(eventsFile, JSON.stringify(row) + "\n");
+  applyEvent(row);
+  return true;
+}
+
+const stats = () => ({ readings: readingCount(), events: eventList.length, file: readingsFile });
+
+module.exports = {
+  name: "jsonl",
+  init, flush, getMeta, setMeta,
+  insertReading, insertReadings, readings, readingCount,
+  rollInto, rollups, deleteReadingsBefore, deleteRollupsBefore,
+  insertEvent, events, acknowledgeEvent, stats,
+};
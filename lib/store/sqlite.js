@@ -0,0 +1,251 @@
+// lib/store/sqlite.js — embedded SQLite (better-sqlite3) backend, data/smartbin.sqlite on disk.
+// WAL journal: every write is on disk once its statement (or insertReadings' transaction) returns, so a
+// crash or SIGKILL loses nothing already stored; store.close() checkpoints the WAL back into the file.
+// Raw readings are rolled into hourly, and hourly into daily, before the retention policy deletes them.
+const path = require("path");
+const Database = require("better-sqlite3");
+const { HOUR_MS, DAY_MS } = require("./common");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+CREATE TABLE IF NOT EXISTS readings (
+  id INTEGER PRIMARY KEY,
+  bin_id TEXT NOT NULL,
+  t INTEGER NOT NULL,
+  recycle_distance_cm REAL, recycle_weight REAL,
+  general_distance_cm REAL, general_weight REAL
+);
+CREATE INDEX IF NOT EXISTS readings_bin_t ON readings (bin_id, t);
+CREATE INDEX IF NOT EXISTS readings_t ON readings (t);
+CREATE TABLE IF NOT EXISTS rollups (
+  bin_id TEXT NOT NULL,
+  resolution TEXT NOT NULL,          -- hour | day
+  bucket INTEGER NOT NULL,           -- bucket start, epoch ms
+  compartment TEXT NOT NULL,
+  n INTEGER NOT NULL,
+  dist_min REAL, dist_max REAL, dist_avg REAL, dist_last REAL,
+  weight_avg REAL, weight_last REAL,
+  PRIMARY KEY (resolution, bin_id, bucket, compartment)
+);
+CREATE TABLE IF NOT EXISTS events (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,                -- classification | override | acknowledgement
+  bin_id TEXT,
+  t INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  acknowledged_at INTEGER,
+  acknowledged_by TEXT
+);
+CREATE INDEX IF NOT EXISTS events_kind_t ON events (kind, t);
+CREATE INDEX IF NOT EXISTS events_bin_t ON events (bin_id, t);
+`;
+
+let db = null;
+let file = null;
+const statements = new Map(); // sql -> prepared statement
+
+function prepare(sql) {
+  let stmt = statements.get(sql);
+  if (!stmt) statements.set(sql, (stmt = db.prepare(sql)));
+  return stmt;
+}
+const all = (sql, params = {}) => prepare(sql).all(params);
+const one = (sql, params = {}) => prepare(sql).get(params) || null;
+const run = (sql, params = {}) => prepare(sql).run(params);
+
+// fold the WAL back into the database file (writes are already durable without it)
+function flush() {
+  if (db) db.pragma("wal_checkpoint(TRUNCATE)");
+}
+
+function close() {
+  if (!db) return;
+  db.close();
+  db = null;
+  statements.clear();
+}
+
+async function init({ dataDir }) {
+  file = path.join(dataDir, "smartbin.sqlite");
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(SCHEMA);
+}
+
+const getMeta = (key) => one("SELECT value FROM meta WHERE key = $k", { k: key })?.value ?? null;
+const setMeta = (key, value) => run("INSERT OR REPLACE INTO meta (key, value) VALUES ($k, $v)", { k: key, v: String(value) });
+
+// ---- readings
+const num = (v) => (Number.isFinite(v) ? v : null);
+
+function insertReading({ bin_id, t, recycle, general }) {
+  run(
+    `INSERT INTO readings (bin_id, t, recycle_distance_cm, recycle_weight, general_distance_cm, general_weight)
+     VALUES ($b, $t, $rd, $rw, $gd, $gw)`,
+    { b: bin_id, t, rd: num(recycle?.distance_cm), rw: num(recycle?.weight), gd: num(general?.distance_cm), gw: num(general?.weight) }
+  );
+}
+
+// many rows in one transaction (imports)
+function insertReadings(rows) {
+  db.transaction(() => {
+    for (const r of rows) insertReading(r);
+  })();
+}
+
+function toReading(row) {
+  const out = { seq: row.id, bin_id: row.bin_id, t: row.t };
+  for (const c of ["recycle", "general"]) {
+    if (row[`${c}_distance_cm`] == null) continue;
+    out[c] = { distance_cm: row[`${c}_distance_cm`] };
+    if (row[`${c}_weight`] != null) out[c].weight = row[`${c}_weight`];
+  }
+  return out;
+}
+
+// shared WHERE pieces: bin(s), time range and a keyset cursor on (t, seq) in the given order
+function rangeWhere({ binId, binIds, fromMs, toMs, after, order }, seqCol) {
+  const where = ["1 = 1"];
+  const p = {};
+  const ids = binIds?.length ? binIds : binId ? [binId] : null;
+  if (ids) {
+    where.push(`bin_id IN (${ids.map((_, i) => `$b${i}`).join(", ")})`);
+    ids.forEach((id, i) => { p[`b${i}`] = id; });
+  }
+  if (fromMs != null) { where.push("t >= $from"); p.from = fromMs; }
+  if (toMs != null) { where.push("t <= $to"); p.to = toMs; }
+  if (after) {
+    const op = order === "desc" ? "<" : ">";
+    where.push(`(t ${op} $at OR (t = $at AND ${seqCol} ${op} $aseq))`);
+    p.at = after.t;
+    p.aseq = after.seq;
+  }
+  return { where, p };
+}
+
+// oldest first by default; `after` = { t, seq } of the last row of the previous page
+function readings({ binId, binIds, fromMs = null, toMs = null, limit = null, after = null, order = "asc" } = {}) {
+  const { where, p } = rangeWhere({ binId, binIds, fromMs, toMs, after, order }, "id");
+  const dir = order === "desc" ? "DESC" : "ASC";
+  const lim = limit ? ` LIMIT ${Number(limit) | 0}` : "";
+  return all(`SELECT * FROM readings WHERE ${where.join(" AND ")} ORDER BY t ${dir}, id ${dir}${lim}`, p).map(toReading);
+}
+
+const readingCount = () => one("SELECT COUNT(*) AS n FROM readings").n;
+
+// ---- rollups
+// Roll buckets in [from, to) into `resolution`: raw readings -> hour, hourly rollups -> day.
+// dist_last comes from the latest row of each bucket, weight_last from the latest one with a weight.
+function rollInto(resolution, fromMs, toMs) {
+  const size = resolution === "hour" ? HOUR_MS : DAY_MS;
+  for (const c of ["recycle", "general"]) {
+    const dist = `${c}_distance_cm`, weight = `${c}_weight`;
+    if (resolution === "hour") {
+      run(
+        `INSERT OR REPLACE INTO rollups
+         SELECT g.bin_id, 'hour', g.bucket, '${c}', g.n, g.dmin, g.dmax, g.davg,
+                (SELECT ${dist} FROM readings r WHERE r.bin_id = g.bin_id AND r.t = g.tlast AND ${dist} IS NOT NULL ORDER BY id DESC LIMIT 1),
+                g.wavg,
+                (SELECT ${weight} FROM readings r WHERE r.bin_id = g.bin_id AND r.t >= g.bucket AND r.t < g.bucket + ${size}
+                   AND ${dist} IS NOT NULL AND ${weight} IS NOT NULL ORDER BY t DESC, id DESC LIMIT 1)
+         FROM (SELECT bin_id, (t / ${size}) * ${size} AS bucket, COUNT(*) AS n,
+                      MIN(${dist}) AS dmin, MAX(${dist}) AS dmax, AVG(${dist}) AS davg, AVG(${weight}) AS wavg, MAX(t) AS tlast
+               FROM readings
+               WHERE ${dist} IS NOT NULL AND t >= $from AND t < $to
+               GROUP BY bin_id, bucket) g`,
+        { from: fromMs, to: toMs }
+      );
+    } else {
+      run(
+        `INSERT OR REPLACE INTO rollups
+         SELECT g.bin_id, 'day', g.bucket, '${c}', g.n, g.dmin, g.dmax, g.davg,
+                (SELECT dist_last FROM rollups h WHERE h.resolution = 'hour' AND h.compartment = '${c}' AND h.bin_id = g.bin_id AND h.bucket = g.blast),
+                g.wavg,
+                (SELECT weight_last FROM rollups h WHERE h.resolution = 'hour' AND h.compartment = '${c}' AND h.bin_id = g.bin_id
+                   AND h.bucket >= g.bucket AND h.bucket < g.bucket + ${size} AND weight_last IS NOT NULL ORDER BY h.bucket DESC LIMIT 1)
+         FROM (SELECT bin_id, (bucket / ${size}) * ${size} AS bucket, SUM(n) AS n,
+                      MIN(dist_min) AS dmin, MAX(dist_max) AS dmax, SUM(dist_avg * n) / SUM(n) AS davg,
+                      AVG(weight_avg) AS wavg, MAX(bucket) AS blast
+               FROM rollups
+               WHERE resolution = 'hour' AND compartment = '${c}' AND bucket >= $from AND bucket < $to
+               GROUP BY bin_id, (bucket / ${size}) * ${size}) g`,
+        { from: fromMs, to: toMs }
+      );
+    }
+  }
+}
+
+function rollups({ binId, resolution, fromMs = null, toMs = null }) {
+  const where = ["resolution = $r"];
+  const p = { r: resolution };
+  if (binId) { where.push("bin_id = $b"); p.b = binId; }
+  if (fromMs != null) { where.push("bucket >= $from"); p.from = fromMs; }
+  if (toMs != null) { where.push("bucket <= $to"); p.to = toMs; }
+  return all(`SELECT * FROM rollups WHERE ${where.join(" AND ")} ORDER BY bucket, compartment`, p);
+}
+
+function deleteReadingsBefore(ms) {
+  run("DELETE FROM readings WHERE t < $t", { t: ms });
+}
+function deleteRollupsBefore(resolution, ms) {
+  run("DELETE FROM rollups WHERE resolution = $r AND bucket < $t", { r: resolution, t: ms });
+}
+
+// ---- events (classifications, overrides, acknowledgements)
+function insertEvent({ id, kind, bin_id, t, data }) {
+  run("INSERT OR REPLACE INTO events (id, kind, bin_id, t, data) VALUES ($id, $k, $b, $t, $d)", {
+    id, k: kind, b: bin_id ?? null, t, d: JSON.stringify(data),
+  });
+}
+
+function toEvent(row) {
+  return {
+    seq: row.seq,
+    id: row.id, kind: row.kind, bin_id: row.bin_id, t: row.t,
+    data: JSON.parse(row.data),
+    acknowledged_at: row.acknowledged_at, acknowledged_by: row.acknowledged_by,
+  };
+}
+
+// newest first by default; `match` filters on fields of the stored entry (label, recyclable, source, override)
+function events({ kinds, binId, binIds, fromMs = null, toMs = null, unacknowledged = false, match = {}, limit = 100, after = null, order = "desc" } = {}) {
+  const { where, p } = rangeWhere({ binId, binIds, fromMs, toMs, after, order }, "rowid");
+  if (kinds?.length) {
+    where.push(`kind IN (${kinds.map((_, i) => `$k${i}`).join(", ")})`);
+    kinds.forEach((k, i) => { p[`k${i}`] = k; });
+  }
+  if (unacknowledged) where.push("acknowledged_at IS NULL");
+  Object.entries(match).forEach(([field, value], i) => {
+    where.push(`json_extract(data, '$.' || $mf${i}) = $mv${i}`);
+    p[`mf${i}`] = field;
+    p[`mv${i}`] = value;
+  });
+  const dir = order === "asc" ? "ASC" : "DESC";
+  return all(`SELECT rowid AS seq, * FROM events WHERE ${where.join(" AND ")} ORDER BY t ${dir}, rowid ${dir} LIMIT ${Number(limit) | 0}`, p).map(toEvent);
+}
+
+function acknowledgeEvent(id, { at, by }) {
+  const row = one("SELECT id FROM events WHERE id = $id", { id });
+  if (!row) return false;
+  run("UPDATE events SET acknowledged_at = $at, acknowledged_by = $by WHERE id = $id", { id, at, by: by ?? null });
+  return true;
+}
+
+function stats() {
+  return {
+    readings: readingCount(),
+    hourly_rollups: one("SELECT COUNT(*) AS n FROM rollups WHERE resolution = 'hour'").n,
+    daily_rollups: one("SELECT COUNT(*) AS n FROM rollups WHERE resolution = 'day'").n,
+    events: one("SELECT COUNT(*) AS n FROM events").n,
+    file,
+  };
+}
+
+module.exports = {
+  name: "sqlite",
+  init, flush, close, getMeta, setMeta,
+  insertReading, insertReadings, readings, readingCount,
+  rollInto, rollups, deleteReadingsBefore, deleteRollupsBefore,
+  insertEvent, events, acknowledgeEvent, stats,
+};
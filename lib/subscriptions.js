@@ -0,0 +1,124 @@
+// lib/subscriptions.js — what a dashboard socket asked to hear about, instead of its whole company:
+//   subscribe { bins?: [bin id], zones?: [zone id], kinds?: [kind], throttle_s? }
+// bins and zones add up (a zone stands for the bins inside it); with neither, all the company's bins.
+// kinds default to all of KINDS. Subscribed sockets leave their company room and get events through
+// publish(). With throttle_s, sensor readings and device status are coalesced per bin: the first goes
+// out at once, and of those arriving within the next throttle_s only the newest is sent when the
+// window closes. Other events (classifications, alerts, ...) are never held back or dropped.
+const registry = require("./registry");
+const zones = require("./zones");
+
+const KINDS = ["sensors", "classification", "alerts", "collections", "incidents", "devices", "commands"];
+const MAX_THROTTLE_S = 300;
+const MAX_IDS = 1000;
+
+// socket id -> { socket, company_id, bins: Set | null, zones: Set | null, kinds: Set, throttle_ms, windows }
+// windows: "<event>:<bin id>" -> { pending, timer } while a coalescing window is open
+const subs = new Map();
+
+const idList = (v) => Array.isArray(v) && v.length <= MAX_IDS && v.every(x => typeof x === "string" && x);
+
+// -> { errors, value }; bins and zones must be the caller's company's
+function validate(input = {}, scope) {
+  const errors = [];
+  const value = { bins: null, zones: null, kinds: new Set(KINDS), throttle_ms: 0 };
+  if (input.bins != null) {
+    if (!idList(input.bins)) errors.push(`bins: array of at most ${MAX_IDS} bin ids`);
+    else {
+      const unknown = input.bins.filter(id => !scope.owns(id));
+      if (unknown.length) errors.push(`bins: unknown ${unknown.join(", ")}`);
+      else value.bins = new Set(input.bins);
+    }
+  }
+  if (input.zones != null) {
+    if (!idList(input.zones)) errors.push(`zones: array of at most ${MAX_IDS} zone ids`);
+    else {
+      const unknown = input.zones.filter(id => zones.get(id)?.company_id !== scope.company_id);
+      if (unknown.length) errors.push(`zones: unknown ${unknown.join(", ")}`);
+      else value.zones = new Set(input.zones);
+    }
+  }
+  if (input.kinds != null) {
+    if (!Array.isArray(input.kinds) || !input.kinds.length || !input.kinds.every(k => KINDS.includes(k))) {
+      errors.push(`kinds: non-empty array of ${KINDS.join(", ")}`);
+    } else value.kinds = new Set(input.kinds);
+  }
+  if (input.throttle_s != null) {
+    const s = Number(input.throttle_s);
+    if (!Number.isFinite(s) || s < 0 || s > MAX_THROTTLE_S) errors.push(`throttle_s: number in [0, ${MAX_THROTTLE_S}]`);
+    else value.throttle_ms = Math.round(s * 1000);
+  }
+  return { errors, value };
+}
+
+// the subscription as the client sees it
+const describe = (sub) => ({
+  bins: sub.bins ? [...sub.bins] : null,
+  zones: sub.zones ? [...sub.zones] : null,
+  kinds: [...sub.kinds],
+  throttle_s: sub.throttle_ms / 1000,
+});
+
+function unsubscribe(socketId) {
+  const sub = subs.get(socketId);
+  if (!sub) return false;
+  for (const w of sub.windows.values()) clearTimeout(w.timer);
+  subs.delete(socketId);
+  return true;
+}
+
+// replaces any earlier subscription of the socket; -> { ok, sub, subscription } | { ok: false, errors }
+function subscribe(socket, input) {
+  const scope = socket.data.scope;
+  const { errors, value } = validate(input && typeof input === "object" ? input : {}, scope);
+  if (errors.length) return { ok: false, errors };
+  unsubscribe(socket.id);
+  const sub = { socket, company_id: scope.company_id, ...value, windows: new Map() };
+  subs.set(socket.id, sub);
+  return { ok: true, sub, subscription: describe(sub) };
+}
+
+const isSubscribed = (socketId) => subs.has(socketId);
+
+function covers(sub, binId) {
+  if (!sub.bins && !sub.zones) return true;
+  if (!binId) return false;
+  if (sub.bins?.has(binId)) return true;
+  if (!sub.zones) return false;
+  const { lat, lng } = registry.resolve(binId);
+  return [...sub.zones].some(id => {
+    const zone = zones.get(id);
+    return zone && zones.contains(zone, lat, lng);
+  });
+}
+
+function closeWindow(sub, key, event) {
+  const w = sub.windows.get(key);
+  if (!w) return;
+  if (w.pending === null) { sub.windows.delete(key); return; }
+  sub.socket.emit(event, w.pending);
+  w.pending = null;
+  w.timer = setTimeout(() => closeWindow(sub, key, event), sub.throttle_ms);
+  w.timer.unref();
+}
+
+// One event to the company's subscribed sockets that cover it.
+// binIds: the bins it is about ([] = none: company-wide alerts, legacy items without a bin);
+// kinds: any of them subscribed will do; coalesce: may be throttled (one bin's state, newest wins).
+function publish(companyId, event, payload, { binIds = [], kinds, coalesce = false }) {
+  for (const sub of subs.values()) {
+    if (sub.company_id !== companyId || !kinds.some(k => sub.kinds.has(k))) continue;
+    if (binIds.length ? !binIds.some(id => covers(sub, id)) : (sub.bins || sub.zones) && !kinds.includes("alerts")) continue;
+    if (!coalesce || !sub.throttle_ms) { sub.socket.emit(event, payload); continue; }
+
+    const key = `${event}:${binIds[0] ?? ""}`;
+    const w = sub.windows.get(key);
+    if (w) { w.pending = payload; continue; }
+    sub.socket.emit(event, payload);
+    const timer = setTimeout(() => closeWindow(sub, key, event), sub.throttle_ms);
+    timer.unref();
+    sub.windows.set(key, { pending: null, timer });
+  }
+}
+
+module.exports = { KINDS, subscribe, unsubscribe, isSubscribed, covers, publish };
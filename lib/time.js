@@ -0,0 +1,24 @@
+// lib/time.js — timestamp helpers shared by the query endpoints
+const tsISO = () => new Date().toISOString();
+
+// ISO string or epoch ms (number or numeric string) -> epoch ms, else null
+function toMs(v) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+// ?from&to -> { fromMs, toMs, error }; missing bounds are open
+function rangeFromQuery(q, { defaultFromMs = null, defaultToMs = null } = {}) {
+  const fromMs = q.from !== undefined ? toMs(q.from) : defaultFromMs;
+  const toMs_ = q.to !== undefined ? toMs(q.to) : defaultToMs;
+  if (q.from !== undefined && fromMs == null) return { error: "from: ISO timestamp or epoch ms" };
+  if (q.to !== undefined && toMs_ == null) return { error: "to: ISO timestamp or epoch ms" };
+  if (fromMs != null && toMs_ != null && fromMs > toMs_) return { error: "from must be before to" };
+  return { fromMs, toMs: toMs_ };
+}
+
+module.exports = { tsISO, toMs, rangeFromQuery };
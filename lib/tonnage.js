@@ -0,0 +1,83 @@
+// lib/tonnage.js — weight collected, from detected collections (lib/collections) of bins with load
+// cells. Per group and overall:
+//   collections          emptyings detected
+//   weighed_collections  those with a weight (the rest are counted, not guessed at)
+//   kg, tonnes           collected weight (weight just before emptying less what was left)
+//   kg_per_collection    kg / weighed_collections
+//   density_kg_per_l     kg / litres removed, where the compartment's capacity is known
+//   by_compartment       kg per compartment
+const collections = require("./collections");
+const registry = require("./registry");
+const { COMPARTMENTS } = require("./fill");
+const { dayKey, weekKey } = require("./analytics");
+
+const GROUPS = ["day", "week", "month", "bin", "zone", "postal"];
+
+// litres taken out: the drop as a share of the compartment's capacity (half the bin's if only that is set)
+function litresOf(ev) {
+  const reg = registry.resolve(ev.bin_id);
+  const cap = reg.compartments[ev.compartment]?.capacity_l ?? (reg.capacity_l ? reg.capacity_l / COMPARTMENTS.length : null);
+  return cap ? (cap * Math.max(0, ev.before_pct - ev.after_pct)) / 100 : null;
+}
+
+const emptyAcc = () => ({ collections: 0, weighed: 0, kg: 0, density_kg: 0, litres: 0, by_compartment: Object.fromEntries(COMPARTMENTS.map(c => [c, 0])) });
+
+function add(acc, ev) {
+  acc.collections += 1;
+  const kg = collections.kgOf(ev);
+  if (kg == null) return;
+  acc.weighed += 1;
+  acc.kg += kg;
+  acc.by_compartment[ev.compartment] = (acc.by_compartment[ev.compartment] || 0) + kg;
+  const litres = litresOf(ev);
+  if (litres) { acc.density_kg += kg; acc.litres += litres; }
+}
+
+const r1 = (v) => Math.round(v * 10) / 10;
+
+function finish(acc) {
+  return {
+    collections: acc.collections,
+    weighed_collections: acc.weighed,
+    kg: r1(acc.kg),
+    tonnes: Math.round(acc.kg) / 1000,
+    kg_per_collection: acc.weighed ? r1(acc.kg / acc.weighed) : null,
+    density_kg_per_l: acc.litres ? Math.round((acc.density_kg / acc.litres) * 1000) / 1000 : null,
+    by_compartment: Object.fromEntries(Object.entries(acc.by_compartment).map(([c, kg]) => [c, r1(kg)])),
+  };
+}
+
+// { fromMs, toMs, binIds, group, zonesOf(binId) -> [{ id, name }] } -> { summary, groups: [{ key, ...figures }] }
+// A bin in several zones counts in each; bins outside every zone are grouped as "unzoned".
+function tonnageReport({ fromMs, toMs, binIds, group = "day", zonesOf = () => [] }) {
+  const events = binIds.length ? collections.query({ binIds, fromMs, toMs }) : [];
+  const keysOf = {
+    day: (ev) => [dayKey(Date.parse(ev.detected_at))],
+    week: (ev) => [weekKey(Date.parse(ev.detected_at))],
+    month: (ev) => [ev.detected_at.slice(0, 7)],
+    bin: (ev) => [ev.bin_id],
+    postal: (ev) => [registry.postalOf(ev.bin_id) || "unknown"],
+    zone: (ev) => {
+      const zs = zonesOf(ev.bin_id);
+      return zs.length ? zs.map(z => z.name) : ["unzoned"];
+    },
+  }[group];
+
+  const total = emptyAcc();
+  const groups = new Map();
+  for (const ev of events) {
+    add(total, ev);
+    for (const k of keysOf(ev)) {
+      if (!groups.has(k)) groups.set(k, emptyAcc());
+      add(groups.get(k), ev);
+    }
+  }
+  return {
+    summary: finish(total),
+    groups: [...groups.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([key, acc]) => ({ key, ...finish(acc) })),
+  };
+}
+
+module.exports = { GROUPS, tonnageReport };
@@ -0,0 +1,139 @@
+// lib/zones.js — service zones (data/zones.json): named GeoJSON polygons a company draws over its
+// fleet. A bin is in every zone whose polygon holds its registry lat/lng (holes excluded), so zones
+// may overlap. Aggregates (fill, bins at 90%+, contamination rate) are worked out on request.
+const path = require("path");
+const crypto = require("crypto");
+const { DATA_DIR } = require("./binlog");
+const { readJson, writeJson } = require("./jsonfile");
+const { tsISO } = require("./time");
+const registry = require("./registry");
+const datasource = require("./datasource");
+const analytics = require("./analytics");
+
+const ZONES_FILE = path.join(DATA_DIR, "zones.json");
+const HIGH_FILL_PCT = 90;
+const MAX_VERTICES = 2000;
+
+// [{ id, company_id, name, colour, geometry: { type: "Polygon", coordinates }, created_at, updated_at }]
+let zones = readJson(ZONES_FILE, []);
+if (!Array.isArray(zones)) zones = [];
+const save = () => writeJson(ZONES_FILE, zones);
+
+const get = (id) => zones.find(z => z.id === id) || null;
+const list = (companyId) => zones.filter(z => z.company_id === companyId);
+
+// ---- geometry; GeoJSON positions are [lng, lat]
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function contains(zone, lat, lng) {
+  if (lat == null || lng == null) return false;
+  const [outer, ...holes] = zone.geometry.coordinates;
+  return inRing(lng, lat, outer) && !holes.some(h => inRing(lng, lat, h));
+}
+
+// ids of the company's zones holding the point
+const zonesAt = (companyId, lat, lng) => list(companyId).filter(z => contains(z, lat, lng)).map(z => z.id);
+
+// ---- validation: returns { errors, value }
+const isPos = (p) => Array.isArray(p) && p.length >= 2 && typeof p[0] === "number" && typeof p[1] === "number"
+  && p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+
+// accepts a Polygon geometry, a Feature holding one, or bare rings; open rings are closed
+function parseGeometry(input) {
+  const g = input?.type === "Feature" ? input.geometry : input;
+  const rings = Array.isArray(g) ? g : g?.type === "Polygon" ? g.coordinates : null;
+  if (!Array.isArray(rings) || !rings.length) return { error: "geometry: GeoJSON Polygon" };
+  const out = [];
+  for (const [i, ring] of rings.entries()) {
+    if (!Array.isArray(ring) || !ring.every(isPos)) return { error: `geometry: ring ${i} must be [lng, lat] positions` };
+    const r = ring.map(p => [p[0], p[1]]);
+    const [first, last] = [r[0], r[r.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) r.push([first[0], first[1]]);
+    if (r.length < 4) return { error: `geometry: ring ${i} needs at least 3 distinct points` };
+    out.push(r);
+  }
+  if (out.reduce((n, r) => n + r.length, 0) > MAX_VERTICES) return { error: `geometry: at most ${MAX_VERTICES} points` };
+  return { geometry: { type: "Polygon", coordinates: out } };
+}
+
+function validate(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== "string" || !input.name.trim()) errors.push("name: required string");
+    else value.name = input.name.trim();
+  }
+  if (input.colour !== undefined) {
+    if (input.colour !== null && !/^#[0-9a-fA-F]{6}$/.test(String(input.colour))) errors.push("colour: #rrggbb or null");
+    else value.colour = input.colour;
+  }
+  if (!partial || input.geometry !== undefined) {
+    const g = parseGeometry(input.geometry);
+    if (g.error) errors.push(g.error);
+    else value.geometry = g.geometry;
+  }
+  return { errors, value };
+}
+
+// ---- CRUD within a company; each returns { ok, zone } or { ok: false, status, errors }
+function create(input, { companyId }) {
+  const { errors, value } = validate(input);
+  if (errors.length) return { ok: false, status: 400, errors };
+  const now = tsISO();
+  const zone = { id: crypto.randomUUID(), company_id: companyId, colour: null, ...value, created_at: now, updated_at: now };
+  zones.push(zone);
+  save();
+  return { ok: true, zone };
+}
+
+function update(id, input, { companyId }) {
+  const zone = get(id);
+  if (!zone || zone.company_id !== companyId) return { ok: false, status: 404, errors: ["zone not found"] };
+  const { errors, value } = validate(input, { partial: true });
+  if (errors.length) return { ok: false, status: 400, errors };
+  Object.assign(zone, value, { updated_at: tsISO() });
+  save();
+  return { ok: true, zone };
+}
+
+function remove(id, { companyId }) {
+  const zone = get(id);
+  if (!zone || zone.company_id !== companyId) return { ok: false, status: 404, errors: ["zone not found"] };
+  zones = zones.filter(z => z.id !== id);
+  save();
+  return { ok: true };
+}
+
+// ---- aggregates over the zone's bins (binIds: the company's bins)
+const round1 = (v) => Math.round(v * 10) / 10;
+
+function stats(zone, { binIds, days = 7 }) {
+  const inside = binIds.filter(id => {
+    const reg = registry.resolve(id);
+    return reg.status !== "decommissioned" && contains(zone, reg.lat, reg.lng);
+  });
+  const fills = inside.map(id => datasource.getLatest(id)?.percent_full).filter(p => p != null);
+  const toMs = Date.now();
+  const report = analytics.recyclingReport({ fromMs: toMs - days * 24 * 3600 * 1000, toMs, binIds: inside, group: "bin" });
+  return {
+    bin_ids: inside,
+    bins: inside.length,
+    bins_reporting: fills.length,
+    avg_fill_pct: fills.length ? round1(fills.reduce((a, b) => a + b, 0) / fills.length) : null,
+    max_fill_pct: fills.length ? Math.max(...fills) : null,
+    bins_over_90: fills.filter(p => p >= HIGH_FILL_PCT).length,
+    contamination_days: days,
+    items: report.summary.items,
+    contamination_rate: report.summary.contamination_rate,
+  };
+}
+
+module.exports = { get, list, contains, zonesAt, create, update, remove, stats };
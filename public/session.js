@@ -0,0 +1,37 @@
+// session.js — shared by the HTML pages: shows who is signed in, hides controls the
+// role can't use (data-min-role="operator|admin") and sends expired sessions back to login.
+(function () {
+  const ROLES = ['viewer', 'operator', 'admin', 'superadmin'];
+  const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const toLogin = () => { location.href = '/login.html?next=' + encodeURIComponent(location.pathname + location.search); };
+
+  // any API call that comes back 401 means the session is gone
+  const origFetch = window.fetch.bind(window);
+  window.fetch = async (...args) => {
+    const res = await origFetch(...args);
+    if (res.status === 401) toLogin();
+    return res;
+  };
+
+  window.session = { user: null, company: null, can: () => false };
+  window.sessionReady = origFetch('/api/auth/me').then(async (res) => {
+    if (!res.ok) return toLogin();
+    const { user, company } = await res.json();
+    window.session = { user, company, can: (role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role) };
+
+    document.querySelectorAll('[data-min-role]').forEach(el => {
+      if (!window.session.can(el.dataset.minRole)) { el.disabled = true; el.title = `Requires ${el.dataset.minRole} role`; }
+    });
+
+    const box = document.getElementById('session');
+    if (box && user) {
+      box.innerHTML = `${user.username} · ${user.role}${company ? ` · ${esc(company.name)}` : ''}${window.session.can('admin') ? ' · <a href="/company">admin</a>' : ''} · <a href="#" id="logoutLink">sign out</a>`;
+      document.getElementById('logoutLink').onclick = async (ev) => {
+        ev.preventDefault();
+        await origFetch('/api/auth/logout', { method: 'POST' });
+        toLogin();
+      };
+    }
+    return user;
+  });
+})();
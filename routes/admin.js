@@ -0,0 +1,56 @@
+// routes/admin.js — company admin: the company's operator accounts and device API keys
+const express = require("express");
+const auth = require("../lib/auth");
+const store = require("../lib/store");
+
+const router = express.Router();
+router.use(auth.requireRole("admin"));
+
+const fail = (res, r) => res.status(r.status).json({ ok: false, error: r.errors.join("; "), errors: r.errors });
+// everything here acts within the admin's own company
+const actor = (req) => ({ companyId: req.user.company_id, allowSuperadmin: req.user.role === "superadmin" });
+
+// ---- users
+router.get("/users", (req, res) => {
+  const roles = auth.ROLES.filter(r => r !== "superadmin" || req.user.role === "superadmin");
+  res.json({ items: auth.listUsers(req.user.company_id), roles });
+});
+
+router.post("/users", (req, res) => {
+  const r = auth.createUser(req.body || {}, actor(req));
+  if (!r.ok) return fail(res, r);
+  res.status(201).json({ ok: true, user: r.user });
+});
+
+router.patch("/users/:id", (req, res) => {
+  const r = auth.updateUser(req.params.id, req.body || {}, actor(req));
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, user: r.user });
+});
+
+router.delete("/users/:id", (req, res) => {
+  if (req.params.id === req.user.id) return res.status(409).json({ ok: false, error: "You can't delete yourself" });
+  const r = auth.deleteUser(req.params.id, actor(req));
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, deleted: req.params.id });
+});
+
+// ---- device keys (the plaintext key is only returned by POST)
+router.get("/device-keys", (req, res) => res.json({ items: auth.listDeviceKeys(req.user.company_id) }));
+
+router.post("/device-keys", (req, res) => {
+  const r = auth.createDeviceKey(req.body || {}, actor(req));
+  if (!r.ok) return fail(res, r);
+  res.status(201).json({ ok: true, key: r.key, device_key: r.device_key });
+});
+
+router.delete("/device-keys/:id", (req, res) => {
+  const r = auth.revokeDeviceKey(req.params.id, actor(req));
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, device_key: r.device_key });
+});
+
+// ---- storage (shared by every company)
+router.get("/storage", auth.requireRole("superadmin"), (_req, res) => res.json(store.stats()));
+
+module.exports = router;
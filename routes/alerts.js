@@ -0,0 +1,111 @@
+// routes/alerts.js — alert rules, notification channels and the alert lifecycle
+const express = require("express");
+const alerts = require("../lib/alerts");
+const notify = require("../lib/notify");
+const { rangeFromQuery } = require("../lib/time");
+const { requireRole } = require("../lib/auth");
+
+const router = express.Router();
+
+const fail = (res, r) => res.status(r.status).json({ ok: false, error: r.errors.join("; "), errors: r.errors });
+
+// ---- rules (changing rules and testing channels is for company admins). A company has its own
+// rules plus the shared defaults, which only a superadmin changes.
+const admin = requireRole("admin");
+const ruleScope = (req) => ({ companyId: req.user.company_id, allowShared: req.user.role === "superadmin" });
+router.get("/rules", (req, res) => res.json({ items: alerts.listRules(req.user.company_id), types: alerts.RULE_TYPES }));
+
+router.post("/rules", admin, (req, res) => {
+  const r = alerts.createRule(req.body || {}, { companyId: req.user.company_id });
+  if (!r.ok) return fail(res, r);
+  res.status(201).json({ ok: true, rule: r.rule });
+});
+
+router.patch("/rules/:id", admin, (req, res) => {
+  const r = alerts.updateRule(req.params.id, req.body || {}, ruleScope(req));
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, rule: r.rule });
+});
+
+router.delete("/rules/:id", admin, (req, res) => {
+  const r = alerts.deleteRule(req.params.id, ruleScope(req));
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, deleted: req.params.id });
+});
+
+// ---- channels: each company's own webhook / email config, for its admins (secrets never come back)
+router.get("/channels", admin, (req, res) => res.json(notify.describe(req.user.company_id)));
+
+// replaces the channel's config; DELETE falls back to none (or the env config, for the default company)
+router.put("/channels/:channel", admin, (req, res) => {
+  const r = notify.configure(req.user.company_id, req.params.channel, req.body ?? {});
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, channel: r.channel });
+});
+
+router.delete("/channels/:channel", admin, (req, res) => {
+  const r = notify.configure(req.user.company_id, req.params.channel, null);
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, channel: r.channel });
+});
+
+// sends a synthetic alert through one of the caller's company's channels so the config can be checked end to end
+router.post("/channels/:channel/test", admin, async (req, res) => {
+  const channel = req.params.channel;
+  if (!notify.CHANNEL_NAMES.includes(channel)) {
+    return res.status(404).json({ ok: false, error: `Unknown channel (use ${notify.CHANNEL_NAMES.join(", ")})` });
+  }
+  const [result] = await notify.deliver([channel], "alert.test", {
+    id: "test",
+    company_id: req.user.company_id,
+    severity: "info",
+    message: "SmartBin test notification",
+    opened_at: new Date().toISOString(),
+  });
+  res.status(result.ok ? 200 : 502).json({ ok: result.ok, result });
+});
+
+// ---- alerts
+router.get("/", (req, res) => {
+  const status = req.query.status;
+  if (status && !alerts.STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: `status must be one of ${alerts.STATUSES.join(", ")}` });
+  }
+  const range = rangeFromQuery(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const items = alerts.list({ status, binId: req.query.bin_id || undefined, companyId: req.scope.company_id, fromMs: range.fromMs, toMs: range.toMs });
+  res.json({ items, count: items.length });
+});
+
+// manual alert: { message, bin_id?, severity?, channels? }
+router.post("/", (req, res) => {
+  const b = req.body || {};
+  if (b.bin_id != null && !req.scope.owns(b.bin_id)) return res.status(404).json({ ok: false, error: "Unknown bin" });
+  const r = alerts.createManual(b, { companyId: req.scope.company_id });
+  if (!r.ok) return fail(res, r);
+  res.status(201).json({ ok: true, alert: r.alert });
+});
+
+// other companies' alerts don't exist here
+function ownAlert(req, res, next) {
+  const a = alerts.get(req.params.id);
+  if (!a || a.company_id !== req.scope.company_id) return res.status(404).json({ ok: false, error: "Alert not found" });
+  next();
+}
+
+router.get("/:id", ownAlert, (req, res) => res.json(alerts.get(req.params.id)));
+
+// { note? }; the audit trail records the logged-in user
+router.post("/:id/acknowledge", ownAlert, (req, res) => {
+  const r = alerts.acknowledge(req.params.id, req.user.username, req.body?.note);
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, alert: r.alert });
+});
+
+router.post("/:id/resolve", ownAlert, (req, res) => {
+  const r = alerts.resolve(req.params.id, req.user.username, req.body?.note);
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, alert: r.alert });
+});
+
+module.exports = router;
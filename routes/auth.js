@@ -0,0 +1,27 @@
+// routes/auth.js — operator login/logout and the current session
+const express = require("express");
+const auth = require("../lib/auth");
+const companies = require("../lib/companies");
+
+const router = express.Router();
+
+// { username, password } -> { token, user }; also sets the session cookie for the HTML pages
+router.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const r = auth.login(username, password, req.ip);
+  if (!r.ok) return res.status(r.status).json({ ok: false, error: r.errors.join("; ") });
+  auth.setSessionCookie(res, r.token);
+  res.json({ ok: true, token: r.token, user: r.user });
+});
+
+router.post("/logout", (_req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+router.get("/me", (req, res) => {
+  if (!req.user && !req.device) return res.status(401).json({ ok: false, error: "Not logged in" });
+  res.json({ user: req.user, device: req.device, company: companies.get(req.scope.company_id) });
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// routes/collections.js — detected collection (emptying) events
+const express = require("express");
+const collections = require("../lib/collections");
+const { rangeFromQuery } = require("../lib/time");
+const { requireRole, requireOwnBin } = require("../lib/auth");
+
+const router = express.Router();
+
+function list(req, res, binId) {
+  const range = rangeFromQuery(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const items = collections.query({ binId, binIds: req.scope.binIds(), fromMs: range.fromMs, toMs: range.toMs });
+  res.json({
+    items,
+    count: items.length,
+    detection: { drop_pct: collections.DROP_PCT, rearm_pct: collections.REARM_PCT },
+  });
+}
+
+router.get("/bins/:id/collections", requireRole("viewer"), requireOwnBin(), (req, res) => list(req, res, req.params.id));
+router.get("/collections", requireRole("viewer"), (req, res) => list(req, res, req.query.bin_id || undefined));
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// routes/commands.js — per-bin command history and delivery status
+const express = require("express");
+const commands = require("../lib/commands");
+
+const router = express.Router();
+
+// ?bin_id=&status=&limit=
+router.get("/", (req, res) => {
+  const { bin_id, status } = req.query;
+  if (status && !commands.STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: `status must be one of ${commands.STATUSES.join(", ")}` });
+  }
+  const limit = Math.max(1, Math.min(1000, parseInt(req.query.limit, 10) || 100));
+  const items = commands.list({ binId: bin_id || undefined, binIds: req.scope.binIds(), status, limit });
+  res.json({ items, count: items.length });
+});
+
+// other companies' commands don't exist here
+const visible = (req) => {
+  const c = commands.get(req.params.id);
+  return c && req.scope.owns(c.bin_id) ? c : null;
+};
+
+router.get("/:id", (req, res) => {
+  const c = visible(req);
+  if (!c) return res.status(404).json({ ok: false, error: "Command not found" });
+  res.json(c);
+});
+
+router.post("/:id/cancel", (req, res) => {
+  if (!visible(req)) return res.status(404).json({ ok: false, error: "Command not found" });
+  const r = commands.cancel(req.params.id);
+  if (!r.ok) return res.status(r.status).json({ ok: false, error: r.errors.join("; "), errors: r.errors });
+  res.json({ ok: true, command: r.command });
+});
+
+module.exports = router;
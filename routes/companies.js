@@ -0,0 +1,61 @@
+// routes/companies.js — tenants (superadmin only)
+//   GET    /api/companies                       with bin and user counts
+//   POST   /api/companies                       { id, name, admin: { username, password } }
+//   GET    /api/companies/:id                   with its bin ids and users
+//   PATCH  /api/companies/:id                   { name }
+//   DELETE /api/companies/:id                   only once it has no bins; its users and alert channels go with it
+//   PUT    /api/companies/:id/bins/:binId       move a bin (history, devices, keys) to this company
+const express = require("express");
+const auth = require("../lib/auth");
+const companies = require("../lib/companies");
+const notify = require("../lib/notify");
+
+const router = express.Router();
+
+const fail = (res, r) => res.status(r.status).json({ ok: false, error: r.errors.join("; "), errors: r.errors });
+
+router.get("/", (_req, res) => {
+  const items = companies.list().map(c => ({ ...c, users: auth.listUsers(c.id).length }));
+  res.json({ items });
+});
+
+// a company starts with its first admin, who then sets up the fleet on /company
+router.post("/", (req, res) => {
+  const b = req.body || {};
+  if (!b.admin || typeof b.admin !== "object") return res.status(400).json({ ok: false, error: "admin: { username, password } required" });
+  const r = companies.create(b);
+  if (!r.ok) return fail(res, r);
+  const u = auth.createUser({ username: b.admin.username, password: b.admin.password, role: "admin" }, { companyId: r.company.id });
+  if (!u.ok) {
+    companies.remove(r.company.id);
+    return fail(res, u);
+  }
+  res.status(201).json({ ok: true, company: r.company, admin: u.user });
+});
+
+router.get("/:id", (req, res) => {
+  const c = companies.get(req.params.id);
+  if (!c) return res.status(404).json({ ok: false, error: "Company not found" });
+  res.json({ ...c, bin_ids: companies.binIdsOf(c.id), users: auth.listUsers(c.id) });
+});
+
+router.patch("/:id", (req, res) => {
+  const r = companies.rename(req.params.id, req.body || {});
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, company: r.company });
+});
+
+router.delete("/:id", (req, res) => {
+  const r = companies.remove(req.params.id);
+  if (!r.ok) return fail(res, r);
+  notify.forget(req.params.id);
+  res.json({ ok: true, deleted: req.params.id, users_deleted: auth.deleteUsersOf(req.params.id) });
+});
+
+router.put("/:id/bins/:binId", (req, res) => {
+  const r = companies.assign(req.params.binId, req.params.id);
+  if (!r.ok) return fail(res, r);
+  res.json(r);
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/devices.js — Pi fleet: identity, firmware, online status and reported health
+const express = require("express");
+const devices = require("../lib/devices");
+
+const router = express.Router();
+
+// ?bin_id=BIN-001&online=true|false
+router.get("/", (req, res) => {
+  const { bin_id, online } = req.query;
+  if (online !== undefined && online !== "true" && online !== "false") {
+    return res.status(400).json({ ok: false, error: "online must be true or false" });
+  }
+  const items = devices.list({ binId: bin_id || undefined, binIds: req.scope.binIds(), online: online === undefined ? undefined : online === "true" });
+  res.json({
+    items,
+    count: items.length,
+    online: items.filter(d => d.online).length,
+    offline_after_s: devices.OFFLINE_AFTER_S,
+  });
+});
+
+router.get("/:id", (req, res) => {
+  const d = devices.get(req.params.id);
+  if (!d || !req.scope.owns(d.bin_id)) return res.status(404).json({ ok: false, error: "Unknown device" });
+  res.json(d);
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// routes/images.js — classification frames, the review queue and the labelled dataset export
+//   GET  /api/images?status=pending|confirmed|relabelled|skipped|all&bin_id&from&to&limit&offset
+//   GET  /api/images/export?bin_id&from&to           zip: images/<label>/..., manifest.csv, manifest.json
+//   GET  /api/images/:id, /:id/file, /:id/thumb
+//   POST /api/images/:id/review { action: confirm|relabel|skip, label?, recyclable?, note? }
+const express = require("express");
+const images = require("../lib/images");
+const { rangeFromQuery, tsISO } = require("../lib/time");
+const log = require("../lib/log").child("images");
+
+const router = express.Router();
+const STATUSES = [...images.REVIEW_STATUSES, "all"];
+
+router.get("/", (req, res) => {
+  const status = req.query.status ?? "pending";
+  if (!STATUSES.includes(status)) return res.status(400).json({ ok: false, error: `status must be one of ${STATUSES.join(", ")}` });
+  const range = rangeFromQuery(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const binIds = req.scope.binIds();
+  const { total, items } = images.list({ status, binId: req.query.bin_id || undefined, binIds, fromMs: range.fromMs, toMs: range.toMs, limit, offset });
+  res.json({ status, total, items, queue: images.queueSize(binIds), review_below_confidence: images.REVIEW_BELOW_CONFIDENCE });
+});
+
+router.get("/export", (req, res) => {
+  const range = rangeFromQuery(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  res.attachment(`smartbin_dataset_${tsISO().slice(0, 10)}.zip`);
+  const { done } = images.exportDataset(res, { binId: req.query.bin_id || undefined, binIds: req.scope.binIds(), fromMs: range.fromMs, toMs: range.toMs });
+  done.catch((err) => {
+    log.error("dataset export failed", { err });
+    res.destroy(err);
+  });
+});
+
+// frames from other companies' bins are unknown here
+router.param("id", (req, res, next, id) => {
+  const image = images.get(id);
+  if (!image || !req.scope.owns(image.bin_id)) return res.status(404).json({ ok: false, error: "Unknown image" });
+  req.image = image;
+  next();
+});
+
+router.get("/:id", (req, res) => res.json(req.image));
+
+for (const kind of ["file", "thumb"]) {
+  router.get(`/:id/${kind}`, (req, res) => {
+    const f = images.fileOf(req.params.id, { thumb: kind === "thumb" });
+    if (!f) return res.status(404).json({ ok: false, error: "Unknown image" });
+    res.type(f.mime).sendFile(f.path, { maxAge: "1d" }, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ ok: false, error: "Image file missing" });
+    });
+  });
+}
+
+router.post("/:id/review", (req, res) => {
+  const r = images.review(req.params.id, req.body || {}, req.user?.username ?? null);
+  if (!r.ok) return res.status(r.status).json({ ok: false, error: r.errors.join("; ") });
+  res.json({ ok: true, image: r.image });
+});
+
+module.exports = router;
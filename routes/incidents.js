@@ -0,0 +1,44 @@
+// routes/incidents.js — contaminated-item incidents and their audit trail
+//   GET  /api/incidents?status=active|open|overridden|acknowledged|resolved|all&bin_id&from&to&limit
+//   GET  /api/incidents/:id
+//   POST /api/incidents/:id/override    { note?, recyclable? }   staff verdict, default non-recyclable
+//   POST /api/incidents/:id/acknowledge { note? }                item taken out of the bin
+//   POST /api/incidents/:id/resolve     { note? }
+const express = require("express");
+const incidents = require("../lib/incidents");
+const { rangeFromQuery } = require("../lib/time");
+
+const router = express.Router();
+const STATUSES = ["active", ...incidents.STATUSES, "all"];
+
+router.get("/", (req, res) => {
+  const status = req.query.status ?? "active";
+  if (!STATUSES.includes(status)) return res.status(400).json({ ok: false, error: `status must be one of ${STATUSES.join(", ")}` });
+  const range = rangeFromQuery(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 100));
+  res.json({ status, ...incidents.list({ status, binId: req.query.bin_id || undefined, binIds: req.scope.binIds(), fromMs: range.fromMs, toMs: range.toMs, limit }) });
+});
+
+// incidents of other companies' bins are unknown here
+const visible = (req) => {
+  const incident = incidents.get(req.params.id);
+  return incident && req.scope.owns(incident.bin_id) ? incident : null;
+};
+
+router.get("/:id", (req, res) => {
+  const incident = visible(req);
+  if (!incident) return res.status(404).json({ ok: false, error: "Unknown incident" });
+  res.json(incident);
+});
+
+for (const action of Object.keys(incidents.ACTIONS)) {
+  router.post(`/:id/${action}`, (req, res) => {
+    if (!visible(req)) return res.status(404).json({ ok: false, error: "Unknown incident" });
+    const r = incidents.act(req.params.id, action, req.body || {}, req.user?.username ?? null);
+    if (!r.ok) return res.status(r.status).json({ ok: false, error: r.errors.join("; ") });
+    res.json({ ok: true, incident: r.incident });
+  });
+}
+
+module.exports = router;
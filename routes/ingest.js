@@ -0,0 +1,40 @@
+// routes/ingest.js — payload schemas, the dead-letter store of rejected payloads and
+// per-device ingest counters
+const express = require("express");
+const ingest = require("../lib/ingest");
+
+const router = express.Router();
+
+// only the caller's company's rejects and counters
+const inScope = (req) => req.scope.sees;
+
+// schemas per channel and version, plus the sanity limits
+router.get("/schemas", (_req, res) => res.json(ingest.describe()));
+
+// accepted / rejected / duplicate counts per device (or user for logged-in posts)
+router.get("/stats", (req, res) => res.json({ devices: ingest.stats(inScope(req)) }));
+
+// newest first; ?device=&bin_id=&channel=&code=&limit= (max 1000)
+router.get("/rejects", (req, res) => {
+  const limit = Math.max(1, Math.min(1000, parseInt(req.query.limit, 10) || 100));
+  const { total, items } = ingest.listRejects({
+    origin: req.query.device || undefined,
+    binId: req.query.bin_id || undefined,
+    channel: req.query.channel || undefined,
+    code: req.query.code || undefined,
+    inScope: inScope(req),
+    limit,
+  });
+  res.json({ total, items, counters: ingest.stats(inScope(req)) });
+});
+
+router.get("/rejects/:id", (req, res) => {
+  const item = ingest.getReject(req.params.id);
+  if (!item || !inScope(req)(item.bin_id)) return res.status(404).json({ ok: false, error: "Unknown reject" });
+  res.json(item);
+});
+
+// empty the company's part of the dead-letter store (counters are kept)
+router.delete("/rejects", (req, res) => res.json({ ok: true, removed: ingest.clearRejects(inScope(req)) }));
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// routes/query.js — time-range query API over stored readings and classifications
+//   GET /api/readings?from&to&bin_id&compartment&bucket&order&limit&cursor
+//   GET /api/classifications?from&to&bin_id&kind&label&recyclable&source&override&bucket&order&limit&cursor
+// from/to: ISO or epoch ms (default: the last 24 h); bin_id and kind take comma lists.
+// Without bucket: raw rows, paged with next_cursor. With bucket=15m|1h|1d: aggregated rows.
+// Only the caller's company's bins are ever queried.
+const express = require("express");
+const query = require("../lib/query");
+const { COMPARTMENTS } = require("../lib/fill");
+const { rangeFromQuery } = require("../lib/time");
+const { requireRole } = require("../lib/auth");
+
+const router = express.Router();
+const DAY_MS = 24 * 3600 * 1000;
+
+const list = (v) => (v == null || v === "" ? [] : String(v).split(",").map(s => s.trim()).filter(Boolean));
+
+// shared params; returns { error } or the parsed options (binIds narrowed to the caller's company)
+function common(q, scope) {
+  const now = Date.now();
+  const range = rangeFromQuery(q, { defaultFromMs: now - DAY_MS, defaultToMs: now });
+  if (range.error) return { error: range.error };
+  if (q.bucket !== undefined && !query.BUCKETS[q.bucket]) return { error: `bucket must be one of ${Object.keys(query.BUCKETS).join(", ")}` };
+  if (q.order !== undefined && q.order !== "asc" && q.order !== "desc") return { error: "order must be asc or desc" };
+  const limit = q.limit === undefined ? query.DEFAULT_LIMIT : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > query.MAX_LIMIT) return { error: `limit must be an integer 1-${query.MAX_LIMIT}` };
+  const cursor = query.decodeCursor(q.cursor, { bucketed: q.bucket !== undefined });
+  if (cursor.error) return { error: cursor.error };
+  const requested = list(q.bin_id);
+  return {
+    requested,
+    binIds: scope.binIds(requested),
+    fromMs: range.fromMs,
+    toMs: range.toMs,
+    bucket: q.bucket,
+    order: q.order || "asc",
+    limit,
+    cursor: cursor.key,
+  };
+}
+
+const echo = (o) => ({
+  from: new Date(o.fromMs).toISOString(),
+  to: new Date(o.toMs).toISOString(),
+  bin_ids: o.requested.length ? o.requested : null,
+  bucket: o.bucket ?? null,
+  order: o.order,
+});
+
+router.get("/readings", requireRole("viewer"), (req, res) => {
+  const o = common(req.query, req.scope);
+  if (o.error) return res.status(400).json({ ok: false, error: o.error });
+  const compartments = list(req.query.compartment);
+  const bad = compartments.find(c => !COMPARTMENTS.includes(c));
+  if (bad) return res.status(400).json({ ok: false, error: `compartment must be one of ${COMPARTMENTS.join(", ")}` });
+  o.compartments = compartments.length ? compartments : COMPARTMENTS;
+
+  // no bins in scope: nothing to query (an empty bin list would mean all bins to the store)
+  const r = !o.binIds.length ? { items: [], next_cursor: null } : o.bucket ? query.readingBuckets(o) : query.readings(o);
+  res.json({ query: { ...echo(o), compartments: o.compartments }, count: r.items.length, items: r.items, next_cursor: r.next_cursor });
+});
+
+router.get("/classifications", requireRole("viewer"), (req, res) => {
+  const o = common(req.query, req.scope);
+  if (o.error) return res.status(400).json({ ok: false, error: o.error });
+  const kinds = list(req.query.kind);
+  const badKind = kinds.find(k => !query.EVENT_KINDS.includes(k));
+  if (badKind) return res.status(400).json({ ok: false, error: `kind must be one of ${query.EVENT_KINDS.join(", ")}` });
+  o.kinds = kinds.length ? kinds : ["classification", "override"];
+
+  // exact-match filters on the stored entry
+  o.match = {};
+  for (const f of ["label", "recyclable", "source"]) if (req.query[f] !== undefined) o.match[f] = String(req.query[f]);
+  if (req.query.override !== undefined) {
+    if (req.query.override !== "0" && req.query.override !== "1") return res.status(400).json({ ok: false, error: "override must be 0 or 1" });
+    o.match.override = Number(req.query.override);
+  }
+
+  const q = { ...echo(o), kinds: o.kinds, filters: o.match };
+  if (!o.binIds.length) return res.json({ query: q, count: 0, items: [], ...(o.bucket ? { totals: null, truncated: false } : { next_cursor: null }) });
+  if (o.bucket) {
+    const r = query.classificationBuckets(o);
+    return res.json({ query: q, count: r.items.length, items: r.items, totals: r.totals, truncated: r.truncated });
+  }
+  const r = query.classifications(o);
+  res.json({ query: q, count: r.items.length, items: r.items, next_cursor: r.next_cursor });
+});
+
+module.exports = router;
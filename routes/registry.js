@@ -0,0 +1,53 @@
+// routes/registry.js — /api/registry/bins CRUD, within the caller's company
+const express = require("express");
+const registry = require("../lib/registry");
+const companies = require("../lib/companies");
+const { requireOwnBin } = require("../lib/auth");
+
+const router = express.Router();
+
+const fail = (res, r) => res.status(r.status).json({ ok: false, error: r.errors.join("; "), errors: r.errors });
+
+router.get("/bins", (req, res) => {
+  const status = req.query.status;
+  if (status && !registry.STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: `status: one of ${registry.STATUSES.join(", ")}` });
+  }
+  res.json({ bins: registry.list({ status }).filter(b => req.scope.owns(b.id)) });
+});
+
+router.use("/bins/:id", requireOwnBin());
+
+router.get("/bins/:id", (req, res) => {
+  const bin = registry.resolve(req.params.id);
+  if (!bin.registered) return res.status(404).json({ ok: false, error: "Bin not registered" });
+  res.json({ bin });
+});
+
+// registering a new bin id makes it the company's
+router.post("/bins", (req, res) => {
+  const id = req.body?.id;
+  if (typeof id === "string" && companies.companyOf(id) && !req.scope.owns(id)) {
+    return res.status(409).json({ ok: false, error: `id: ${id} belongs to another company` });
+  }
+  const r = registry.create(req.body || {});
+  if (r.ok) companies.claim(r.bin.id, req.scope.company_id);
+  if (!r.ok) return fail(res, r);
+  res.status(201).json({ ok: true, bin: r.bin });
+});
+
+router.patch("/bins/:id", (req, res) => {
+  const body = { ...(req.body || {}) };
+  delete body.id; // ids are immutable
+  const r = registry.update(req.params.id, body);
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, bin: r.bin });
+});
+
+router.delete("/bins/:id", (req, res) => {
+  const r = registry.remove(req.params.id);
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, removed: req.params.id });
+});
+
+module.exports = router;
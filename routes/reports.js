@@ -0,0 +1,85 @@
+// routes/reports.js — analytics reports
+//   GET /api/reports/recycling?from&to&bin_id&group=day|week|bin|postal[&format=csv]
+//   GET /api/reports/tonnage?from&to&bin_id&group=day|week|month|bin|zone|postal[&format=csv]
+// from/to default to the current calendar month (UTC); bin_id takes a comma list (of the caller's company's bins).
+const express = require("express");
+const analytics = require("../lib/analytics");
+const tonnage = require("../lib/tonnage");
+const registry = require("../lib/registry");
+const zones = require("../lib/zones");
+const { rangeFromQuery } = require("../lib/time");
+const { csvCell } = require("../lib/csv");
+const { requireRole } = require("../lib/auth");
+
+const router = express.Router();
+
+const CSV_COLUMNS = [
+  "items", "judged_items", "recyclable", "non_recyclable", "contaminated", "unknown_verdict", "overrides",
+  "diversion_rate", "contamination_rate", "override_rate", "avg_confidence", "avg_time_ms",
+];
+
+const monthRange = (req) => {
+  const now = new Date();
+  const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  return rangeFromQuery(req.query, { defaultFromMs: monthStart, defaultToMs: now.getTime() });
+};
+const requestedBins = (req) => (req.query.bin_id ? String(req.query.bin_id).split(",").map(s => s.trim()).filter(Boolean) : []);
+
+router.get("/recycling", requireRole("viewer"), (req, res) => {
+  const range = monthRange(req);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const group = req.query.group ?? "day";
+  if (!analytics.GROUPS.includes(group)) return res.status(400).json({ ok: false, error: `group must be one of ${analytics.GROUPS.join(", ")}` });
+  const requested = requestedBins(req);
+
+  const report = analytics.recyclingReport({ fromMs: range.fromMs, toMs: range.toMs, binIds: req.scope.binIds(requested), group });
+  const from = new Date(range.fromMs).toISOString();
+  const to = new Date(range.toMs).toISOString();
+
+  if (req.query.format === "csv") {
+    const rows = [[group, ...CSV_COLUMNS, "top_labels"].join(",")];
+    const line = (key, g) => rows.push([key, ...CSV_COLUMNS.map(c => g[c]), Object.entries(g.labels).slice(0, 5).map(([l, n]) => `${l}:${n}`).join(" ")].map(csvCell).join(","));
+    report.groups.forEach(g => line(g.key, g));
+    line("total", report.summary);
+    res.header("Content-Type", "text/csv");
+    res.attachment(`recycling_${group}_${from.slice(0, 10)}_${to.slice(0, 10)}.csv`);
+    return res.send(rows.join("\n"));
+  }
+
+  res.json({ from, to, group, bin_ids: requested.length ? requested : null, ...report });
+});
+
+// collected weight, for checking the contractor's invoices; collections without a weight are counted
+// but add nothing
+const TONNAGE_COLUMNS = ["collections", "weighed_collections", "kg", "tonnes", "kg_per_collection", "density_kg_per_l"];
+
+router.get("/tonnage", requireRole("viewer"), (req, res) => {
+  const range = monthRange(req);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const group = req.query.group ?? "day";
+  if (!tonnage.GROUPS.includes(group)) return res.status(400).json({ ok: false, error: `group must be one of ${tonnage.GROUPS.join(", ")}` });
+  const requested = requestedBins(req);
+
+  const companyId = req.scope.company_id;
+  const zonesOf = (binId) => {
+    const reg = registry.resolve(binId);
+    return zones.list(companyId).filter(z => zones.contains(z, reg.lat, reg.lng));
+  };
+  const report = tonnage.tonnageReport({ fromMs: range.fromMs, toMs: range.toMs, binIds: req.scope.binIds(requested), group, zonesOf });
+  const from = new Date(range.fromMs).toISOString();
+  const to = new Date(range.toMs).toISOString();
+
+  if (req.query.format === "csv") {
+    const rows = [[group, ...TONNAGE_COLUMNS, "recycle_kg", "general_kg"].join(",")];
+    const line = (key, g) => rows.push([key, ...TONNAGE_COLUMNS.map(c => g[c]), g.by_compartment.recycle, g.by_compartment.general].map(csvCell).join(","));
+    report.groups.forEach(g => line(g.key, g));
+    line("total", report.summary);
+    res.header("Content-Type", "text/csv");
+    res.attachment(`tonnage_${group}_${from.slice(0, 10)}_${to.slice(0, 10)}.csv`);
+    return res.send(rows.join("\n"));
+  }
+
+  res.json({ from, to, group, bin_ids: requested.length ? requested : null, ...report });
+});
+
+module.exports = router;
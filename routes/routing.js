@@ -0,0 +1,101 @@
+// routes/routing.js — POST /api/routes/plan
+const express = require("express");
+const routing = require("../lib/routing");
+const pickups = require("../lib/pickups");
+const forecast = require("../lib/forecast");
+const datasource = require("../lib/datasource");
+const registry = require("../lib/registry");
+const { COMPARTMENTS } = require("../lib/fill");
+const { toMs } = require("../lib/time");
+
+const DEFAULT_BIN_CAPACITY_L = Number(process.env.ROUTE_DEFAULT_BIN_L) || 240;
+
+const router = express.Router();
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const posNum = (v) => isNum(v) && v > 0;
+
+// litres currently in the bin, from per-compartment fill and capacity
+function estimateLoadL(binId) {
+  const reg = registry.resolve(binId);
+  const latest = datasource.getLatest(binId);
+  const binCap = reg.capacity_l ?? DEFAULT_BIN_CAPACITY_L;
+  let litres = 0;
+  for (const c of COMPARTMENTS) {
+    const pct = latest?.compartments[c]?.percent_full;
+    if (pct == null) continue;
+    const cap = reg.compartments[c].capacity_l ?? binCap / COMPARTMENTS.length;
+    litres += (cap * pct) / 100;
+  }
+  return Math.round(litres * 10) / 10;
+}
+
+router.post("/plan", (req, res) => {
+  const b = req.body || {};
+  const errors = [];
+
+  const depot = b.depot;
+  if (!depot || !isNum(depot.lat) || !isNum(depot.lng) || Math.abs(depot.lat) > 90 || Math.abs(depot.lng) > 180) {
+    errors.push("depot: {lat, lng} required, lat in [-90, 90] and lng in [-180, 180]");
+  }
+  if (b.bin_ids !== undefined && !(Array.isArray(b.bin_ids) && b.bin_ids.length <= routing.MAX_STOPS && b.bin_ids.every(id => typeof id === "string"))) {
+    errors.push(`bin_ids: array of at most ${routing.MAX_STOPS} bin ids`);
+  }
+  if (b.due_within_hours !== undefined && !posNum(b.due_within_hours)) errors.push("due_within_hours: positive number");
+  if (b.bin_ids === undefined && b.due_within_hours === undefined) errors.push("bin_ids or due_within_hours required");
+  if (b.truck_capacity_l !== undefined && !posNum(b.truck_capacity_l)) errors.push("truck_capacity_l: positive number");
+  for (const k of ["speed_kmh", "service_min", "unload_min"]) {
+    if (b[k] !== undefined && !posNum(b[k])) errors.push(`${k}: positive number`);
+  }
+  const model = b.model ?? forecast.DEFAULT_MODEL;
+  if (!forecast.MODELS.includes(model)) errors.push(`model: one of ${forecast.MODELS.join(", ")}`);
+
+  const startMs = b.shift?.start !== undefined ? toMs(b.shift.start) : Date.now();
+  const endMs = b.shift?.end !== undefined ? toMs(b.shift.end) : startMs + routing.DEFAULTS.shift_hours * 3600e3;
+  if (startMs == null || endMs == null || endMs <= startMs) errors.push("shift: {start, end} timestamps with start before end");
+
+  if (errors.length) return res.status(400).json({ ok: false, error: errors.join("; "), errors });
+
+  // which bins: explicit list, or everything due within N hours on the pickup schedule; other
+  // companies' bins count as unknown
+  const due = b.bin_ids
+    ? pickups.pickupItems({ model, horizonHours: null, binIds: b.bin_ids.filter(req.scope.owns) })
+    : pickups.pickupItems({ model, horizonHours: b.due_within_hours, binIds: datasource.listBinIds().filter(req.scope.owns) });
+  const etaById = new Map(due.map(x => [x.bin_id, x.eta100_iso]));
+  const ids = b.bin_ids ? [...new Set(b.bin_ids)] : due.map(x => x.bin_id);
+
+  const stops = [];
+  const skipped = [];
+  // due bins come soonest first; past the cap the rest wait for the next run
+  for (const id of ids.splice(routing.MAX_STOPS)) skipped.push({ bin_id: id, reason: "too_many_stops" });
+  for (const id of ids) {
+    if (!req.scope.owns(id) || !datasource.sourceOf(id)) { skipped.push({ bin_id: id, reason: "unknown_bin" }); continue; }
+    const reg = registry.resolve(id);
+    if (!isNum(reg.lat) || !isNum(reg.lng)) { skipped.push({ bin_id: id, reason: "no_coordinates" }); continue; }
+    stops.push({ bin_id: id, lat: reg.lat, lng: reg.lng, load_l: estimateLoadL(id), eta100_iso: etaById.get(id) ?? null });
+  }
+
+  const opts = {};
+  for (const k of ["speed_kmh", "service_min", "unload_min"]) if (b[k] !== undefined) opts[k] = b[k];
+  const result = routing.plan({
+    depot: { lat: depot.lat, lng: depot.lng },
+    stops,
+    truckCapacityL: b.truck_capacity_l ?? null,
+    shiftStartMs: startMs,
+    shiftEndMs: endMs,
+    opts,
+  });
+
+  res.json({
+    ok: true,
+    depot: { lat: depot.lat, lng: depot.lng },
+    shift: { start_iso: new Date(startMs).toISOString(), end_iso: new Date(endMs).toISOString() },
+    truck_capacity_l: b.truck_capacity_l ?? null,
+    model,
+    selection: b.bin_ids ? "bin_ids" : `due_within_${b.due_within_hours}h`,
+    ...result,
+    unscheduled: [...skipped, ...result.unscheduled],
+  });
+});
+
+module.exports = router;
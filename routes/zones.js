@@ -0,0 +1,54 @@
+// routes/zones.js — service zones of the caller's company, with live aggregates
+//   GET    /api/zones?days=7          zones with stats (contamination rate over the last `days`)
+//   GET    /api/zones/:id?days=7
+//   POST   /api/zones                 { name, geometry: GeoJSON Polygon | Feature, colour? }
+//   PATCH  /api/zones/:id             { name?, geometry?, colour? }
+//   DELETE /api/zones/:id
+const express = require("express");
+const zones = require("../lib/zones");
+
+const router = express.Router();
+
+const fail = (res, r) => res.status(r.status).json({ ok: false, error: r.errors.join("; "), errors: r.errors });
+
+function daysOf(req) {
+  if (req.query.days === undefined) return 7;
+  const days = Number(req.query.days);
+  return Number.isFinite(days) && days > 0 && days <= 365 ? days : null;
+}
+
+const withStats = (req, zone, days) => ({ ...zone, stats: zones.stats(zone, { binIds: req.scope.binIds(), days }) });
+
+router.get("/", (req, res) => {
+  const days = daysOf(req);
+  if (days == null) return res.status(400).json({ ok: false, error: "days: number in (0, 365]" });
+  res.json({ items: zones.list(req.scope.company_id).map(z => withStats(req, z, days)) });
+});
+
+router.get("/:id", (req, res) => {
+  const days = daysOf(req);
+  if (days == null) return res.status(400).json({ ok: false, error: "days: number in (0, 365]" });
+  const zone = zones.get(req.params.id);
+  if (!zone || zone.company_id !== req.scope.company_id) return res.status(404).json({ ok: false, error: "Unknown zone" });
+  res.json(withStats(req, zone, days));
+});
+
+router.post("/", (req, res) => {
+  const r = zones.create(req.body || {}, { companyId: req.scope.company_id });
+  if (!r.ok) return fail(res, r);
+  res.status(201).json({ ok: true, zone: withStats(req, r.zone, 7) });
+});
+
+router.patch("/:id", (req, res) => {
+  const r = zones.update(req.params.id, req.body || {}, { companyId: req.scope.company_id });
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, zone: withStats(req, r.zone, 7) });
+});
+
+router.delete("/:id", (req, res) => {
+  const r = zones.remove(req.params.id, { companyId: req.scope.company_id });
+  if (!r.ok) return fail(res, r);
+  res.json({ ok: true, deleted: req.params.id });
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// scripts/import-jsonl.js — import bin_log.jsonl-style files into the configured store.
+// Usage: node scripts/import-jsonl.js [--force] [file ...]   (default: data/bin_log.jsonl)
+// Run it with the server stopped: both would otherwise write the same database file.
+const path = require("path");
+const store = require("../lib/store");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const files = args.filter(a => a !== "--force");
+  const dataDir = path.join(process.cwd(), "data");
+  if (!files.length) files.push(path.join(dataDir, "bin_log.jsonl"));
+  if (store.BACKEND === "jsonl") {
+    console.error("STORAGE_BACKEND=jsonl already reads bin_log.jsonl directly; nothing to import");
+    process.exit(1);
+  }
+
+  await store.init({ dataDir, onBadRow: ({ file, line, error }) => console.warn(`⚠️  ${path.basename(file)}:${line}: ${error}`) });
+  for (const f of files) {
+    const r = await store.importJsonl(path.resolve(f), { force });
+    console.log(r.skipped ? `⏭️  ${f}: ${r.skipped}` : `📦 ${f}: ${r.imported} readings${r.bad ? `, ${r.bad} bad lines skipped` : ""}`);
+  }
+  store.maintain(); // roll up what came in
+  store.close();
+  console.log(store.stats());
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
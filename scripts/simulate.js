@@ -0,0 +1,393 @@
+// scripts/simulate.js — virtual Pis for load tests and end-to-end runs without hardware. Each one
+// talks to a running server exactly like a real device: Socket.IO (pi:hello, pi:heartbeat, pi:sensors,
+// pi:vision, answers pi:cmd) or HTTP (/update, /api/bins/snapshot), authenticated with a device key.
+//
+// Usage: node scripts/simulate.js [options]
+//   --url URL              server (default http://localhost:3000)
+//   --bins N               virtual bins SIM-001..SIM-N (default 3); --prefix changes "SIM-"
+//   --bin ID               simulate these bin ids instead (repeatable)
+//   --keys FILE            { "<bin id>": "sbk_..." }; missing keys are created with --admin and saved here
+//   --admin USER:PASS      account that may create device keys (admin of the bins' company)
+//   --transport sio|http   default sio; http sends readings to /update (or /api/bins/snapshot with --snapshot)
+//   --profile NAME[,NAME]  fill/empty/contamination profile per bin, round robin (default office);
+//                          a .json file of { name: { ...profile } } adds or overrides profiles
+//   --interval S           seconds between sensor readings (default 10)
+//   --speed X              simulated time runs X times faster than the clock (default 60)
+//   --height CM            compartment depth the distances are computed against (default 75)
+//   --duration S           stop after S seconds (default: until Ctrl-C)
+//   --replay FILE          replay a recorded bin_log.jsonl instead: gaps between readings shrink by --speed,
+//                          each bin in the file is a virtual Pi; --keep-timestamps sends the recorded times
+// Commands: ping, empty (simulated collection), reboot (reconnects after a few seconds) and
+// set_interval { interval_s } are handled; anything else is acked as ignored. HTTP devices can't
+// receive commands.
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const crypto = require("crypto");
+const { parseArgs } = require("util");
+const { io } = require("socket.io-client");
+
+// fill_pct_per_hour: [min, max] per compartment; empty_at_pct: collected around this fill (empty_prob_per_hour
+// once reached); items_per_hour: classifications; contamination: share of items judged contaminated
+const PROFILES = {
+  office: { fill_pct_per_hour: { recycle: [0.3, 1.2], general: [0.5, 1.5] }, empty_at_pct: 80, empty_prob_per_hour: 0.3, reset_pct: [2, 8], items_per_hour: 4, contamination: 0.05, recyclable_share: 0.5, noise_cm: 0.8 },
+  foodcourt: { fill_pct_per_hour: { recycle: [1.5, 4], general: [3, 7] }, empty_at_pct: 85, empty_prob_per_hour: 0.6, reset_pct: [3, 10], items_per_hour: 30, contamination: 0.25, recyclable_share: 0.35, noise_cm: 1.5 },
+  station: { fill_pct_per_hour: { recycle: [1, 3], general: [1, 3] }, empty_at_pct: 90, empty_prob_per_hour: 0.2, reset_pct: [0, 5], items_per_hour: 15, contamination: 0.12, recyclable_share: 0.45, noise_cm: 1 },
+  neglected: { fill_pct_per_hour: { recycle: [1, 2], general: [1, 2] }, empty_at_pct: 100, empty_prob_per_hour: 0.02, reset_pct: [0, 5], items_per_hour: 6, contamination: 0.1, recyclable_share: 0.5, noise_cm: 1 },
+};
+const LABELS = {
+  recyclable: ["plastic_bottle", "aluminium_can", "paper", "cardboard", "glass_bottle"],
+  "non-recyclable": ["food_waste", "tissue", "styrofoam", "plastic_bag"],
+  contaminated: ["greasy_box", "bottle_with_liquid", "food_container"],
+};
+const COMPARTMENTS = ["recycle", "general"];
+
+const rand = (a, b) => a + Math.random() * (b - a);
+const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const round1 = (v) => Math.round(v * 10) / 10;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function options() {
+  const { values } = parseArgs({
+    options: {
+      url: { type: "string", default: "http://localhost:3000" },
+      bins: { type: "string", default: "3" },
+      prefix: { type: "string", default: "SIM-" },
+      bin: { type: "string", multiple: true },
+      keys: { type: "string" },
+      admin: { type: "string" },
+      transport: { type: "string", default: "sio" },
+      snapshot: { type: "boolean", default: false },
+      profile: { type: "string", default: "office" },
+      interval: { type: "string", default: "10" },
+      speed: { type: "string", default: "60" },
+      height: { type: "string", default: "75" },
+      duration: { type: "string" },
+      replay: { type: "string" },
+      "keep-timestamps": { type: "boolean", default: false },
+    },
+  });
+  const num = (k, min) => {
+    const v = Number(values[k]);
+    if (!Number.isFinite(v) || v < min) throw new Error(`--${k}: number >= ${min}`);
+    return v;
+  };
+  if (!["sio", "http"].includes(values.transport)) throw new Error("--transport: sio or http");
+  return {
+    ...values,
+    url: values.url.replace(/\/$/, ""),
+    bins: num("bins", 1),
+    interval: num("interval", 0.05),
+    speed: num("speed", 0.001),
+    height: num("height", 1),
+    duration: values.duration !== undefined ? num("duration", 1) : null,
+  };
+}
+
+// ---- stats, printed every 10 s and at the end
+const stats = { sent: 0, ok: 0, rejected: 0, errors: 0, commands: 0, ack_ms_sum: 0, ack_n: 0, connected: 0 };
+function report(label = "") {
+  const avg = stats.ack_n ? Math.round(stats.ack_ms_sum / stats.ack_n) : "—";
+  console.log(`${label}connected ${stats.connected} • sent ${stats.sent} • ok ${stats.ok} • rejected ${stats.rejected} • errors ${stats.errors} • commands ${stats.commands} • avg ack ${avg} ms`);
+}
+function settle(startedAt, r) {
+  stats.ack_ms_sum += Date.now() - startedAt;
+  stats.ack_n += 1;
+  if (r && r.ok === false) {
+    stats.rejected += 1;
+    if (stats.rejected <= 5) console.warn("⚠️  rejected:", r.error || JSON.stringify(r));
+  } else stats.ok += 1;
+}
+
+// ---- device keys: from --keys, else created through the admin API
+async function deviceKeys(opts, binIds) {
+  const keys = opts.keys && fs.existsSync(opts.keys) ? JSON.parse(fs.readFileSync(opts.keys, "utf8")) : {};
+  const missing = binIds.filter(id => !keys[id]);
+  if (!missing.length) return keys;
+  if (!opts.admin) throw new Error(`no device key for ${missing.join(", ")}; pass --keys or --admin`);
+
+  const [username, ...rest] = opts.admin.split(":");
+  const login = await fetch(`${opts.url}/api/auth/login`, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ username, password: rest.join(":") }),
+  });
+  const { token, error } = await login.json();
+  if (!login.ok) throw new Error(`login failed: ${error || login.status}`);
+  for (const binId of missing) {
+    const res = await fetch(`${opts.url}/api/admin/device-keys`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ bin_id: binId, label: "simulator" }),
+    });
+    const out = await res.json();
+    if (!res.ok) throw new Error(`device key for ${binId}: ${out.error || res.status}`);
+    keys[binId] = out.key;
+  }
+  if (opts.keys) fs.writeFileSync(opts.keys, JSON.stringify(keys, null, 2));
+  console.log(`🔑 created device keys for ${missing.join(", ")}`);
+  return keys;
+}
+
+function loadProfiles(spec) {
+  const profiles = { ...PROFILES };
+  const names = [];
+  for (const part of spec.split(",").map(s => s.trim()).filter(Boolean)) {
+    if (part.endsWith(".json")) {
+      const extra = JSON.parse(fs.readFileSync(part, "utf8"));
+      for (const [name, p] of Object.entries(extra)) {
+        profiles[name] = { ...PROFILES.office, ...p };
+        names.push(name);
+      }
+    } else if (profiles[part]) names.push(part);
+    else throw new Error(`unknown profile ${part} (${Object.keys(profiles).join(", ")} or a .json file)`);
+  }
+  if (!names.length) names.push("office");
+  return names.map(n => ({ name: n, ...profiles[n] }));
+}
+
+// ---- one virtual Pi
+class VirtualPi {
+  constructor(binId, key, opts, profile = PROFILES.office) {
+    this.binId = binId;
+    this.key = key;
+    this.opts = opts;
+    this.profile = profile;
+    this.runId = crypto.randomBytes(3).toString("hex");
+    this.n = 0;
+    this.startedAt = Date.now();
+    this.intervalMs = opts.interval * 1000;
+    this.fill = Object.fromEntries(COMPARTMENTS.map(c => [c, rand(...profile.reset_pct) + rand(0, 40)]));
+    this.rate = Object.fromEntries(COMPARTMENTS.map(c => [c, rand(...profile.fill_pct_per_hour[c])]));
+    this.socket = null;
+    this.timer = null;
+  }
+
+  msgId() {
+    return `${this.binId}-${this.runId}-${++this.n}`;
+  }
+
+  // ---- transport
+  connect() {
+    if (this.opts.transport === "http") return this.startTicking();
+    this.socket = io(this.opts.url, { auth: { key: this.key }, transports: ["websocket"], forceNew: true, reconnectionDelay: 2000 });
+    this.socket.on("connect", () => {
+      stats.connected += 1;
+      this.startedAt = Date.now();
+      this.socket.emit("pi:hello", { bin_id: this.binId, device_id: `sim-${this.binId}`, firmware: "simulator", model: "virtual-pi" });
+      this.startTicking();
+    });
+    this.socket.on("disconnect", () => {
+      stats.connected -= 1;
+      this.stopTicking();
+    });
+    this.socket.on("connect_error", (err) => {
+      stats.errors += 1;
+      if (stats.errors <= 5) console.warn(`⚠️  ${this.binId}: ${err.message}`);
+    });
+    this.socket.on("server:error", (e) => {
+      stats.rejected += 1;
+      if (stats.rejected <= 5) console.warn(`⚠️  ${this.binId} ${e.event}: ${e.error}`);
+    });
+    this.socket.on("pi:cmd", (cmd, ack) => this.onCommand(cmd, typeof ack === "function" ? ack : () => { }));
+  }
+
+  close() {
+    this.stopTicking();
+    if (this.socket) this.socket.close();
+  }
+
+  send(event, payload) {
+    stats.sent += 1;
+    const at = Date.now();
+    if (this.opts.transport === "sio") {
+      return this.socket.timeout(10000).emit(event, payload, (err, r) => (err ? (stats.errors += 1) : settle(at, r)));
+    }
+    return this.post(event, payload).then(r => settle(at, r), (err) => {
+      stats.errors += 1;
+      if (stats.errors <= 5) console.warn(`⚠️  ${this.binId}: ${err.message}`);
+    });
+  }
+
+  async post(event, payload) {
+    const snapshot = this.opts.snapshot && event === "pi:sensors";
+    const bodies = snapshot
+      ? Object.entries(payload.sensors).map(([compartment, s]) => ({ id: this.binId, compartment, distance_cm: s.ultrasonic }))
+      : [{ ...payload, bin_id: this.binId }];
+    let last = null;
+    for (const body of bodies) {
+      const res = await fetch(`${this.opts.url}${snapshot ? "/api/bins/snapshot" : "/update"}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Device-Key": this.key },
+        body: JSON.stringify(body),
+      });
+      last = await res.json().catch(() => ({ ok: res.ok }));
+      if (!res.ok) return { ok: false, error: last.error || `HTTP ${res.status}` };
+    }
+    return last;
+  }
+
+  // ---- simulated bin
+  startTicking() {
+    this.stopTicking();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.heartbeat = this.socket ? setInterval(() => this.socket.emit("pi:heartbeat", { uptime_s: Math.round((Date.now() - this.startedAt) / 1000), cpu_temp_c: round1(rand(45, 60)), sensor_errors: 0 }), 30000) : null;
+  }
+
+  stopTicking() {
+    clearInterval(this.timer);
+    clearInterval(this.heartbeat);
+  }
+
+  tick() {
+    const p = this.profile;
+    const hours = (this.intervalMs / 3600e3) * this.opts.speed;
+    for (const c of COMPARTMENTS) {
+      this.fill[c] = clamp(this.fill[c] + this.rate[c] * hours, 0, 100);
+      if (this.fill[c] >= p.empty_at_pct && Math.random() < 1 - (1 - p.empty_prob_per_hour) ** hours) this.empty(c);
+    }
+    const sensors = {};
+    for (const c of COMPARTMENTS) {
+      const distance = clamp(this.opts.height * (1 - this.fill[c] / 100) + rand(-p.noise_cm, p.noise_cm), 0, this.opts.height);
+      sensors[c] = { ultrasonic: round1(distance), weight: round1(this.fill[c] * 0.12) };
+    }
+    this.send("pi:sensors", { id: this.msgId(), timestamp: new Date().toISOString(), sensors });
+
+    // items arriving this tick
+    let items = p.items_per_hour * hours;
+    while (items > 0) {
+      if (items >= 1 || Math.random() < items) this.classify();
+      items -= 1;
+    }
+  }
+
+  empty(compartment) {
+    this.fill[compartment] = rand(...this.profile.reset_pct);
+    this.rate[compartment] = rand(...this.profile.fill_pct_per_hour[compartment]);
+  }
+
+  classify() {
+    const p = this.profile;
+    const roll = Math.random();
+    const recyclable = roll < p.contamination ? "contaminated" : roll < p.contamination + (1 - p.contamination) * p.recyclable_share ? "recyclable" : "non-recyclable";
+    this.send("pi:vision", {
+      id: this.msgId(),
+      timestamp: new Date().toISOString(),
+      label: pick(LABELS[recyclable]),
+      recyclable,
+      confidence: round1(rand(55, 99)) / 100,
+      time_ms: Math.round(rand(80, 400)),
+    });
+  }
+
+  // ---- pi:cmd -> ack { ok, result?, error? }
+  onCommand(cmd, ack) {
+    stats.commands += 1;
+    const action = String(cmd?.action || "");
+    if (action === "ping") return ack({ ok: true, result: { pong: true, bin_id: this.binId } });
+    if (action === "empty") {
+      COMPARTMENTS.forEach(c => this.empty(c));
+      ack({ ok: true, result: { emptied: COMPARTMENTS } });
+      return this.tick();
+    }
+    if (action === "set_interval") {
+      const s = Number(cmd.payload?.interval_s);
+      if (!(s > 0)) return ack({ ok: false, error: "interval_s: positive number" });
+      this.intervalMs = s * 1000;
+      this.startTicking();
+      return ack({ ok: true, result: { interval_s: s } });
+    }
+    if (action === "reboot") {
+      ack({ ok: true, result: { rebooting: true } });
+      this.socket.disconnect();
+      return setTimeout(() => this.socket.connect(), 3000);
+    }
+    ack({ ok: true, result: { ignored: action } });
+  }
+}
+
+// ---- replay: rows { id, timestamp, recycle: { distance_cm, weight? }, general: {...} } (legacy: flat distance_cm)
+async function readLog(file) {
+  const rows = [];
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let line = 0;
+  for await (const raw of rl) {
+    line++;
+    if (!raw.trim()) continue;
+    try {
+      const r = JSON.parse(raw);
+      const t = Date.parse(r.timestamp);
+      const sensors = {};
+      for (const c of COMPARTMENTS) {
+        if (Number.isFinite(r[c]?.distance_cm)) sensors[c] = { ultrasonic: r[c].distance_cm, ...(Number.isFinite(r[c].weight) ? { weight: r[c].weight } : {}) };
+      }
+      if (!sensors.recycle && !sensors.general && Number.isFinite(r.distance_cm)) sensors.recycle = { ultrasonic: r.distance_cm };
+      if (r.id && Number.isFinite(t) && Object.keys(sensors).length) rows.push({ bin_id: String(r.id), t, sensors });
+    } catch {
+      console.warn(`⚠️  ${path.basename(file)}:${line}: not JSON`);
+    }
+  }
+  return rows.sort((a, b) => a.t - b.t);
+}
+
+async function replay(opts, stopAt) {
+  const rows = await readLog(opts.replay);
+  if (!rows.length) throw new Error(`${opts.replay}: no readings`);
+  const binIds = [...new Set(rows.map(r => r.bin_id))];
+  const keys = await deviceKeys(opts, binIds);
+  const pis = new Map(binIds.map(id => [id, new VirtualPi(id, keys[id], { ...opts, interval: 1e6 })]));
+  // replayed Pis only send what's in the log
+  for (const pi of pis.values()) pi.startTicking = pi.stopTicking;
+  pis.forEach(pi => pi.connect());
+  await sleep(1000);
+
+  const span = rows.at(-1).t - rows[0].t;
+  console.log(`⏩ replaying ${rows.length} readings of ${binIds.length} bins (${round1(span / 3600e3)} h of log) at ${opts.speed}x`);
+  const t0 = rows[0].t;
+  const started = Date.now();
+  for (const r of rows) {
+    if (Date.now() >= stopAt) break;
+    const wait = started + (r.t - t0) / opts.speed - Date.now();
+    if (wait > 0) await sleep(wait);
+    const pi = pis.get(r.bin_id);
+    pi.send("pi:sensors", {
+      id: pi.msgId(),
+      timestamp: new Date(opts["keep-timestamps"] ? r.t : Date.now()).toISOString(),
+      sensors: r.sensors,
+    });
+  }
+  await sleep(2000); // let the last acks come in
+  return [...pis.values()];
+}
+
+async function main() {
+  const opts = options();
+  const stopAt = opts.duration ? Date.now() + opts.duration * 1000 : Infinity;
+  const ticker = setInterval(() => report(), 10000);
+  let pis = [];
+  const finish = () => {
+    clearInterval(ticker);
+    pis.forEach(pi => pi.close());
+    report("✅ done: ");
+    process.exit(0);
+  };
+  process.on("SIGINT", finish);
+
+  if (opts.replay) {
+    pis = await replay(opts, stopAt);
+    return finish();
+  }
+
+  const binIds = opts.bin?.length ? opts.bin : Array.from({ length: opts.bins }, (_, i) => `${opts.prefix}${String(i + 1).padStart(3, "0")}`);
+  const profiles = loadProfiles(opts.profile);
+  const keys = await deviceKeys(opts, binIds);
+  pis = binIds.map((id, i) => new VirtualPi(id, keys[id], opts, profiles[i % profiles.length]));
+  console.log(`🤖 ${pis.length} virtual Pis over ${opts.transport} → ${opts.url} (${profiles.map(p => p.name).join(", ")}; every ${opts.interval}s at ${opts.speed}x)`);
+  pis.forEach(pi => pi.connect());
+  if (opts.duration) setTimeout(finish, opts.duration * 1000);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
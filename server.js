@@ -4,158 +4,296 @@ const path = require("path");
 const http = require("http");
 const { Server } = require("socket.io");
 const fs = require("fs");
-const readline = require("readline");
+const auth = require("./lib/auth");
+const companies = require("./lib/companies");
+const log = require("./lib/log");
+const metrics = require("./lib/metrics");
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: "*" } });
+// browsers are served from this origin; extra origins (e.g. a separately hosted dashboard) via CORS_ORIGIN
+const CORS_ORIGIN = process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(",").map(s => s.trim()) : false;
+const io = new Server(server, { cors: { origin: CORS_ORIGIN, credentials: true } });
+
+app.use(metrics.httpMetrics);
+
+// ============================ health + metrics ==============================
+// Liveness needs nothing; readiness waits for the store/log replay in start() and a writable
+// data dir. Until ready, everything else answers 503.
+let ready = false;
+app.get("/healthz", (_req, res) => res.json({ ok: true, uptime_s: Math.round(process.uptime()) }));
+app.get("/readyz", (_req, res) => {
+  const checks = { log_loaded: ready, storage_writable: storageWritable() };
+  const ok = Object.values(checks).every(Boolean);
+  res.status(ok ? 200 : 503).json({ ok, checks });
+});
+// open unless METRICS_TOKEN is set (then Authorization: Bearer <token>)
+app.get("/metrics", async (req, res) => {
+  if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ ok: false, error: "Metrics token required" });
+  }
+  res.type(metrics.contentType).send(await metrics.render());
+});
+app.use((_req, res, next) => (ready ? next() : res.status(503).json({ ok: false, error: "Starting up" })));
 
 app.use(express.json({ limit: "15mb" }));
+app.use(auth.authenticate);
+
+// HTML pages need a session; everything else in public/ (login page, assets) is open
+const page = (file) => (_req, res) => res.sendFile(path.join(__dirname, "public", file));
+app.get(["/", "/index.html"], auth.requirePage("viewer"), page("index.html"));
+app.get(["/dashboard", "/dashboard.html"], auth.requirePage("viewer"), page("dashboard.html"));
+app.get(["/reports", "/reports.html"], auth.requirePage("viewer"), page("reports.html"));
+app.get(["/review", "/review.html"], auth.requirePage("viewer"), page("review.html"));
+app.get(["/company", "/company-admin.html"], auth.requirePage("admin"), page("company-admin.html"));
 app.use(express.static(path.join(__dirname, "public")));
+// the dashboard map's library comes from node_modules, not a CDN
+app.use("/vendor/leaflet", express.static(path.join(path.dirname(require.resolve("leaflet/package.json")), "dist")));
 
-let lastResult = null;
+// live feed across all companies; readers only get their company's entries (latestFor, /data)
 const history = [];
 const MAX_HISTORY = 200;
-
-const PI_ROOM = "pi";
-
-// ===================== NEW: simple flat-file "storage" =====================
-const BIN_HEIGHT_CM = 75; // distance sensor: 30cm == empty, 0cm == full
-const DATA_DIR = path.join(process.cwd(), "data");
-const LOG_FILE = path.join(DATA_DIR, "bin_log.jsonl");
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-if (!fs.existsSync(LOG_FILE)) fs.writeFileSync(LOG_FILE, "");
-
-// per-bin time series (last 30d) Map<binId, Array<{t:number, distance_cm:number}>>
-const binSeries = new Map();
-
-// optional postal mapping (used by /api/bins and snapshot)
-const postalMap = new Map(Object.entries({
-  "BIN-001": "238895",
-  "BIN-002": "178903",
-  "BIN-003": "520117",
-  "BIN-004": "409051",
-  "BIN-005": "069120",
-  "BIN-006": "149729",
-  "BIN-007": "546080",
-  "BIN-008": "310158",
-  "BIN-009": "650221",
-}));
-const idToPostal = (id) => postalMap.get(id) ?? null;
-
-const percentFull = (distance, height = BIN_HEIGHT_CM) => {
-  if (!Number.isFinite(distance)) return null;
-  const d = Math.max(0, Math.min(distance, height));
-  return Math.round((1 - d / height) * 100);
-};
-const colourFromPct = (pct) => (pct == null ? "gray" : pct >= 90 ? "red" : pct >= 70 ? "orange" : "green");
-const stateFromPct = (pct) => (pct == null ? "unknown" : pct >= 90 ? "full" : pct >= 70 ? "getting_full" : "ok");
-
-const tsISO = () => new Date().toISOString();
-
-function getDistanceFromSensors(s) {
-  if (!s || typeof s !== "object") return null;
-  // prefer recycle ultrasonic, else general ultrasonic, else flat legacy
-  const tryNums = [];
-  if (s.recycle && typeof s.recycle === "object") tryNums.push(s.recycle.ultrasonic);
-  if (s.general && typeof s.general === "object") tryNums.push(s.general.ultrasonic);
-  tryNums.push(s.ultrasonic, s.distance, s.dist);
-  for (const v of tryNums) if (typeof v === "number" && Number.isFinite(v)) return v;
-  return null;
+const latestFor = (scope) => history.findLast(e => scope.sees(e.bin_id)) || null;
+
+// ======================== storage + data source ============================
+const { DATA_DIR, binSeries, appendLog, loadLog } = require("./lib/binlog");
+const store = require("./lib/store");
+const { BIN_HEIGHT_CM, COMPARTMENTS, DEFAULT_THRESHOLDS, percentFull, weightPct, loadOf, colourFromPct, stateFromPct } = require("./lib/fill");
+const datasource = require("./lib/datasource");
+const registry = require("./lib/registry");
+const collections = require("./lib/collections");
+const anomalies = require("./lib/anomalies");
+const forecast = require("./lib/forecast");
+const pickups = require("./lib/pickups");
+const alerts = require("./lib/alerts");
+const devices = require("./lib/devices");
+const commands = require("./lib/commands");
+const query = require("./lib/query");
+const ingest = require("./lib/ingest");
+const images = require("./lib/images");
+const incidents = require("./lib/incidents");
+const zones = require("./lib/zones");
+const subscriptions = require("./lib/subscriptions");
+const mqttBridge = require("./lib/mqttbridge");
+const multer = require("multer");
+const { tsISO, rangeFromQuery } = require("./lib/time");
+
+const idToPostal = (id) => registry.postalOf(id);
+
+// normalized sensors -> { recycle: {distance_cm, weight?}, general: {...} } (only compartments with a distance)
+function compartmentsFromSensors(s) {
+  const out = {};
+  if (!s || typeof s !== "object") return out;
+  for (const c of COMPARTMENTS) {
+    const src = s[c];
+    if (!src || typeof src !== "object" || !isFiniteNum(src.ultrasonic)) continue;
+    out[c] = { distance_cm: src.ultrasonic };
+    if (isFiniteNum(src.weight)) out[c].weight = src.weight;
+  }
+  return out;
 }
-function appendLog(entry) {
-  fs.appendFileSync(LOG_FILE, JSON.stringify(entry) + "\n");
-  const { id, distance_cm, timestamp } = entry;
-  if (!id || !Number.isFinite(distance_cm)) return;
-  const t = new Date(timestamp).getTime();
-  if (!binSeries.has(id)) binSeries.set(id, []);
-  const arr = binSeries.get(id);
-  arr.push({ t, distance_cm });
-  // keep last 30 days in memory
-  const cutoff = Date.now() - 30 * 24 * 3600 * 1000;
-  while (arr.length && arr[0].t < cutoff) arr.shift();
+
+// ============================ Socket.IO ====================================
+// every socket needs a device key (Pis) or a login session (dashboards). Pis only hear their
+// commands. A dashboard joins its company's room and hears about all of its bins, until it sends
+// "subscribe" (lib/subscriptions): from then on it gets a snapshot and just the bins/zones/kinds
+// it asked for, optionally throttled.
+io.use((_socket, next) => (ready ? next() : next(new Error("starting up"))));
+io.use(auth.socketMiddleware);
+
+// kinds: the subscription kinds the event belongs to; coalesce: only the newest matters (throttling)
+function broadcast(event, payload, { binIds = [], companyId = null, kinds, coalesce = false }) {
+  const ids = binIds.filter(Boolean);
+  const company = companyId ?? companies.companyOf(ids[0]) ?? companies.DEFAULT_COMPANY;
+  io.to(companies.roomFor(company)).emit(event, payload);
+  subscriptions.publish(company, event, payload, { binIds: ids, kinds, coalesce });
 }
-async function loadLog() {
-  const rl = readline.createInterface({
-    input: fs.createReadStream(LOG_FILE),
-    crlfDelay: Infinity,
-  });
-  for await (const line of rl) {
-    if (!line.trim()) continue;
-    try {
-      const row = JSON.parse(line);
-      if (row && row.id && Number.isFinite(row.distance_cm) && row.timestamp) {
-        appendLog(row); // reuse to populate the in-memory series
-      }
-    } catch { /* ignore bad lines */ }
+
+// current state of what a subscription covers, sent back when it is taken out
+function snapshotFor(scope, sub) {
+  const has = (k) => sub.kinds.has(k);
+  const binIds = datasource.listBinIds().filter(id => scope.owns(id) && subscriptions.covers(sub, id));
+  const inScope = new Set(binIds);
+  const out = { at: tsISO(), bin_ids: binIds };
+  if (has("sensors")) out.bins = binIds.map(id => binSnapshot(id));
+  if (has("sensors") || has("classification")) {
+    out.latest = history.findLast(e => has(e.kind === "classification" ? "classification" : "sensors")
+      && (e.bin_id ? inScope.has(e.bin_id) : scope.sees(e.bin_id) && !sub.bins && !sub.zones)) || null;
   }
+  if (has("alerts")) {
+    out.alerts = alerts.list({ companyId: scope.company_id })
+      .filter(a => a.status !== "resolved" && (!a.bin_id || subscriptions.covers(sub, a.bin_id)));
+  }
+  if (has("incidents")) out.incidents = incidents.list({ binIds }).items;
+  if (has("devices")) out.devices = binIds.map(id => devices.forBin(id)).filter(Boolean);
+  if (has("collections")) out.collections = binIds.map(id => collections.lastFor(id)).filter(Boolean);
+  if (has("commands")) out.commands = commands.list({ binIds }).filter(c => c.status === "queued" || c.status === "sent");
+  return out;
 }
-loadLog();
 
+io.on("connection", (socket) => {
+  log.debug("socket connected", { socket_id: socket.id, bin_id: socket.data.device?.bin_id, user: socket.data.user?.username });
+  const companyRoom = companies.roomFor(socket.data.scope.company_id ?? companies.DEFAULT_COMPANY);
+  if (socket.data.user) socket.join(companyRoom);
+
+  // Only device-key sockets may speak for a Pi, and only for the bin their key is bound to.
+  // Handlers get an object payload (no payload = {}) and the client's ack callback when it sent one.
+  const key = socket.data.device;
+  const onDevice = (event, handler) => socket.on(event, (...args) => {
+    const ack = typeof args.at(-1) === "function" ? args.pop() : null;
+    const payload = args.length ? args[0] : {};
+    if (!key) return socket.emit("server:error", { event, error: "device key required" });
+    if (!auth.isKeyActive(key.key_id)) return socket.disconnect(true); // revoked since the handshake
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      const err = { ok: false, error: "payload must be a JSON object" };
+      return ack ? ack(err) : socket.emit("server:error", { event, ...err });
+    }
+    handler({ ...payload, bin_id: key.bin_id }, ack);
+  });
 
+  // validated payload -> stored entry; failures go back through the ack (or server:error)
+  const ingestFrom = (event, source, payload, ack) => {
+    devices.touch(socket.id);
+    const r = ingest.check(event, payload, { source, origin: originOf(socket.data) });
+    if (!r.ok) {
+      const { ok, ...err } = r;
+      return ack ? ack({ ok: false, ...err }) : socket.emit("server:error", { event, ...err });
+    }
+    storeAndBroadcast(withImage(r.entry, r.image));
+    if (ack) ack({ ok: true, id: r.entry.id });
+  };
 
-// ============================ Socket.IO ====================================
-io.on("connection", (socket) => {
-  console.log("🔌 client connected:", socket.id);
+  // The device id is the key's; a key without one may name its device, but not one that serves another bin
+  onDevice("pi:hello", (info, ack) => {
+    const deviceId = key.device_id || safeStr(info.device_id) || key.bin_id;
+    const servedBin = devices.get(deviceId)?.bin_id;
+    if (servedBin && servedBin !== key.bin_id) {
+      log.warn("pi:hello for a device of another bin", { socket_id: socket.id, bin_id: key.bin_id, device_id: deviceId, device_bin_id: servedBin });
+      const err = { ok: false, error: `device_id: ${deviceId} serves another bin` };
+      return ack ? ack(err) : socket.emit("server:error", { event: "pi:hello", ...err });
+    }
+    log.info("pi joined", { socket_id: socket.id, bin_id: key.bin_id, device_id: deviceId, firmware: info.firmware ?? null });
+    const ip = socket.handshake.headers["x-forwarded-for"]?.split(",")[0].trim() || socket.handshake.address;
+    const device = devices.hello({ ...info, device_id: deviceId }, { socketId: socket.id, ip });
+    const binId = safeStr(info.bin_id);
+    if (binId) socket.join(commands.roomFor(binId)); // commands are addressed per bin
+    const out = { ok: true, device_id: device ? device.id : null };
+    socket.emit("server:ack", out);
+    if (ack) ack(out);
+    if (binId) commands.flush(binId); // deliver anything queued while it was away
+  });
 
-  socket.on("pi:hello", (info) => {
-    console.log("🤝 Pi joined:", info);
-    socket.join(PI_ROOM);
-    socket.emit("server:ack", { ok: true });
+  // Periodic health report: { cpu_temp_c, uptime_s, sensor_errors, firmware? }
+  onDevice("pi:heartbeat", (payload) => {
+    devices.heartbeat(socket.id, payload);
   });
 
-  // Sensors tick (supports nested recycle/general or flat)
-  socket.on("pi:sensors", (payload = {}) => {
-    const entry = {
-      source: "sio-sensors",
-      kind: "sensors",
-      bin_id: safeStr(payload.bin_id),
-      timestamp: payload.timestamp || tsISO(),
-      sensors: normalizeSensors(payload.sensors || payload),
-    };
-    storeAndBroadcast(entry);
+  // Sensors tick (supports nested recycle/general or flat); schema: ingest "sensors"
+  onDevice("pi:sensors", (payload, ack) => ingestFrom("pi:sensors", "sio-sensors", payload, ack));
+
+  // Vision/classification; schema: ingest "classification"
+  onDevice("pi:vision", (payload, ack) => ingestFrom("pi:vision", "sio-vision", payload, ack));
+
+  // Readings/classifications buffered while offline: { boot_id?, items: [{ kind, seq, timestamp, ... }] }
+  onDevice("pi:batch", (payload, ack) => {
+    devices.touch(socket.id);
+    const { status, ...result } = ingestBatch(payload, { origin: originOf(socket.data), binId: key.bin_id, source: "sio-batch" });
+    if (ack) ack(result);
+    else if (!result.ok) socket.emit("server:error", { event: "pi:batch", ...result });
   });
 
-  // Vision/classification
-  socket.on("pi:vision", (payload = {}) => {
-    const entry = normalizeClassification("sio-vision", payload);
-    storeAndBroadcast(entry);
+  // Dashboards: { bins?, zones?, kinds?, throttle_s? } -> { ok, subscription, snapshot } through the
+  // ack (or a "subscription:snapshot" event); subscribing again replaces the subscription
+  socket.on("subscribe", (spec, ack) => {
+    const reply = typeof ack === "function" ? ack : (out) => socket.emit(out.ok ? "subscription:snapshot" : "server:error", { event: "subscribe", ...out });
+    if (!socket.data.user) return reply({ ok: false, error: "login required" });
+    const r = subscriptions.subscribe(socket, spec);
+    if (!r.ok) return reply({ ok: false, error: r.errors.join("; "), errors: r.errors });
+    socket.leave(companyRoom);
+    reply({ ok: true, subscription: r.subscription, snapshot: snapshotFor(socket.data.scope, r.sub) });
+  });
+  // back to hearing about every bin of the company
+  socket.on("unsubscribe", (ack) => {
+    subscriptions.unsubscribe(socket.id);
+    if (socket.data.user) socket.join(companyRoom);
+    if (typeof ack === "function") ack({ ok: true });
   });
 
-  if (lastResult) socket.emit("pi:update", lastResult);
-  socket.on("disconnect", () => console.log("🔌 client disconnected:", socket.id));
+  const latest = socket.data.user ? latestFor(socket.data.scope) : null;
+  if (latest) socket.emit("pi:update", latest);
+  socket.on("disconnect", (reason) => {
+    log.debug("socket disconnected", { socket_id: socket.id, reason });
+    subscriptions.unsubscribe(socket.id);
+    devices.disconnect(socket.id, reason);
+  });
 });
 
 // =============================== Routes =====================================
-app.get("/", (_, res) => res.send("Smart Bin API ✅ (Socket.IO enabled)"));
+app.use("/api/auth", require("./routes/auth"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/companies", auth.requireRole("superadmin"), require("./routes/companies"));
+
+// a device key may only report for its own bin, a user only for their company's bins or one nobody
+// owns yet (which becomes their company's once an entry for it is stored, see storeEntry)
+function binNotAllowed(req, binId) {
+  if (!binId) return false;
+  if (req.device) return binId !== req.device.bin_id;
+  const owner = typeof binId === "string" ? companies.companyOf(binId) : null;
+  return owner !== null && owner !== req.scope.company_id;
+}
 
-app.get("/dashboard", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "dashboard.html"));
-});
+// who sent a payload, for the per-device ingest counters
+function originOf({ device, user }) {
+  if (device) return device.device_id || device.bin_id;
+  return user ? `user:${user.username}` : null;
+}
 
-// Accept HTTP updates (either sensors or classification)
-app.post("/update", (req, res) => {
-  const b = req.body || {};
-  const isClassification = "label" in b || "recyclable" in b || "override" in b;
-
-  const entry = isClassification
-    ? normalizeClassification("http-update", b)
-    : {
-      source: "http-update",
-      kind: "sensors",
-      bin_id: safeStr(b.bin_id),
-      timestamp: b.timestamp || tsISO(),
-      sensors: normalizeSensors(b.sensors || b),
-    };
+// classification frames posted as multipart/form-data (field "image"); JSON bodies pass straight through
+const imageUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: images.MAX_IMAGE_BYTES, files: 1 } }).single("image");
+function multipartImage(req, res, next) {
+  imageUpload(req, res, (err) => {
+    if (err) return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ ok: false, error: err.message });
+    // form fields are strings; the schema version has to be a number
+    if (req.file && req.body && /^\d+$/.test(req.body.v ?? "")) req.body.v = Number(req.body.v);
+    next();
+  });
+}
 
-  storeAndBroadcast(entry);
-  return res.json({ ok: true });
+// Accept HTTP updates (either sensors or classification, optionally with an image); invalid payloads
+// get a 422 with field errors
+app.post("/update", auth.requireDeviceOrRole("admin"), multipartImage, (req, res) => {
+  const isObj = req.body && typeof req.body === "object" && !Array.isArray(req.body);
+  const b = isObj ? { ...req.body } : req.body;
+  if (isObj && req.device) b.bin_id ??= req.device.bin_id;
+  if (isObj && binNotAllowed(req, b.bin_id)) return res.status(403).json({ ok: false, error: "Not allowed to report for this bin" });
+
+  const r = ingest.check("http:update", b, { source: "http-update", origin: originOf(req), upload: req.file || null });
+  if (!r.ok) {
+    const { status, ...err } = r;
+    return res.status(status).json(err);
+  }
+  storeAndBroadcast(withImage(r.entry, r.image), { companyId: req.scope.company_id });
+  return res.json({ ok: true, id: r.entry.id, ...(r.entry.image ? { image: r.entry.image } : {}) });
+});
+
+// Batch upload of buffered items (same body as pi:batch). 200 with a per-item result list
+// (accepted | duplicate | rejected); 422 only when the batch itself is malformed.
+app.post("/api/ingest/batch", auth.requireDeviceOrRole("admin"), (req, res) => {
+  if (binNotAllowed(req, req.body?.bin_id)) return res.status(403).json({ ok: false, error: "Not allowed to report for this bin" });
+  const { status = 200, ...result } = ingestBatch(req.body, { origin: originOf(req), binId: req.device?.bin_id ?? null, source: "http-batch", companyId: req.scope.company_id });
+  res.status(status).json(result);
 });
 
-app.get("/data", (_, res) => res.json({ lastResult, history }));
-app.get("/data.csv", (_, res) => {
+// live feed (in-memory, the caller's company only); ?limit= for the newest N entries.
+// Time-range queries: /api/readings, /api/classifications
+app.get("/data", auth.requireRole("viewer"), (req, res) => {
+  const limit = Math.max(1, Math.min(MAX_HISTORY, parseInt(req.query.limit, 10) || MAX_HISTORY));
+  res.json({ lastResult: latestFor(req.scope), history: history.filter(e => req.scope.sees(e.bin_id)).slice(-limit) });
+});
+app.get("/data.csv", auth.requireRole("viewer"), (req, res) => {
   try {
-    if (!history.length) {
+    const entries = history.filter(e => req.scope.sees(e.bin_id));
+    if (!entries.length) {
       return res.status(200).send("No data available\n");
     }
 
@@ -163,11 +301,12 @@ app.get("/data.csv", (_, res) => {
     const headers = [
       "source", "kind", "bin_id", "label", "confidence", "time_ms",
       "timestamp", "recyclable", "override", "id",
-      "recycle_ultrasonic", "general_ultrasonic", "weight"
+      "recycle_ultrasonic", "general_ultrasonic", "weight",
+      "recycle_weight", "general_weight"
     ];
     rows.push(headers.join(","));
 
-    for (const e of history) {
+    for (const e of entries) {
       const s = e.sensors || {};
       const recycle = s.recycle || {};
       const general = s.general || {};
@@ -185,7 +324,9 @@ app.get("/data.csv", (_, res) => {
         e.id ?? "",
         recycle.ultrasonic ?? "",
         general.ultrasonic ?? "",
-        e.weight ?? ""
+        e.weight ?? "",
+        recycle.weight ?? "",
+        general.weight ?? ""
       ].map(v => '"' + String(v).replace(/"/g, '""') + '"');
 
       rows.push(row.join(","));
@@ -196,75 +337,97 @@ app.get("/data.csv", (_, res) => {
     res.attachment("smartbin_data.csv");
     res.send(csv);
   } catch (err) {
-    console.error(err);
+    log.error("CSV export failed", { err });
     res.status(500).send("Error generating CSV");
   }
 });
 
-// Classifications-only history
-app.get("/history/classifications", (req, res) => {
+// Classifications-only history (newest first, persisted). Acknowledged items are left out
+// unless ?include_acknowledged=1; ?bin_id= narrows to one bin.
+app.get("/history/classifications", auth.requireRole("viewer"), (req, res) => {
   const limit = Math.max(1, Math.min(200, parseInt(req.query.limit, 10) || 20));
-  const items = history
-    .filter((e) => e && (e.kind === "classification" || e.label != null || e.recyclable != null))
-    .slice(-limit)
-    .reverse();
+  const binId = safeStr(req.query.bin_id);
+  const binIds = req.scope.binIds(binId ? [binId] : []);
+  if (!binIds.length) return res.json({ items: [] });
+  const items = store.events({
+    kinds: ["classification", "override"],
+    binIds,
+    unacknowledged: req.query.include_acknowledged !== "1",
+    limit,
+  }).map(e => ({ ...e.data, ...(e.acknowledged_at ? { acknowledged_at: new Date(e.acknowledged_at).toISOString(), acknowledged_by: e.acknowledged_by } : {}) }));
   res.json({ items });
 });
 
-app.post("/cmd/:action", (req, res) => {
+// Queue a command for one bin's Pi (bin_id in the body or ?bin_id=; optional ?ttl_s=)
+app.post("/cmd/:action", auth.requireRole("operator"), (req, res) => {
   const action = String(req.params.action || "").trim();
   if (!action) return res.status(400).json({ ok: false, error: "Missing action" });
+  const binId = safeStr(req.body?.bin_id) || safeStr(req.query.bin_id);
+  if (!binId) return res.status(400).json({ ok: false, error: "Missing bin_id" });
+  if (!req.scope.owns(binId)) return res.status(404).json({ ok: false, error: "Unknown bin" });
+  const ttlS = req.query.ttl_s !== undefined ? Number(req.query.ttl_s) : undefined;
+  if (ttlS !== undefined && !(ttlS > 0)) return res.status(400).json({ ok: false, error: "ttl_s must be a positive number" });
 
   const payload = req.body && Object.keys(req.body).length ? req.body : undefined;
-  io.to(PI_ROOM).emit("pi:cmd", { action, payload, ts: Date.now() });
-  return res.json({ ok: true, sent: action });
+  const command = commands.enqueue({ binId, action, payload, ttlS, source: "http-cmd" });
+  return res.status(202).json({ ok: true, sent: action, command });
 });
 
-app.post("/override", (req, res) => {
+// Legacy item actions from older dashboards; both now go through the item's incident so the
+// original classification stays put and the change lands in the incident's audit trail.
+// { id (classification id), recyclable?, note? }
+app.post("/override", auth.requireRole("operator"), (req, res) => {
   const body = req.body || {};
-  const entry = normalizeClassification("web-override", {
-    ...body,
-    recyclable: "no",
-    override: 1,
-    timestamp: body.timestamp || tsISO(),
-  });
+  const id = safeStr(body.id);
+  const recyclable = ["recyclable", "non-recyclable", "contaminated"].includes(body.recyclable) ? body.recyclable : undefined;
+  const incident = id && incidents.forClassification(id);
+  if (incident && !req.scope.owns(incident.bin_id)) return res.status(404).json({ ok: false, error: "Unknown item" });
+  if (incident) {
+    const r = incidents.act(incident.id, "override", { recyclable, note: body.note }, req.user.username);
+    if (!r.ok) return res.status(r.status).json({ ok: false, error: r.errors.join("; ") });
+    return res.json({ ok: true, incident: r.incident, override_id: r.incident.override_id });
+  }
 
-  io.to(PI_ROOM).emit("pi:cmd", { action: "override", payload: entry, ts: Date.now() });
-  storeAndBroadcast(entry);
-  return res.json({ ok: true });
+  // no incident (the item wasn't flagged contaminated): record the override on its own
+  const original = (id && history.find(e => e && e.id === id)) || { ...body, id };
+  if (!req.scope.sees(safeStr(original.bin_id))) return res.status(404).json({ ok: false, error: "Unknown item" });
+  const entry = recordOverride(original, { recyclable, by: req.user.username, note: body.note });
+  return res.json({ ok: true, override_id: entry.id });
 });
 
-// NEW: acknowledge endpoint — tell the Pi and remove the item from history
-app.post("/acknowledge", (req, res) => {
+// { id (classification id), note? } — the item was taken out of the bin
+app.post("/acknowledge", auth.requireRole("operator"), (req, res) => {
   const body = req.body || {};
   const id = safeStr(body.id);
   if (!id) return res.status(400).json({ ok: false, error: "Missing id" });
-
-  // tell the device
-  const payload = {
-    id,
-    bin_id: safeStr(body.bin_id),
-    timestamp: body.timestamp || tsISO(),
-  };
-  io.to(PI_ROOM).emit("pi:cmd", { action: "acknowledge", payload, ts: Date.now() });
-
-  // remove from history
-  const idx = history.findIndex((e) => e && e.id === id);
-  if (idx !== -1) history.splice(idx, 1);
-
-  // if it was the lastResult, shift it
-  if (lastResult && lastResult.id === id) {
-    lastResult = history[history.length - 1] || null;
+  const incident = incidents.forClassification(id);
+  if (incident && !req.scope.owns(incident.bin_id)) return res.status(404).json({ ok: false, error: "Unknown item" });
+  if (incident) {
+    const r = incidents.act(incident.id, "acknowledge", { note: body.note }, req.user.username);
+    if (!r.ok) return res.status(r.status).json({ ok: false, error: r.errors.join("; ") });
+    return res.json({ ok: true, acknowledged: id, incident: r.incident });
   }
-
-  return res.json({ ok: true, removed: id });
+  const item = history.find(e => e && e.id === id);
+  const binId = item ? safeStr(item.bin_id) : safeStr(body.bin_id);
+  if (!req.scope.sees(binId)) return res.status(404).json({ ok: false, error: "Unknown item" });
+  recordAcknowledgement({ id, bin_id: binId, timestamp: body.timestamp }, { by: req.user.username });
+  return res.json({ ok: true, acknowledged: id });
 });
 
-app.get("/company", (_req, res) =>
-  res.sendFile(path.join(__dirname, "public", "company-admin.html"))
-);
-
-app.get("/dashboard/data", (req, res) => {
+app.use("/api/registry", auth.guard({ read: "viewer", write: "admin" }), require("./routes/registry"));
+app.use("/api", require("./routes/collections"));
+app.use("/api", require("./routes/query"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/routes", auth.guard({ read: "viewer", write: "operator" }), require("./routes/routing"));
+app.use("/api/alerts", auth.guard({ read: "viewer", write: "operator" }), require("./routes/alerts"));
+app.use("/api/devices", auth.requireRole("viewer"), require("./routes/devices"));
+app.use("/api/ingest", auth.guard({ read: "viewer", write: "admin" }), require("./routes/ingest"));
+app.use("/api/images", auth.guard({ read: "viewer", write: "operator" }), require("./routes/images"));
+app.use("/api/incidents", auth.guard({ read: "viewer", write: "operator" }), require("./routes/incidents"));
+app.use("/api/commands", auth.guard({ read: "viewer", write: "operator" }), require("./routes/commands"));
+app.use("/api/zones", auth.guard({ read: "viewer", write: "operator" }), require("./routes/zones"));
+
+app.get("/dashboard/data", auth.requireRole("viewer"), (req, res) => {
   try {
     const hoursParam = Number(req.query.hours);
     const hours = Math.max(1, Math.min(24 * 30, Number.isFinite(hoursParam) ? hoursParam : 168));
@@ -281,27 +444,34 @@ app.get("/dashboard/data", (req, res) => {
       "postal_code",
       "timestamp_iso",
       "percent_full",
-      "distance_cm"
+      "distance_cm",
+      "data_source",   // live | simulated
+      "recycle_percent_full",
+      "recycle_distance_cm",
+      "general_percent_full",
+      "general_distance_cm"
     ];
+    const compCols = (p) => COMPARTMENTS.flatMap(c => [p?.[c]?.percent_full, p?.[c]?.distance_cm]);
 
     const rows = [];
     rows.push(headers.map(esc).join(","));
 
-    for (const binId of PREGEN_BINS) {
-      const series = getOrGenerateHistory(binId, hours) || [];
+    for (const binId of datasource.listBinIds().filter(req.scope.owns)) {
+      const { data_source, points: series } = datasource.getHistory(binId, hours);
       const postal = idToPostal(binId) || "";
 
-      // Snapshot (latest point)
-      const last = series.length ? series[series.length - 1] : null;
+      // Snapshot (latest reading)
+      const last = datasource.getLatest(binId);
       if (last) {
-        const dist = Math.round(BIN_HEIGHT_CM * (1 - last.percent_full / 100));
         rows.push([
           "snapshot",
           binId,
           postal,
           last.timestamp,
           last.percent_full,
-          dist
+          last.distance_cm,
+          data_source,
+          ...compCols(last.compartments)
         ].map(esc).join(","));
       } else {
         rows.push([
@@ -310,394 +480,505 @@ app.get("/dashboard/data", (req, res) => {
           postal,
           "",
           "",
-          ""
+          "",
+          data_source,
+          ...compCols(null)
         ].map(esc).join(","));
       }
 
       // History rows
       for (const pt of series) {
-        const dist = Math.round(BIN_HEIGHT_CM * (1 - pt.percent_full / 100));
         rows.push([
           "history",
           binId,
           postal,
           pt.timestamp,
           pt.percent_full,
-          dist
+          pt.distance_cm,
+          data_source,
+          ...compCols(pt)
         ].map(esc).join(","));
       }
     }
 
     const csv = rows.join("\n");
     res.setHeader("Content-Type", "text/csv; charset=utf-8");
-    res.setHeader("Content-Disposition", `attachment; filename=smartbin_pregen_and_history_${hours}h.csv`);
+    res.setHeader("Content-Disposition", `attachment; filename=smartbin_history_${hours}h.csv`);
     res.status(200).send(csv);
   } catch (err) {
-    console.error("Error generating /dashboard/data CSV:", err);
+    log.error("dashboard data export failed", { err });
     res.status(500).json({ ok: false, error: "Failed to generate CSV" });
   }
 });
 
 
-// =================== Bins: demo + live merge + predictions ==================
-
-// --- PREGEN bins we want to simulate ---
-const PREGEN_BINS = [
-  "BIN-001", "BIN-002", "BIN-003", "BIN-004", "BIN-005",
-  "BIN-006", "BIN-007", "BIN-008", "BIN-009"
-];
-
-// Simulated historical + predicted data
-const BIN_HISTORY = {}; // In-memory cache: { [binId]: Array<{timestamp, percent_full}> }
-
-// Tunables for simulation realism
-const HOURS_DEFAULT = 72;           // generate 72h by default
-const EMPTY_THRESHOLD = 85;         // when >= this, more likely to be emptied
-const EMPTY_PROB_HIGH = 0.15;       // probability per hour to empty when above threshold
-const EMPTY_PROB_LOW = 0.01;        // probability per hour to empty when below threshold
-const RESET_MIN = 5;                // % full after empty
-const RESET_MAX = 20;               // % full after empty
-const DRIFT_MIN = 0.2;              // typical fill rate per hour (min)
-const DRIFT_MAX = 2.0;              // typical fill rate per hour (max)
-const NOISE = 0.8;                  // random noise amplitude (+/-)
-
-// Generate (or extend) history for the last `hours` hours with possible emptying events
-function getOrGenerateHistory(binId, hours = HOURS_DEFAULT) {
-  const now = Date.now();
-
-  // If we already have some history, extend it to cover the requested window.
-  let arr = BIN_HISTORY[binId] || [];
-
-  const haveFrom = arr.length ? new Date(arr[0].timestamp).getTime() : null;
-  const wantFrom = now - hours * 3600 * 1000;
-
-  // If cache exists but does not go far enough back, regenerate from scratch for simplicity.
-  if (!arr.length || (haveFrom != null && haveFrom - wantFrom > 6 * 3600 * 1000)) {
-
-    arr = [];
-    // Start between 10–60%
-    let pct = Math.random() * 50 + 10;
-
-    for (let i = hours - 1; i >= 0; i--) {
-      const t = new Date(now - i * 3600 * 1000);
-
-      // probability of emptying this hour
-      const pEmpty = pct >= EMPTY_THRESHOLD ? EMPTY_PROB_HIGH : EMPTY_PROB_LOW;
-      if (Math.random() < pEmpty) {
-        // emptied (collection happened)
-        pct = rand(RESET_MIN, RESET_MAX);
-      } else {
-        // normal filling with noise
-        const drift = rand(DRIFT_MIN, DRIFT_MAX);       // base increase per hour
-        const noise = rand(-NOISE, NOISE);              // jitter
-        pct = clamp(pct + drift + noise, 0, 100);
-      }
-
-      arr.push({
-        timestamp: t.toISOString(),
-        percent_full: Math.round(pct),
-      });
-    }
-    BIN_HISTORY[binId] = arr;
-  } else {
-    // We have enough history; just slice to the requested window.
-    arr = arr.filter(d => new Date(d.timestamp).getTime() >= wantFrom);
-  }
-
-  return arr;
-}
-
-// helpers
-function rand(a, b) { return a + Math.random() * (b - a); }
-function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-
-// ==== PRE-GENERATE 10 BINS ON START (7 days of hourly history) ====
-(async function pregenAll() {
-  const HOURS_7D = 24 * 7;
-  PREGEN_BINS.forEach(id => {
-    getOrGenerateHistory(id, HOURS_7D);
-  });
-})();
+// =================== Bins: live (+ demo) data + predictions =================
 
 // Simple ingest for sensors if you don't want to go through Socket.IO
-app.post("/api/bins/snapshot", (req, res) => {
+app.post("/api/bins/snapshot", auth.requireDeviceOrRole("admin"), (req, res) => {
   const { id, distance_cm, postalCode } = req.body || {};
-  if (!id || !Number.isFinite(distance_cm)) {
-    return res.status(400).json({ error: "Provide {id, distance_cm}. Optional: postalCode" });
+  if (binNotAllowed(req, id)) return res.status(403).json({ error: "Not allowed to report for this bin" });
+  // {id, distance_cm}, optional postalCode and compartment (recycle|general); schema: ingest "snapshot"
+  const r = ingest.check("http:snapshot", req.body, { origin: originOf(req) });
+  if (!r.ok) {
+    const { status, ...err } = r;
+    return res.status(status).json(err);
+  }
+  const compartment = req.body.compartment ?? "recycle";
+  if (postalCode) {
+    const r = registry.upsert(id, { postal_code: String(postalCode) });
+    if (!r.ok) return res.status(r.status).json({ error: r.errors.join("; ") });
   }
-  if (postalCode) postalMap.set(id, String(postalCode));
+  // goes through the normal sensors path (persist + in-memory series + broadcast)
   const entry = {
-    id,
-    distance_cm,
-    timestamp: tsISO(),
-  };
-  appendLog(entry); // persist + in-memory series
-  // also emit a synthetic sensors event for UI parity
-  const sensorsEntry = {
     source: "http-bins-snapshot",
     kind: "sensors",
     bin_id: id,
-    timestamp: entry.timestamp,
-    sensors: { recycle: { ultrasonic: distance_cm } },
+    timestamp: tsISO(),
+    sensors: { [compartment]: { ultrasonic: distance_cm } },
   };
-  storeAndBroadcast(sensorsEntry);
+  storeAndBroadcast(entry, { companyId: req.scope.company_id });
 
-  const pct = percentFull(distance_cm);
+  const calib = registry.calibration(id, compartment);
+  const thresholds = registry.thresholds(id);
+  const pct = percentFull(distance_cm, calib);
   return res.json({
     ok: true,
     bin: {
       id,
       postalCode: idToPostal(id),
+      compartment,
       distance_cm,
       percent_full: pct,
-      colour: colourFromPct(pct),
-      state: stateFromPct(pct),
+      colour: colourFromPct(pct, thresholds),
+      state: stateFromPct(pct, thresholds),
       last_updated: entry.timestamp,
-      bin_height_cm: BIN_HEIGHT_CM,
+      bin_height_cm: calib.height_cm,
+      empty_distance_cm: calib.empty_distance_cm,
+      data_source: "live",
     },
   });
 });
 
-// Latest status per bin — now from pre-generated/simulated history
-app.get("/api/bins", async (_req, res) => {
-  const nowIso = tsISO();
-
-  // Build latest snapshot from our pre-generated/simulated history
-  const out = PREGEN_BINS.map(id => {
-    const series = getOrGenerateHistory(id, 168);
-    const last = series[series.length - 1] || { percent_full: 0, timestamp: nowIso };
-    const pct = last.percent_full;
-    const dist = Math.round(BIN_HEIGHT_CM * (1 - pct / 100));
-    return {
-      id,
-      postalCode: idToPostal(id),
-      distance_cm: dist,
-      percent_full: pct,
-      colour: colourFromPct(pct),
-      state: stateFromPct(pct),
-      last_updated: last.timestamp,
-      bin_height_cm: BIN_HEIGHT_CM,
-    };
-  });
+// Latest status per bin — live readings, plus simulated bins in demo mode.
+// Bin-level percent_full/colour/state follow the fuller compartment; heights and
+// thresholds come from the bin registry (defaults for unregistered bins).
+app.get("/api/bins", auth.requireRole("viewer"), async (req, res) => {
+  const includeDecommissioned = req.query.status === "all";
+  const out = datasource.listBinIds({ includeDecommissioned }).filter(req.scope.owns).map(id => binSnapshot(id));
 
   res.json({
     bins: out,
     meta: {
       bin_height_default_cm: BIN_HEIGHT_CM,
-      thresholds: { orange_from_pct: 70, red_from_pct: 90 },
-      note: "percent_full is simulated and derived from generated history",
+      thresholds: { orange_from_pct: DEFAULT_THRESHOLDS.warn_pct, red_from_pct: DEFAULT_THRESHOLDS.full_pct },
+      compartments: COMPARTMENTS,
+      demo_mode: datasource.DEMO_MODE,
+      note: "data_source is \"live\" for device readings and \"simulated\" for demo-mode bins; per-bin thresholds override the defaults",
     },
   });
 });
 
-// Historical data endpoint (shape expected by dashboard)
-app.get("/api/bins/:id/history", (req, res) => {
+const MAP_TILE_URL = process.env.MAP_TILE_URL ?? "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const MAP_TILE_ATTRIBUTION = process.env.MAP_TILE_ATTRIBUTION ?? "&copy; OpenStreetMap contributors";
+
+// Bins as GeoJSON points for the dashboard map; bins without coordinates are listed in `unlocated`.
+// `tiles` is the base layer the map should use (MAP_TILE_URL; empty = no base layer, e.g. offline).
+app.get("/api/bins.geojson", auth.requireRole("viewer"), (req, res) => {
+  const features = [];
+  const unlocated = [];
+  for (const id of datasource.listBinIds({ includeDecommissioned: req.query.status === "all" }).filter(req.scope.owns)) {
+    const b = binSnapshot(id);
+    if (b.lat == null || b.lng == null) { unlocated.push(id); continue; }
+    features.push({
+      type: "Feature",
+      id,
+      geometry: { type: "Point", coordinates: [b.lng, b.lat] },
+      properties: {
+        id,
+        postal_code: b.postalCode,
+        geo_source: b.geo_source,
+        percent_full: b.percent_full,
+        colour: b.colour,
+        state: b.state,
+        last_updated: b.last_updated,
+        status: b.status,
+        data_source: b.data_source,
+        device_online: b.device ? b.device.online : null,
+        zone_ids: zones.zonesAt(req.scope.company_id, b.lat, b.lng),
+      },
+    });
+  }
+  res.type("application/geo+json").json({
+    type: "FeatureCollection",
+    features,
+    unlocated,
+    tiles: { url: MAP_TILE_URL, attribution: MAP_TILE_ATTRIBUTION },
+  });
+});
+
+// Single bin, same shape as an /api/bins item
+app.get("/api/bins/:id", auth.requireRole("viewer"), auth.requireOwnBin(), (req, res) => {
+  if (!datasource.sourceOf(req.params.id)) return res.status(404).json({ ok: false, error: "Unknown bin" });
+  res.json({ bin: binSnapshot(req.params.id) });
+});
+
+// Historical data endpoint (shape expected by dashboard), hourly buckets per compartment
+// ?hours=72 (default), or ?from&to; ?bucket=15m|1h|1d (default 1h). Live bins are aggregated from
+// the store with min/max/avg fill per bucket; simulated bins are always hourly.
+app.get("/api/bins/:id/history", auth.requireRole("viewer"), auth.requireOwnBin(), (req, res) => {
   const binId = req.params.id;
   const hours = Math.max(1, Math.min(24 * 30, Number(req.query.hours ?? 72)));
+  const bucket = req.query.bucket ?? "1h";
+  if (!query.BUCKETS[bucket]) return res.status(400).json({ ok: false, error: `bucket must be one of ${Object.keys(query.BUCKETS).join(", ")}` });
+  const now = Date.now();
+  const range = rangeFromQuery(req.query, { defaultFromMs: now - hours * 3600e3, defaultToMs: now });
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+
+  const data_source = datasource.sourceOf(binId);
+  if (!data_source) return res.status(404).json({ ok: false, error: "Unknown bin" });
+
+  const custom = req.query.from !== undefined || req.query.to !== undefined || req.query.bucket !== undefined;
+  if (data_source === "live" && custom) {
+    const { items } = query.readingBuckets({ binIds: [binId], fromMs: range.fromMs, toMs: range.toMs, bucket, limit: query.MAX_LIMIT });
+    const series = items.map(b => {
+      const pt = { timeISO: b.bucket_start };
+      for (const c of COMPARTMENTS) {
+        const v = b[c];
+        pt[c] = v ? { percent_full: v.percent_full_avg, min: v.percent_full_min, max: v.percent_full_max, distance_cm: v.distance_cm_avg, ...weightPoint(binId, c, v.weight_avg), samples: v.samples } : null;
+      }
+      // bin level follows the fuller compartment
+      const top = COMPARTMENTS.map(c => pt[c]).filter(Boolean).sort((a, b) => b.percent_full - a.percent_full)[0];
+      pt.percent_full = top ? top.percent_full : null;
+      pt.distance_cm = top ? top.distance_cm : null;
+      pt.weight_kg = binWeight(pt);
+      return pt;
+    });
+    return res.json({ id: binId, from: new Date(range.fromMs).toISOString(), to: new Date(range.toMs).toISOString(), bucket, data_source, compartments: COMPARTMENTS, series });
+  }
 
-  const data = getOrGenerateHistory(binId, hours);
+  const spanHours = Math.max(1, Math.min(24 * 30, Math.ceil((now - range.fromMs) / 3600e3)));
+  const points = datasource.getHistory(binId, spanHours).points.filter(p => Date.parse(p.timestamp) <= range.toMs);
 
-  const series = data.map(d => ({
-    timeISO: d.timestamp,
-    percent_full: d.percent_full,
-    distance_cm: Math.round(BIN_HEIGHT_CM * (1 - d.percent_full / 100)),
-  }));
+  const series = points.map(d => {
+    const pt = { timeISO: d.timestamp, percent_full: d.percent_full, distance_cm: d.distance_cm };
+    for (const c of COMPARTMENTS) {
+      pt[c] = d[c] ? { percent_full: d[c].percent_full, distance_cm: d[c].distance_cm, ...weightPoint(binId, c, d[c].weight) } : null;
+    }
+    pt.weight_kg = binWeight(pt);
+    return pt;
+  });
 
-  res.json({ id: binId, hours, series });
+  res.json({ id: binId, hours: spanHours, bucket: "1h", data_source, compartments: COMPARTMENTS, series });
 });
 
-// Predicted data endpoint using Moving Average (now with ETA 100%)
-app.get("/api/bins/:id/predict", (req, res) => {
+// Sensor fault episodes (lib/anomalies) over the in-memory 30 days, newest first, with the bin's
+// sensor_health. ?from&to, ?kind=stuck|spike|..., ?compartment=recycle|general
+app.get("/api/bins/:id/anomalies", auth.requireRole("viewer"), auth.requireOwnBin(), (req, res) => {
   const binId = req.params.id;
-  const hours = Math.max(1, Math.min(240, Number(req.query.hours ?? 72)));
-  const hist = getOrGenerateHistory(binId, 72);
-  const windowSize = 5; // average over last 5 readings
-  const points = [];
-
-  if (hist.length === 0) {
-    return res.json({
-      id: binId,
-      hours,
-      points: [],
-      slope_per_hr: null,
-      eta90_iso: null,
-      eta100_iso: null,
-    });
-  }
+  if (!datasource.sourceOf(binId)) return res.status(404).json({ ok: false, error: "Unknown bin" });
+  const range = rangeFromQuery(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const { kind = null, compartment = null } = req.query;
+  if (kind && !anomalies.KINDS.includes(kind)) return res.status(400).json({ ok: false, error: `kind: one of ${anomalies.KINDS.join(", ")}` });
+  if (compartment && !COMPARTMENTS.includes(compartment)) return res.status(400).json({ ok: false, error: `compartment: one of ${COMPARTMENTS.join(", ")}` });
+  const items = anomalies.list(binId, { fromMs: range.fromMs, toMs: range.toMs, kind, compartment });
+  res.json({ id: binId, sensor_health: anomalies.sensorHealth(binId), count: items.length, items });
+});
 
-  // compute moving average for recent readings
-  const movingAvg = [];
-  for (let i = 0; i < hist.length; i++) {
-    const start = Math.max(0, i - windowSize + 1);
-    const slice = hist.slice(start, i + 1);
-    const avg = slice.reduce((s, p) => s + p.percent_full, 0) / slice.length;
-    movingAvg.push(avg);
-  }
+// history points: kg per compartment (weight kept for older clients) and the bin's total
+function weightPoint(binId, compartment, kg) {
+  const w = Number.isFinite(kg) ? Math.round(kg * 10) / 10 : null;
+  return { weight: w, weight_kg: w, weight_pct: weightPct(w, registry.calibration(binId, compartment)) };
+}
+function binWeight(pt) {
+  const ws = COMPARTMENTS.map(c => pt[c]?.weight_kg).filter(w => w != null);
+  return ws.length ? Math.round(ws.reduce((a, b) => a + b, 0) * 10) / 10 : null;
+}
 
-  // derive slope from last two moving averages
-  let slope_per_hr = null;
-  if (movingAvg.length >= 2) {
-    const last = movingAvg[movingAvg.length - 1];
-    const prev = movingAvg[movingAvg.length - 2];
-    slope_per_hr = last - prev; // percent per hour (approx)
-  }
+const { FORECAST_HISTORY_HOURS } = pickups;
 
-  // forecast next few hours using moving average continuation
-  const lastPct = movingAvg[movingAvg.length - 1] ?? 0;
-  let current = lastPct;
-  for (let h = 1; h <= hours; h++) {
-    current += slope_per_hr ?? 0.5; // if slope unknown, assume gentle increase
-    current = Math.min(100, Math.max(0, current));
-    points.push({
-      timeISO: new Date(Date.now() + h * 3600 * 1000).toISOString(),
-      percent_full: Math.round(current),
-    });
+function parseModel(req, res) {
+  const model = req.query.model ?? forecast.DEFAULT_MODEL;
+  if (!forecast.MODELS.includes(model)) {
+    res.status(400).json({ ok: false, error: `model: one of ${forecast.MODELS.join(", ")}` });
+    return null;
   }
+  return model;
+}
 
-  // Estimate ETA to 90%
-  let eta90_iso = null;
-  if (slope_per_hr && slope_per_hr > 0 && lastPct < 90) {
-    const hrs = (90 - lastPct) / slope_per_hr;
-    if (isFinite(hrs) && hrs >= 0)
-      eta90_iso = new Date(Date.now() + hrs * 3600000).toISOString();
+// Predicted fill per compartment (model=seasonal|cycle|ma) with confidence bands and ETA ranges.
+// The top-level forecast is the compartment that reaches 100% first.
+app.get("/api/bins/:id/predict", auth.requireRole("viewer"), auth.requireOwnBin(), (req, res) => {
+  const binId = req.params.id;
+  const hours = Math.max(1, Math.min(240, Number(req.query.hours ?? 72)));
+  const model = parseModel(req, res);
+  if (!model) return;
+  const { data_source, points: hist } = datasource.getHistory(binId, FORECAST_HISTORY_HOURS);
+  if (!data_source) return res.status(404).json({ ok: false, error: "Unknown bin" });
+
+  const compartments = {};
+  for (const c of COMPARTMENTS) {
+    const series = datasource.compartmentSeries(hist, c);
+    compartments[c] = series.length ? forecast.forecast(series, { model, hours }) : null;
   }
 
-  // Estimate ETA to 100% (Pickup)
-  let eta100_iso = null;
-  if (slope_per_hr && slope_per_hr > 0 && lastPct < 100) {
-    const hrs = (100 - lastPct) / slope_per_hr;
-    if (isFinite(hrs) && hrs >= 0)
-      eta100_iso = new Date(Date.now() + hrs * 3600000).toISOString();
+  const limiting = pickups.limitingCompartment(compartments, (v) => v.last_pct);
+  const top = limiting ? compartments[limiting] : null;
+
+  res.json({
+    id: binId,
+    hours,
+    model,
+    data_source,
+    points: top ? top.points : [],
+    slope_per_hr: top ? top.slope_per_hr : null,
+    eta90_iso: top ? top.eta90_iso : null,
+    eta100_iso: top ? top.eta100_iso : null,
+    eta90_range: top ? top.eta90_range : null,
+    eta100_range: top ? top.eta100_range : null,
+    forecast_status: top ? top.forecast_status : "insufficient_data",
+    limiting_compartment: limiting,
+    compartments,
+  });
+});
+
+// How each model would have done on this bin's recent history
+app.get("/api/bins/:id/predict/backtest", auth.requireRole("viewer"), auth.requireOwnBin(), (req, res) => {
+  const binId = req.params.id;
+  const horizon = Math.max(1, Math.min(48, Number(req.query.horizon ?? 6)));
+  const holdout = Math.max(1, Math.min(24 * 14, Number(req.query.holdout ?? 48)));
+  const models = req.query.model ? String(req.query.model).split(",") : forecast.MODELS;
+  const bad = models.filter(m => !forecast.MODELS.includes(m));
+  if (bad.length) return res.status(400).json({ ok: false, error: `model: one of ${forecast.MODELS.join(", ")}` });
+  const comps = req.query.compartment ? [req.query.compartment] : COMPARTMENTS;
+  if (!comps.every(c => COMPARTMENTS.includes(c))) {
+    return res.status(400).json({ ok: false, error: `compartment: one of ${COMPARTMENTS.join(", ")}` });
   }
 
-  res.json({ id: binId, hours, points, slope_per_hr, eta90_iso, eta100_iso });
+  const { data_source, points: hist } = datasource.getHistory(binId, FORECAST_HISTORY_HOURS);
+  if (!data_source) return res.status(404).json({ ok: false, error: "Unknown bin" });
+
+  const compartments = {};
+  for (const c of comps) {
+    const series = datasource.compartmentSeries(hist, c);
+    compartments[c] = series.length ? forecast.backtest(series, { models, horizon, holdout }) : null;
+  }
+  res.json({ id: binId, data_source, compartments });
 });
 
-// Pickup schedule: soonest ETA 100% first
-app.get("/api/pickups", async (req, res) => {
+// Pickup schedule: soonest ETA 100% first (a bin is due when either compartment is),
+// limited to bins due within ?hours
+app.get("/api/pickups", auth.requireRole("viewer"), async (req, res) => {
   const horizonHours = Math.max(1, Math.min(24 * 7, Number(req.query.hours ?? 168)));
+  const model = parseModel(req, res);
+  if (!model) return;
+  const items = pickups.pickupItems({ model, horizonHours, binIds: datasource.listBinIds().filter(req.scope.owns) });
+  res.json({ items, horizon_hours: horizonHours, model });
+});
 
-  const items = PREGEN_BINS.map(bin_id => {
-    const h = getOrGenerateHistory(bin_id, 72);
-    const last = h.at(-1);
-    const lastPct = last ? last.percent_full : 0;
-
-    // moving average slope (same as predict)
-    const windowSize = 5;
-    const movingAvg = h.map((_, i) => {
-      const start = Math.max(0, i - windowSize + 1);
-      const slice = h.slice(start, i + 1);
-      return slice.reduce((s, p) => s + p.percent_full, 0) / slice.length;
-    });
-    const lastMA = movingAvg.at(-1) ?? lastPct;
-    const prevMA = movingAvg.at(-2) ?? lastPct;
-    const slope_per_hr = (movingAvg.length >= 2) ? (lastMA - prevMA) : 0.5;
-
-    let eta100_iso = null, eta90_iso = null;
-    if (slope_per_hr > 0) {
-      const to90 = lastMA < 90 ? (90 - lastMA) / slope_per_hr : 0;
-      const to100 = lastMA < 100 ? (100 - lastMA) / slope_per_hr : 0;
-      if (isFinite(to90) && to90 >= 0) eta90_iso = new Date(Date.now() + to90 * 3600e3).toISOString();
-      if (isFinite(to100) && to100 >= 0) eta100_iso = new Date(Date.now() + to100 * 3600e3).toISOString();
-    }
-
-    const dist = Math.round(BIN_HEIGHT_CM * (1 - lastPct / 100));
-    const status = slope_per_hr <= 0 ? "stalled" : "ok";
-
-    return {
-      bin_id,
-      postalCode: idToPostal(bin_id),
-      current_percent: lastPct,
-      current_distance_cm: dist,
-      slope_per_hr,
-      eta90_iso,
-      eta100_iso,
-      forecast_status: status
+// ============================== Bin helpers =================================
+
+// percent_full is by volume (what forecasts extrapolate); load_pct/colour/state also count weight
+function binSnapshot(id) {
+  const reg = registry.resolve(id);
+  const last = datasource.getLatest(id);
+  const pct = last ? last.percent_full : null;
+  const compartments = {};
+  let top = null;
+  for (const c of COMPARTMENTS) {
+    const v = last?.compartments[c];
+    const calib = reg.compartments[c];
+    const wPct = weightPct(v?.weight, calib);
+    const load = loadOf(v ? v.percent_full : null, wPct);
+    compartments[c] = {
+      distance_cm: v ? v.distance_cm : null,
+      percent_full: v ? v.percent_full : null,
+      weight_kg: v?.weight ?? null,
+      weight_pct: wPct,
+      ...load,
+      colour: colourFromPct(load.load_pct, reg.thresholds),
+      state: stateFromPct(load.load_pct, reg.thresholds),
+      weight: v?.weight ?? null, // = weight_kg, for older clients
+      last_updated: v ? v.timestamp : null,
+      height_cm: calib.height_cm,
+      empty_distance_cm: calib.empty_distance_cm,
+      capacity_l: calib.capacity_l ?? null,
+      max_weight_kg: calib.max_weight_kg ?? null,
     };
-  })
-    .filter(x => x.eta100_iso) // keep those with a pickup time
-    .sort((a, b) => new Date(a.eta100_iso) - new Date(b.eta100_iso)); // soonest first
+    if (load.load_pct != null && (!top || load.load_pct > top.load_pct)) top = load;
+  }
+  const weights = COMPARTMENTS.map(c => compartments[c].weight_kg).filter(w => w != null);
+  const loadPct = top ? top.load_pct : null;
+  return {
+    id,
+    postalCode: reg.postal_code,
+    lat: reg.lat,
+    lng: reg.lng,
+    geo_source: reg.geo_source,
+    distance_cm: last ? last.distance_cm : null,
+    percent_full: pct,
+    weight_kg: weights.length ? Math.round(weights.reduce((a, b) => a + b, 0) * 10) / 10 : null,
+    load_pct: loadPct,
+    full_by: top ? top.full_by : null,
+    colour: colourFromPct(loadPct, reg.thresholds),
+    state: stateFromPct(loadPct, reg.thresholds),
+    last_updated: last ? last.timestamp : null,
+    bin_height_cm: Math.max(...COMPARTMENTS.map(c => reg.compartments[c].height_cm)),
+    capacity_l: reg.capacity_l,
+    thresholds: reg.thresholds,
+    status: reg.status,
+    registered: reg.registered,
+    last_collected_iso: collections.lastFor(id)?.detected_at ?? null,
+    data_source: datasource.sourceOf(id),
+    sensor_health: anomalies.sensorHealth(id),
+    device: devices.forBin(id),
+    compartments,
+  };
+}
 
-  res.json({ items, horizon_hours: horizonHours });
-});
 
 // ============================== Helpers =====================================
 function makeId() {
   return Math.random().toString(36).slice(2, 8) + Date.now().toString(36);
 }
 
-function storeAndBroadcast(entry) {
-  if (!entry.id) entry.id = makeId(); // ensure every entry has an id
-  lastResult = entry;
-  history.push(entry);
-  if (history.length > MAX_HISTORY) history.shift();
-  io.emit("pi:update", entry);
-
-  // NEW: if it's a sensors entry and we can extract a distance, log it
-  if (entry.kind === "sensors") {
-    const distance = getDistanceFromSensors(entry.sensors);
-    if (entry.bin_id && Number.isFinite(distance)) {
-      appendLog({ id: entry.bin_id, distance_cm: distance, timestamp: entry.timestamp || tsISO() });
-    }
-  }
+// a classification's frame is filed under the entry id, so the id is fixed before storing
+function withImage(entry, image) {
+  if (!image) return entry;
+  entry.id ??= makeId();
+  images.attach(entry, image);
+  return entry;
 }
 
-function normalizeClassification(source, p = {}) {
-  const confidence = numOrNull(p.confidence);
-  const time_ms = numOrNull(p.time_ms);
-  const override = p.override === 1 || p.override === "1" ? 1 : Number(p.override) || 0;
-  const recyRaw = (p.recyclable ?? "").toString().trim().toLowerCase();
-  const recyclable =
-    recyRaw === "recyclable" || recyRaw === "non-recyclable" || recyRaw === "contaminated" ? recyRaw : undefined;
-
-  return {
-    source,
-    kind: "classification",
-    bin_id: safeStr(p.bin_id),
-    label: safeStr(p.label),
-    confidence: isFiniteNum(confidence) ? confidence : null,
-    time_ms: isFiniteNum(time_ms) ? time_ms : null,
-    timestamp: p.timestamp || tsISO(),
+// Staff verdict on a stored classification: a separate override entry pointing back at the
+// original (which is never modified) and an "override" command for the bin's Pi.
+function recordOverride(original, { recyclable = "non-recyclable", by = null, note = null, incidentId = null } = {}) {
+  const entry = ingest.normalizeClassification("web-override", {
+    ...original,
     recyclable,
-    sensors: normalizeSensors(p.sensors) || undefined,
-    override,
-  };
+    override: 1,
+    timestamp: tsISO(),
+  });
+  Object.assign(entry, { override_of: original.id ?? null, incident_id: incidentId, by, note: note || null });
+  if (entry.bin_id) commands.enqueue({ binId: entry.bin_id, action: "override", payload: entry, source: "web-override" });
+  storeAndBroadcast(entry);
+  return entry;
 }
 
-function normalizeSensors(s = {}) {
-  // nested aliases
-  const recycleSrc =
-    s.recycle || s.recyclable || s.blue || s.comp1 || s["recyclable"] || s["recycle"];
-  const generalSrc =
-    s.general || s["non-recyclable"] || s.trash || s.black || s.comp2 || s["nonrecycle"];
+// Item taken out of the bin: tell the Pi, mark the stored item acknowledged (recorded both on the
+// item and as an event of its own) and flag it in the live feed.
+function recordAcknowledgement({ id, bin_id, timestamp }, { by = null, note = null } = {}) {
+  const payload = { id, bin_id, timestamp: timestamp || tsISO() };
+  if (bin_id) commands.enqueue({ binId: bin_id, action: "acknowledge", payload, source: "web-acknowledge" });
+  const now = Date.now();
+  store.acknowledgeEvent(id, { at: now, by });
+  store.insertEvent({ id: makeId(), kind: "acknowledgement", bin_id, t: now, data: { target_id: id, by, note: note || null, ...payload } });
+  const item = history.find(e => e && e.id === id);
+  if (item) Object.assign(item, { acknowledged_at: new Date(now).toISOString(), acknowledged_by: by });
+}
 
-  const out = {};
+// companyId: who an unowned bin goes to (the reporting user's company; else the default one)
+function storeAndBroadcast(entry, { companyId } = {}) {
+  storeEntry(entry, { companyId });
+  publish(entry);
+  alerts.evaluate(entry);
+}
 
-  if (recycleSrc && typeof recycleSrc === "object") {
-    const u = numOrNull(recycleSrc.ultrasonic ?? recycleSrc.distance ?? recycleSrc.dist);
-    const w = numOrNull(recycleSrc.weight);
-    out.recycle = {};
-    if (isFiniteNum(u)) out.recycle.ultrasonic = u;
-    if (isFiniteNum(w)) out.recycle.weight = w;
+// persist one entry: classifications as store events, readings to the log/series, collection check
+function storeEntry(entry, { companyId = companies.DEFAULT_COMPANY } = {}) {
+  if (!entry.id) entry.id = makeId(); // ensure every entry has an id
+  companies.claim(entry.bin_id, companyId); // a bin first seen without an owner (e.g. external MQTT) is the default company's
+  metrics.ingestAccepted.inc({ source: entry.source || "unknown", kind: entry.kind || "unknown" });
+
+  // sensors entries: per-compartment fill computed with the bin's registry calibration
+  const comps = entry.kind === "sensors" ? compartmentsFromSensors(entry.sensors) : {};
+  if (entry.bin_id && Object.keys(comps).length) entry.fill = fillFromCompartments(entry.bin_id, comps);
+
+  // classifications and overrides are kept in the store; readings go through appendLog below
+  if (entry.kind === "classification") {
+    store.insertEvent({
+      id: entry.id,
+      kind: Number(entry.override) ? "override" : "classification",
+      bin_id: entry.bin_id,
+      t: Date.parse(entry.timestamp) || Date.now(),
+      data: entry,
+    });
+    incidents.observe(entry); // contaminated items open an incident
+    metrics.classifications.inc({ recyclable: entry.recyclable || "unknown", override: Number(entry.override) ? "1" : "0" });
   }
 
-  if (generalSrc && typeof generalSrc === "object") {
-    const u = numOrNull(generalSrc.ultrasonic ?? generalSrc.distance ?? generalSrc.dist);
-    const w = numOrNull(generalSrc.weight);
-    out.general = {};
-    if (isFiniteNum(u)) out.general.ultrasonic = u;
-    if (isFiniteNum(w)) out.general.weight = w;
+  // if it's a sensors entry with at least one compartment distance, log it per compartment
+  // and check it for a collection (sudden drop in fill)
+  if (entry.bin_id && Object.keys(comps).length) {
+    const timestamp = entry.timestamp || tsISO();
+    appendLog({ id: entry.bin_id, timestamp, ...comps });
+    // readings that look like a sensor fault are marked, so alerts and dashboards don't take them as fill
+    const t = new Date(timestamp).getTime();
+    for (const c of Object.keys(entry.fill || {})) {
+      const kinds = anomalies.kindsAt(entry.bin_id, c, t);
+      if (kinds.length) entry.fill[c].anomaly = kinds;
+    }
+    for (const ev of collections.observe(entry.bin_id, timestamp, comps)) {
+      broadcast("bin:collection", ev, { binIds: [ev.bin_id], kinds: ["collections"] });
+    }
   }
+  return entry;
+}
+
+// live feed: /data history and pi:update to the dashboards of the bin's company
+function publish(entry) {
+  history.push(entry);
+  if (history.length > MAX_HISTORY) history.shift();
+  const kind = entry.kind === "classification" ? "classification" : "sensors";
+  broadcast("pi:update", entry, { binIds: [entry.bin_id], kinds: [kind], coalesce: kind === "sensors" });
+}
 
-  // legacy flat fallback (single compartment -> map to recycle)
-  const uFlat = numOrNull(s.ultrasonic ?? s.distance ?? s.dist);
-  const wFlat = numOrNull(s.weight);
-  if (!out.recycle && !out.general && (isFiniteNum(uFlat) || isFiniteNum(wFlat))) {
-    out.recycle = {};
-    if (isFiniteNum(uFlat)) out.recycle.ultrasonic = uFlat;
-    if (isFiniteNum(wFlat)) out.recycle.weight = wFlat;
+// Buffered items from a device that was offline. Everything is stored in time order, but only
+// the newest reading/classification per bin goes out live (and only if it is recent); the rest
+// is announced with a single ingest:batch so dashboards reload instead of replaying each item.
+const BATCH_LIVE_WINDOW_MS = 5 * 60 * 1000;
+function ingestBatch(payload, { origin, binId, source, companyId }) {
+  const r = ingest.checkBatch(payload, { origin, binId, source });
+  if (!r.ok) return r;
+
+  const newest = new Map(); // "bin/kind" -> entry
+  for (const [i, entry] of r.entries.entries()) {
+    storeEntry(withImage(entry, r.images[i]), { companyId });
+    if (entry.kind === "classification") alerts.evaluate(entry); // contamination is per item
+    newest.set(`${entry.bin_id}/${entry.kind}`, entry);
   }
+  for (const entry of newest.values()) {
+    if (Date.now() - Date.parse(entry.timestamp) > BATCH_LIVE_WINDOW_MS) continue;
+    publish(entry);
+    if (entry.kind === "sensors") alerts.evaluate(entry);
+  }
+
+  const tally = (status) => r.results.filter(x => x.status === status).length;
+  const summary = {
+    accepted: r.entries.length,
+    duplicates: tally("duplicate"),
+    rejected: tally("rejected"),
+    from: r.entries.length ? r.entries[0].timestamp : null,
+    to: r.entries.length ? r.entries[r.entries.length - 1].timestamp : null,
+  };
+  if (summary.accepted) {
+    const binIds = [...new Set(r.entries.map(e => e.bin_id))]; // one device, so one bin (and company)
+    broadcast("ingest:batch", { origin, bin_ids: binIds, ...summary }, { binIds, kinds: ["sensors", "classification"] });
+  }
+  return { ok: true, schema: r.schema, ...summary, results: r.results };
+}
 
+function fillFromCompartments(binId, comps) {
+  const thresholds = registry.thresholds(binId);
+  const out = {};
+  for (const [c, v] of Object.entries(comps)) {
+    const calib = registry.calibration(binId, c);
+    const pct = percentFull(v.distance_cm, calib);
+    const wPct = weightPct(v.weight, calib);
+    const load = loadOf(pct, wPct);
+    out[c] = { percent_full: pct, weight_kg: v.weight ?? null, weight_pct: wPct, ...load, colour: colourFromPct(load.load_pct, thresholds), state: stateFromPct(load.load_pct, thresholds) };
+  }
   return out;
 }
 
@@ -706,17 +987,98 @@ function safeStr(v) {
   const s = String(v).trim();
   return s.length ? s : undefined;
 }
-function numOrNull(v) {
-  if (typeof v === "number") return v;
-  if (typeof v === "string") {
-    const n = Number(v.replace(/[^0-9.+-Ee]/g, "")); // preserve signs/exp
-    return Number.isFinite(n) ? n : null;
-  }
-  return null;
-}
 function isFiniteNum(n) {
   return typeof n === "number" && Number.isFinite(n);
 }
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Smart Bin running on http://localhost:${PORT}`));
+// probe file in data/: the store, log and JSON documents all live there
+function storageWritable() {
+  const probe = path.join(DATA_DIR, ".readyz");
+  try {
+    fs.writeFileSync(probe, tsISO());
+    fs.unlinkSync(probe);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// live state for the /metrics gauges
+metrics.use({
+  sockets: () => {
+    const out = { device: 0, dashboard: 0 };
+    for (const s of io.of("/").sockets.values()) out[s.data.device ? "device" : "dashboard"]++;
+    return out;
+  },
+  devices: () => devices.list({ online: true }).length,
+  bins: () => [...binSeries].filter(([, pts]) => pts.length).map(([binId, pts]) => {
+    const last = pts[pts.length - 1];
+    const fill = {};
+    for (const c of COMPARTMENTS) if (last[c]) fill[c] = percentFull(last[c].distance_cm, registry.calibration(binId, c));
+    return { bin_id: binId, last_reading_ms: last.t, fill };
+  }),
+});
+
+// ============================== Startup =====================================
+// listen straight away so /healthz and /readyz answer, then open the store and warm the
+// in-memory state; everything else gets 503 until that's done
+async function start() {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => log.info("listening", { url: `http://localhost:${server.address().port}` })); // PORT=0: any free port
+
+  await loadLog({ onBadRow: ingest.badRow }); // unreadable log lines end up with the ingest rejects
+  // recent classifications back into the live feed (acknowledged ones stay, flagged)
+  history.push(...store.events({ kinds: ["classification", "override"], limit: MAX_HISTORY }).reverse()
+    .map(e => (e.acknowledged_at ? { ...e.data, acknowledged_at: new Date(e.acknowledged_at).toISOString(), acknowledged_by: e.acknowledged_by } : e.data)));
+  // bins from before companies existed (and any not yet owned) belong to the default company
+  const claimed = companies.claimAll([...datasource.listBinIds({ includeDecommissioned: true }), ...history.map(e => e.bin_id)]);
+  if (claimed) log.info("assigned bins to the default company", { count: claimed });
+  incidents.load(store);
+  // warm up (and backfill) collection detection from the readings
+  await collections.load(binSeries);
+
+  alerts.start();
+  images.start();
+  alerts.emitter.on("alert", (event, alert) => {
+    broadcast("alert:update", { event, alert }, { binIds: [alert.bin_id], companyId: alert.company_id, kinds: ["alerts"] });
+  });
+  incidents.emitter.on("incident", (event, incident) => {
+    const last = incident.transitions[incident.transitions.length - 1];
+    if (event === "incident.overridden") {
+      const entry = recordOverride(incident.classification, { recyclable: incident.verdict, by: last.by, note: last.note, incidentId: incident.id });
+      incidents.linkOverride(incident.id, entry.id);
+    } else if (event === "incident.acknowledged") {
+      recordAcknowledgement(incident.classification, { by: last.by, note: last.note });
+    }
+    broadcast("incident:update", { event, incident }, { binIds: [incident.bin_id], kinds: ["incidents"] });
+  });
+  devices.start();
+  commands.init(io);
+  commands.emitter.on("update", (cmd) => broadcast("cmd:update", cmd, { binIds: [cmd.bin_id], kinds: ["commands"] }));
+  // ESP32 bins over MQTT go through the same ingest pipeline as the Pis
+  mqttBridge.start({
+    store: (entry, image) => storeAndBroadcast(withImage(entry, image)),
+    batch: (payload, { origin, binId }) => ingestBatch(payload, { origin, binId, source: "mqtt-batch" }),
+  });
+  devices.emitter.on("status", (device) => {
+    log.info(device.online ? "device online" : "device offline", { device_id: device.id, bin_id: device.bin_id });
+    broadcast("device:status", device, { binIds: [device.bin_id], kinds: ["devices"], coalesce: true });
+  });
+
+  ready = true;
+  log.info("ready", { storage: store.BACKEND });
+}
+
+start().catch((err) => {
+  log.error("startup failed", { err });
+  process.exit(1);
+});
+
+// close the store (checkpointing its WAL) before going down
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.once(sig, () => {
+    log.info("shutting down", { signal: sig });
+    store.close();
+    process.exit(0);
+  });
+}
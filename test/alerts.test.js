@@ -0,0 +1,25 @@
+// Alert lifecycle over the API
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let srv, token;
+before(async () => {
+  srv = await startServer();
+  token = await srv.login();
+});
+after(() => srv.stop());
+
+test("acknowledge and resolve are recorded under the logged-in user, whatever the body says", async () => {
+  const created = await srv.request("/api/alerts", { method: "POST", token, body: { message: "lid stuck open" } });
+  assert.equal(created.status, 201, created.text);
+  const id = created.body.alert.id;
+
+  const ack = await srv.request(`/api/alerts/${id}/acknowledge`, { method: "POST", token, body: { by: "someone-else", note: "on it" } });
+  assert.equal(ack.status, 200, ack.text);
+  assert.equal(ack.body.alert.acknowledged_by, "admin");
+
+  const res = await srv.request(`/api/alerts/${id}/resolve`, { method: "POST", token, body: { by: "someone-else" } });
+  assert.equal(res.body.alert.resolved_by, "admin");
+  assert.deepEqual(res.body.alert.history.slice(-2).map(h => [h.status, h.by, h.note]), [["acknowledged", "admin", "on it"], ["resolved", "admin", undefined]]);
+});
@@ -0,0 +1,126 @@
+// lib/anomalies against in-memory series (no server; binlog keeps its data/ under a temp dir)
+const fs = require("fs");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { tempDir } = require("./helpers");
+
+const dir = tempDir();
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const { appendLog } = require("../lib/binlog");
+const anomalies = require("../lib/anomalies");
+
+const HOUR = 3600e3;
+const add = (id, t, recycle, general) => appendLog({
+  id, timestamp: new Date(t).toISOString(),
+  ...(recycle != null && { recycle: { distance_cm: recycle } }),
+  ...(general != null && { general: { distance_cm: general } }),
+}, { persist: false });
+const kinds = (id, t, c = "recycle") => [...anomalies.kindsAt(id, c, t)].sort();
+
+test("a lone near-0 reading is blocked while it's the latest, a spike once the next one clears", () => {
+  const t0 = Date.now() - 10 * HOUR;
+  [80, 78, 1].forEach((d, i) => add("BIN-A1", t0 + i * HOUR, d));
+  assert.deepEqual(kinds("BIN-A1", t0 + 2 * HOUR), ["blocked"]);
+  assert.equal(anomalies.sensorHealth("BIN-A1").compartments.recycle.status, "faulty");
+
+  add("BIN-A1", t0 + 3 * HOUR, 77);
+  assert.deepEqual(kinds("BIN-A1", t0 + 2 * HOUR), ["spike"]);
+  assert.deepEqual(anomalies.list("BIN-A1").map(ep => [ep.kind, ep.readings, ep.ongoing]), [["spike", 1, false]]);
+  assert.equal(anomalies.sensorHealth("BIN-A1").compartments.recycle.status, "degraded");
+});
+
+test("reading by reading gives the same flags and episodes as one scan of the whole series", () => {
+  const t0 = Date.now() - 20 * 24 * HOUR;
+  // drifting, then a blockage, a stuck sensor, crossed wiring, a spike and readings out of range
+  const series = [];
+  for (let i = 0; i < 20; i++) series.push([80 - i, 70 - i]);
+  for (let i = 0; i < 4; i++) series.push([1, 50]);
+  for (let i = 0; i < 60; i++) series.push([42, 50 - (i % 7)]);
+  for (let i = 0; i < 12; i++) series.push([30 + (i % 8), 30 + (i % 8)]);
+  series.push([40, 45], [2, 44], [41, 43], [-3, 42], [200, 41], [40, 40]);
+
+  series.forEach(([r, g], i) => {
+    add("BIN-A2", t0 + i * HOUR, r, g);
+    anomalies.kindsAt("BIN-A2", "recycle", t0 + i * HOUR);
+    add("BIN-A3", t0 + i * HOUR, r, g);
+  });
+  assert.deepEqual(anomalies.list("BIN-A2"), anomalies.list("BIN-A3"));
+  for (let i = 0; i < series.length; i++) {
+    for (const c of ["recycle", "general"]) assert.deepEqual(kinds("BIN-A2", t0 + i * HOUR, c), kinds("BIN-A3", t0 + i * HOUR, c));
+  }
+  assert.deepEqual(new Set(anomalies.list("BIN-A2").map(ep => ep.kind)), new Set(["blocked", "stuck", "mirrored", "spike", "out_of_range"]));
+  assert.deepEqual(anomalies.sensorHealth("BIN-A2"), anomalies.sensorHealth("BIN-A3"));
+});
+
+test("readings slotted in behind newer ones are scanned in place", () => {
+  const t0 = Date.now() - 10 * HOUR;
+  [80, 78, 76, 74].forEach((d, i) => add("BIN-A4", t0 + i * HOUR, d));
+  assert.deepEqual(anomalies.list("BIN-A4"), []);
+  add("BIN-A4", t0 + 1.5 * HOUR, 10); // backfilled from the Pi's buffer
+  assert.deepEqual(kinds("BIN-A4", t0 + 1.5 * HOUR), ["spike"]);
+});
+
+test("backfilled readings end up flagged as if they had come in order", () => {
+  let seed = 7;
+  const rnd = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const t0 = Date.now() - 25 * 24 * HOUR;
+  // stretches of normal drift, near-0, stuck, mirrored and noisy readings, some with one compartment only
+  const series = [];
+  for (let i = 0; i < 600; i++) {
+    const phase = Math.floor(i / 40) % 5;
+    const odd = rnd() < 0.05; // breaks a stuck or mirrored run, wherever it ends up
+    const d = phase === 1 ? (rnd() < 0.7 ? 1 : 60) : phase === 2 ? 33 + odd : phase === 3 ? 20 + (i % 9) : Math.round(rnd() * 90) - 3;
+    const g = phase === 3 ? d + odd : Math.round(rnd() * 80);
+    series.push([t0 + i * 2 * HOUR, rnd() < 0.1 ? null : d, rnd() < 0.1 ? null : g]);
+  }
+  // hold some back and send them later, as a Pi's buffer would, scanning in between
+  const held = [];
+  series.forEach(([t, r, g], i) => {
+    if (rnd() < 0.3) held.push([t, r, g]);
+    else add("BIN-A8", t, r, g);
+    if (i % 25 === 24) {
+      for (const [ht, hr, hg] of held.splice(0, Math.ceil(rnd() * held.length))) {
+        add("BIN-A8", ht, hr, hg);
+        if (rnd() < 0.5) anomalies.kindsAt("BIN-A8", "recycle", ht);
+      }
+    }
+    anomalies.kindsAt("BIN-A8", "general", t);
+  });
+  for (const [ht, hr, hg] of held) add("BIN-A8", ht, hr, hg);
+  series.forEach(([t, r, g]) => add("BIN-A9", t, r, g));
+
+  assert.deepEqual(anomalies.list("BIN-A8"), anomalies.list("BIN-A9"));
+  for (const [t] of series) {
+    for (const c of ["recycle", "general"]) assert.deepEqual(kinds("BIN-A8", t, c), kinds("BIN-A9", t, c));
+  }
+  assert.deepEqual(new Set(anomalies.list("BIN-A9").map(ep => ep.kind)), new Set(["blocked", "spike", "stuck", "mirrored", "out_of_range"]));
+});
+
+test("readings leaving the 30 days take their flags and episode readings with them", async () => {
+  const t0 = Date.now() - 30 * 24 * HOUR + 200; // about to fall out
+  [-5, -5, 80].forEach((d, i) => add("BIN-A5", t0 + i * 600, d));
+  assert.deepEqual(anomalies.list("BIN-A5").map(ep => [ep.kind, ep.readings]), [["out_of_range", 2]]);
+
+  await new Promise(resolve => setTimeout(resolve, 450));
+  add("BIN-A5", Date.now(), 79);
+  assert.deepEqual(kinds("BIN-A5", t0), []);
+  assert.deepEqual(anomalies.list("BIN-A5").map(ep => [ep.kind, ep.readings]), [["out_of_range", 1]]);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  add("BIN-A5", Date.now(), 78);
+  assert.deepEqual(anomalies.list("BIN-A5"), []);
+});
+
+test("runs and episode counts far beyond the argument limit", () => {
+  const t0 = Date.now() - 29 * 24 * HOUR;
+  const n = 200000;
+  for (let i = 0; i < n; i++) {
+    const d = 20 + (i % 10);
+    add("BIN-A6", t0 + i * 10e3, d, d); // one long mirrored run
+    add("BIN-A7", t0 + i * 10e3, i % 2 ? 200 : 50); // every other reading out of range
+  }
+  assert.deepEqual(anomalies.list("BIN-A6").map(ep => ep.readings), [n, n]);
+  assert.equal(anomalies.sensorHealth("BIN-A7").compartments.recycle.status, "faulty");
+  assert.equal(anomalies.list("BIN-A7").length, n / 2);
+});
@@ -0,0 +1,20 @@
+// Accounts on a fresh install
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers");
+
+test("a generated admin password goes to a 0600 file, never into the logs", async () => {
+  const srv = await startServer({ env: { ADMIN_PASSWORD: "" } });
+  try {
+    const file = path.join(srv.dir, "data", "admin_password.txt");
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    const password = fs.readFileSync(file, "utf8").trim();
+    assert.ok(password.length >= 12);
+    assert.ok(!srv.logs.join("\n").includes(password));
+    assert.ok(await srv.login({ username: "admin", password }));
+  } finally {
+    await srv.stop();
+  }
+});
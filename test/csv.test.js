@@ -0,0 +1,18 @@
+// lib/csv: export cells
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { csvCell } = require("../lib/csv");
+
+test("cells are quoted when they need to be", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell('say "hi", then\nleave'), '"say ""hi"", then\nleave"');
+});
+
+test("text that a spreadsheet would run as a formula is kept as text", () => {
+  for (const s of ["=1+2", "+31 20 555", "-2+3", "@SUM(A1:A2)", "\t=cmd"]) assert.equal(csvCell(s), "'" + s);
+  assert.equal(csvCell("\r=cmd"), `"'\r=cmd"`);
+  assert.equal(csvCell('=HYPERLINK("http://x","y")'), `"'=HYPERLINK(""http://x"",""y"")"`);
+  assert.equal(csvCell(-3.5), "-3.5");
+  assert.equal(csvCell("a-b"), "a-b");
+});
@@ -0,0 +1,74 @@
+// Device-key sockets: what a Pi (or anyone holding its key) may send
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { io } = require("socket.io-client");
+const { startServer } = require("./helpers");
+
+let srv, token;
+const sockets = [];
+before(async () => {
+  srv = await startServer();
+  token = await srv.login();
+});
+after(async () => {
+  sockets.forEach(s => s.close());
+  await srv.stop();
+});
+
+async function deviceSocket(binId) {
+  const r = await srv.request("/api/admin/device-keys", { method: "POST", token, body: { bin_id: binId } });
+  assert.equal(r.status, 201, r.text);
+  const socket = io(srv.url, { auth: { key: r.body.key }, transports: ["websocket"], forceNew: true });
+  sockets.push(socket);
+  await new Promise((resolve, reject) => {
+    socket.once("connect", resolve);
+    socket.once("connect_error", reject);
+  });
+  return socket;
+}
+
+const emitAck = (socket, event, payload) => socket.timeout(5000).emitWithAck(event, payload);
+
+test("non-object payloads are refused without taking the server down", async () => {
+  const socket = await deviceSocket("BIN-T01");
+  for (const event of ["pi:hello", "pi:heartbeat", "pi:sensors", "pi:vision", "pi:batch"]) {
+    for (const payload of [null, 42, "x", [1]]) {
+      const r = await emitAck(socket, event, payload);
+      assert.equal(r.ok, false, `${event} ${JSON.stringify(payload)}`);
+    }
+  }
+  // without an ack the refusal comes back as server:error
+  const err = new Promise(resolve => socket.once("server:error", resolve));
+  socket.emit("pi:heartbeat", null);
+  assert.equal((await err).event, "pi:heartbeat");
+
+  assert.ok(srv.alive());
+  assert.equal((await srv.request("/healthz")).status, 200);
+});
+
+test("a key can't take over the device record of another bin", async () => {
+  const own = await deviceSocket("BIN-T02");
+  assert.deepEqual(await emitAck(own, "pi:hello", { device_id: "pi-shared", firmware: "1.0" }), { ok: true, device_id: "pi-shared" });
+
+  const other = await deviceSocket("BIN-T03");
+  const r = await emitAck(other, "pi:hello", { device_id: "pi-shared", firmware: "6.6.6" });
+  assert.equal(r.ok, false);
+  other.emit("pi:heartbeat", { device_id: "pi-shared", cpu_temp_c: 99 });
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  const dev = await srv.request("/api/devices/pi-shared", { token });
+  assert.equal(dev.body.bin_id, "BIN-T02");
+  assert.equal(dev.body.firmware, "1.0");
+  assert.notEqual(dev.body.health?.cpu_temp_c, 99);
+});
+
+test("a schema version that isn't a number is refused, not looked up", async () => {
+  const socket = await deviceSocket("BIN-T04");
+  for (const event of ["pi:sensors", "pi:vision", "pi:batch"]) {
+    for (const v of ["__proto__", "constructor"]) {
+      const r = await emitAck(socket, event, { v, label: 5, items: [{ kind: "sensors", v }] });
+      assert.equal(r.ok, false, `${event} v=${v}`);
+    }
+  }
+  assert.ok(srv.alive());
+});
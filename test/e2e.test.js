@@ -0,0 +1,47 @@
+// End to end: the server on a temp data dir, fed by the device simulator
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, startServer, simulate } = require("./helpers");
+
+let srv, token;
+before(async () => {
+  srv = await startServer();
+  token = await srv.login();
+});
+after(() => srv.stop());
+
+test("simulated Pis report readings, show up as live bins and answer commands", async () => {
+  const run = simulate(["--url", srv.url, "--bins", "2", "--admin", `${ADMIN.username}:${ADMIN.password}`, "--interval", "0.25", "--speed", "600", "--duration", "4"]);
+
+  // queue a ping once the Pis are connected
+  let cmd = null;
+  for (let i = 0; i < 40 && !cmd; i++) {
+    await new Promise(r => setTimeout(r, 100));
+    const devs = await srv.request("/api/devices", { token });
+    if (devs.body?.items?.some(d => d.bin_id === "SIM-001" && d.online)) {
+      cmd = (await srv.request("/cmd/ping", { method: "POST", token, body: { bin_id: "SIM-001" } })).body.command;
+    }
+  }
+  assert.ok(cmd, "SIM-001 came online");
+
+  const { code, output } = await run;
+  assert.equal(code, 0, output);
+  assert.match(output, /done: .*rejected 0/);
+
+  const { body } = await srv.request("/api/bins", { token });
+  for (const id of ["SIM-001", "SIM-002"]) {
+    const bin = body.bins.find(b => b.id === id);
+    assert.ok(bin, `${id} listed`);
+    assert.equal(bin.data_source, "live");
+    assert.ok(bin.percent_full != null && bin.last_updated, `${id} has a reading`);
+  }
+
+  const readings = await srv.request("/api/readings?bin_id=SIM-001", { token });
+  assert.equal(readings.status, 200);
+  assert.ok(readings.body.items.length >= 5, "readings stored");
+
+  const acked = await srv.request(`/api/commands/${cmd.id}`, { token });
+  assert.equal(acked.body.status, "acked");
+  assert.equal(acked.body.result?.pong, true);
+  assert.ok(srv.alive());
+});
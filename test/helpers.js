@@ -0,0 +1,84 @@
+// test/helpers.js — a real server (node server.js) on a throwaway data dir, for end-to-end tests
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { spawn } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN = { username: "admin", password: "test-admin-pass" };
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "smartbin-test-"));
+
+// -> { url, dir, logs, stop({ keepDir }), request(path, { method, body, token, key }), login(user?) }
+// dir: reuse a data dir a stopped server left behind (restart tests)
+async function startServer({ env = {}, dir = tempDir() } = {}) {
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: dir,
+    env: { ...process.env, PORT: "0", ADMIN_USERNAME: ADMIN.username, ADMIN_PASSWORD: ADMIN.password, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const logs = [];
+  child.stderr.on("data", (b) => logs.push(String(b)));
+  const url = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${logs.join("")}`)), 20000);
+    child.once("exit", (code) => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${logs.join("")}`)); });
+    readline.createInterface({ input: child.stdout }).on("line", (line) => {
+      logs.push(line);
+      const url = line.includes('"listening"') && JSON.parse(line).url;
+      if (url) { clearTimeout(timer); resolve(url); }
+    });
+  });
+  for (let i = 0; i < 100; i++) {
+    if ((await fetch(`${url}/readyz`).catch(() => null))?.ok) break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  async function request(p, { method = "GET", body, token, key } = {}) {
+    const headers = {};
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (key) headers["X-Device-Key"] = key;
+    const res = await fetch(url + p, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, body: json, text };
+  }
+
+  async function login({ username, password } = ADMIN) {
+    const r = await request("/api/auth/login", { method: "POST", body: { username, password } });
+    if (r.status !== 200) throw new Error(`login ${username}: ${r.text}`);
+    return r.body.token;
+  }
+
+  // not exited, nor killed by a signal
+  const alive = () => child.exitCode === null && child.signalCode === null;
+
+  function stop({ keepDir = false } = {}) {
+    return new Promise((resolve) => {
+      const done = () => {
+        if (!keepDir) fs.rmSync(dir, { recursive: true, force: true });
+        resolve(child.exitCode);
+      };
+      if (!alive()) return done();
+      child.once("exit", done);
+      child.kill("SIGTERM");
+    });
+  }
+
+  return { url, dir, logs, child, alive, request, login, stop };
+}
+
+// scripts/simulate.js against the server until it exits; -> { code, output }
+function simulate(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(ROOT, "scripts", "simulate.js"), ...args], { stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    child.stdout.on("data", (b) => { output += b; });
+    child.stderr.on("data", (b) => { output += b; });
+    child.on("exit", (code) => resolve({ code, output }));
+  });
+}
+
+module.exports = { ADMIN, tempDir, startServer, simulate };
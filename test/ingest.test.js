@@ -0,0 +1,37 @@
+// lib/ingest: the schema gate in front of everything devices send (data/ under a temp dir)
+const fs = require("fs");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { tempDir } = require("./helpers");
+
+const dir = tempDir();
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const ingest = require("../lib/ingest");
+
+const now = () => new Date().toISOString();
+
+test("valid payloads pass, invalid ones are told apart by field", () => {
+  const ok = ingest.check("pi:sensors", { bin_id: "BIN-I01", timestamp: now(), sensors: { recycle: { ultrasonic: 40 } } }, { origin: "t" });
+  assert.equal(ok.ok, true, JSON.stringify(ok.errors));
+  assert.equal(ok.schema, "sensors/v1");
+
+  const bad = ingest.check("pi:vision", { bin_id: "BIN-I01", label: 5, confidence: "garbage" }, { origin: "t" });
+  assert.equal(bad.ok, false);
+  assert.equal(bad.status, 422);
+  assert.deepEqual(bad.errors.map(e => e.path).sort(), ["/confidence", "/label"]);
+});
+
+test("only integer schema versions are looked up", () => {
+  const odd = ["constructor", "toString", "__proto__", "hasOwnProperty", "1", 1.5, -1, 99, null, { toString: 1 }, [1]];
+  for (const v of odd) {
+    for (const channel of ["pi:sensors", "pi:vision", "batch"]) {
+      const r = ingest.check(channel, { v, bin_id: "BIN-I01", label: 5, items: [] }, { origin: "t" });
+      assert.equal(r.ok, false, `${channel} v=${JSON.stringify(v)}`);
+      assert.equal(r.error, "Unsupported schema version");
+    }
+  }
+  const batch = ingest.checkBatch({ bin_id: "BIN-I01", items: [{ kind: "classification", v: "__proto__", seq: 1, timestamp: now(), label: 5 }] }, { origin: "t" });
+  assert.equal(batch.ok, true);
+  assert.equal(batch.results[0].status, "rejected");
+});
@@ -0,0 +1,50 @@
+// MQTT bins on the embedded broker
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mqtt = require("mqtt");
+const { startServer } = require("./helpers");
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+let srv, token;
+const clients = [];
+before(async () => {
+  srv = await startServer({ env: { MQTT_PORT: String(PORT) } });
+  token = await srv.login();
+});
+after(async () => {
+  await Promise.all(clients.map(c => c.endAsync()));
+  await srv.stop();
+});
+
+async function device(binId) {
+  const key = (await srv.request("/api/admin/device-keys", { method: "POST", token, body: { bin_id: binId } })).body.key;
+  const client = await mqtt.connectAsync(`mqtt://localhost:${PORT}`, { username: binId, password: key, reconnectPeriod: 0 });
+  clients.push(client);
+  return client;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test("only the bin a command went to can ack it", async () => {
+  const target = await device("BIN-M01");
+  const other = await device("BIN-M02");
+  const received = [];
+  target.on("message", (_topic, buf) => received.push(JSON.parse(buf)));
+  await target.subscribeAsync("bins/BIN-M01/cmd", { qos: 1 });
+  await target.publishAsync("bins/BIN-M01/status", "online");
+  await sleep(200);
+
+  const { command } = (await srv.request("/cmd/ping", { method: "POST", token, body: { bin_id: "BIN-M01" } })).body;
+  for (let i = 0; i < 30 && !received.length; i++) await sleep(100);
+  assert.equal(received[0]?.id, command.id);
+
+  await other.publishAsync("bins/BIN-M02/cmd/ack", JSON.stringify({ id: command.id, ok: true, result: { forged: true } }));
+  await sleep(300);
+  assert.equal((await srv.request(`/api/commands/${command.id}`, { token })).body.status, "sent");
+
+  await target.publishAsync("bins/BIN-M01/cmd/ack", JSON.stringify({ id: command.id, ok: true, result: { pong: true } }));
+  await sleep(300);
+  const done = (await srv.request(`/api/commands/${command.id}`, { token })).body;
+  assert.equal(done.status, "acked");
+  assert.deepEqual(done.result, { pong: true });
+});
@@ -0,0 +1,102 @@
+// Alert channels belong to a company
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startServer } = require("./helpers");
+
+// webhook receiver: path -> [body, ...]
+const hooks = {};
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (b) => { body += b; });
+  req.on("end", () => {
+    const p = new URL(req.url, "http://x").pathname;
+    (hooks[p] ??= []).push(JSON.parse(body));
+    res.end();
+  });
+});
+
+let srv, base, token, acme;
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${receiver.address().port}`;
+  srv = await startServer({ env: { ALERT_WEBHOOK_URL: `${base}/env-hook?token=env-secret`, ALERT_WEBHOOK_ALLOW_HOSTS: "127.0.0.1" } });
+  token = await srv.login();
+  const admin = { username: "acme-admin", password: "acme-admin-pass" };
+  const r = await srv.request("/api/companies", { method: "POST", token, body: { id: "acme", name: "Acme", admin } });
+  assert.equal(r.status, 201, r.text);
+  acme = await srv.login(admin);
+});
+after(async () => {
+  await srv.stop();
+  receiver.close();
+});
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+async function manualAlert(tok, message) {
+  const r = await srv.request("/api/alerts", { method: "POST", token: tok, body: { message, channels: ["webhook"] } });
+  assert.equal(r.status, 201, r.text);
+  await sleep(300);
+  return r.body.alert;
+}
+
+test("channels are admin-only and never show the webhook URL's path or secret", async () => {
+  const viewer = { username: "acme-viewer", password: "acme-viewer-pass" };
+  assert.equal((await srv.request("/api/admin/users", { method: "POST", token: acme, body: { ...viewer, role: "viewer" } })).status, 201);
+  assert.equal((await srv.request("/api/alerts/channels", { token: await srv.login(viewer) })).status, 403);
+
+  const own = await srv.request("/api/alerts/channels", { token });
+  assert.equal(own.status, 200, own.text);
+  assert.deepEqual(own.body.webhook, { configured: true, source: "env", url: `${base}/…`, signed: false });
+  assert.ok(!own.text.includes("env-secret"));
+
+  // the env config is the default company's only
+  assert.deepEqual((await srv.request("/api/alerts/channels", { token: acme })).body.webhook, { configured: false });
+});
+
+test("each company's alerts go to its own webhook", async () => {
+  const bad = await srv.request("/api/alerts/channels/webhook", { method: "PUT", token: acme, body: { url: "ftp://x" } });
+  assert.equal(bad.status, 400);
+  const put = await srv.request("/api/alerts/channels/webhook", { method: "PUT", token: acme, body: { url: `${base}/acme-hook?token=acme-secret`, secret: "s" } });
+  assert.equal(put.status, 200, put.text);
+  assert.deepEqual(put.body.channel, { configured: true, source: "company", url: `${base}/…`, signed: true });
+
+  await manualAlert(acme, "acme bin on fire");
+  await manualAlert(token, "default bin on fire");
+  assert.deepEqual(hooks["/acme-hook"]?.map(b => b.alert.message), ["acme bin on fire"]);
+  assert.deepEqual(hooks["/env-hook"]?.map(b => b.alert.message), ["default bin on fire"]);
+
+  const t = await srv.request("/api/alerts/channels/webhook/test", { method: "POST", token: acme });
+  assert.equal(t.status, 200, t.text);
+  assert.equal(hooks["/acme-hook"].at(-1).event, "alert.test");
+  assert.equal(hooks["/env-hook"].length, 1);
+
+  assert.equal((await srv.request("/api/alerts/channels/webhook", { method: "DELETE", token: acme })).status, 200);
+  await manualAlert(acme, "acme again");
+  assert.equal(hooks["/acme-hook"].length, 2);
+});
+
+test("resolving a manual alert goes out on the channels it was raised with", async () => {
+  const alert = await manualAlert(token, "lid jammed");
+  const r = await srv.request(`/api/alerts/${alert.id}/resolve`, { method: "POST", token, body: { note: "fixed" } });
+  assert.equal(r.status, 200, r.text);
+  await sleep(300);
+  assert.deepEqual(hooks["/env-hook"].slice(-2).map(b => [b.event, b.alert.message]), [["alert.opened", "lid jammed"], ["alert.resolved", "lid jammed"]]);
+});
+
+test("a company webhook can't reach into the server's own networks", async () => {
+  for (const url of ["http://10.1.2.3/x", "http://169.254.169.254/latest", "http://[::1]:8080/", "http://[::ffff:127.0.0.1]/", "http://0.0.0.0/"]) {
+    const r = await srv.request("/api/alerts/channels/webhook", { method: "PUT", token: acme, body: { url } });
+    assert.equal(r.status, 400, url);
+  }
+
+  // a name is judged by what it resolves to, on every call
+  const port = new URL(base).port;
+  const put = await srv.request("/api/alerts/channels/webhook", { method: "PUT", token: acme, body: { url: `http://localhost:${port}/sneaky` } });
+  assert.equal(put.status, 200, put.text);
+  const t = await srv.request("/api/alerts/channels/webhook/test", { method: "POST", token: acme });
+  assert.equal(t.status, 502);
+  assert.match(t.body.result.error, /internal address/);
+  assert.equal(hooks["/sneaky"], undefined);
+  assert.equal((await srv.request("/api/alerts/channels/webhook", { method: "DELETE", token: acme })).status, 200);
+});
@@ -0,0 +1,25 @@
+// What a fresh install's registry holds
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+async function binIdsOn(env) {
+  const srv = await startServer({ env });
+  try {
+    const token = await srv.login();
+    const r = await srv.request("/api/registry/bins", { token });
+    return r.body.bins.map(b => b.id);
+  } finally {
+    await srv.stop();
+  }
+}
+
+test("a fresh install starts without bins", async () => {
+  assert.deepEqual(await binIdsOn({ DEMO_MODE: "0" }), []);
+});
+
+test("demo mode registers the demo fleet", async () => {
+  const ids = await binIdsOn({ DEMO_MODE: "1" });
+  assert.equal(ids.length, 9);
+  assert.ok(ids.includes("BIN-001"));
+});
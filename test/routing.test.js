@@ -0,0 +1,30 @@
+// Collection run planning: what a plan request may ask for
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let srv, token;
+before(async () => {
+  srv = await startServer();
+  token = await srv.login();
+});
+after(() => srv.stop());
+
+const plan = (body) => srv.request("/api/routes/plan", { method: "POST", token, body });
+
+test("depot coordinates must be on the globe and bin_ids is capped", async () => {
+  for (const depot of [{ lat: 91, lng: 0 }, { lat: 0, lng: -180.5 }, { lat: "52", lng: 4 }]) {
+    const r = await plan({ depot, bin_ids: ["BIN-R01"] });
+    assert.equal(r.status, 400, JSON.stringify(depot));
+    assert.match(r.body.error, /depot/);
+  }
+
+  const many = Array.from({ length: 301 }, (_, i) => `BIN-R${i}`);
+  const r = await plan({ depot: { lat: 52.37, lng: 4.9 }, bin_ids: many });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /at most 300/);
+
+  const ok = await plan({ depot: { lat: 52.37, lng: 4.9 }, bin_ids: many.slice(0, 300) });
+  assert.equal(ok.status, 200, ok.text);
+  assert.equal(ok.body.unscheduled.length, 300); // none of them exist
+});
@@ -0,0 +1,34 @@
+// The sqlite store across a restart
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+// three readings, the server goes down by `kill`, and they're read back from a new one
+async function survives(binId, kill) {
+  let srv = await startServer();
+  let token = await srv.login();
+  const key = (await srv.request("/api/admin/device-keys", { method: "POST", token, body: { bin_id: binId } })).body.key;
+  for (const d of [50, 49, 48]) await srv.request("/update", { method: "POST", key, body: { general: { ultrasonic: d } } });
+  const exited = new Promise(resolve => srv.child.once("exit", (code, signal) => resolve(code ?? signal)));
+  srv.child.kill(kill);
+  const how = await exited;
+  await srv.stop({ keepDir: true });
+
+  srv = await startServer({ dir: srv.dir });
+  try {
+    token = await srv.login();
+    const r = await srv.request(`/api/readings?bin_id=${binId}`, { token });
+    assert.deepEqual(r.body.items.map(i => i.general.distance_cm), [50, 49, 48]);
+  } finally {
+    await srv.stop();
+  }
+  return how;
+}
+
+test("readings written before SIGTERM are there after a restart", async () => {
+  assert.equal(await survives("BIN-S01", "SIGTERM"), 0);
+});
+
+test("readings are on disk as soon as they're stored; a SIGKILL loses none", async () => {
+  assert.equal(await survives("BIN-S02", "SIGKILL"), "SIGKILL");
+});
@@ -0,0 +1,39 @@
+// Which company an unowned bin id goes to
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let srv, token, acme;
+before(async () => {
+  srv = await startServer();
+  token = await srv.login();
+  const admin = { username: "acme-admin", password: "acme-admin-pass" };
+  assert.equal((await srv.request("/api/companies", { method: "POST", token, body: { id: "acme", name: "Acme", admin } })).status, 201);
+  acme = await srv.login(admin);
+});
+after(() => srv.stop());
+
+const update = (tok, body) => srv.request("/update", { method: "POST", token: tok, body });
+
+test("a rejected payload doesn't claim the bin it names", async () => {
+  for (const body of [{ bin_id: "BIN-U01", general: { ultrasonic: "lots" } }, { bin_id: "BIN-U01", v: 7 }]) {
+    assert.equal((await update(acme, body)).status, 422);
+  }
+  const batch = await srv.request("/api/ingest/batch", { method: "POST", token: acme, body: { bin_id: "BIN-U01", items: [{ kind: "sensors", seq: 1, general: { ultrasonic: "lots" } }] } });
+  assert.equal(batch.body.accepted, 0);
+  const snap = await srv.request("/api/bins/snapshot", { method: "POST", token: acme, body: { id: "BIN-U01", distance_cm: "far" } });
+  assert.equal(snap.status, 422);
+
+  // still nobody's: the first company to store a reading for it gets it
+  assert.equal((await update(token, { bin_id: "BIN-U01", general: { ultrasonic: 40 } })).status, 200);
+  assert.equal((await update(acme, { bin_id: "BIN-U01", general: { ultrasonic: 41 } })).status, 403);
+  assert.ok((await srv.request("/api/companies/default", { token })).text.includes("BIN-U01"));
+});
+
+test("a stored entry claims the bin for the reporting user's company", async () => {
+  assert.equal((await update(acme, { bin_id: "BIN-U02", general: { ultrasonic: 40 } })).status, 200);
+  assert.equal((await update(token, { bin_id: "BIN-U02", general: { ultrasonic: 41 } })).status, 403);
+  const r = await srv.request("/api/ingest/batch", { method: "POST", token: acme, body: { bin_id: "BIN-U03", items: [{ kind: "sensors", seq: 1, timestamp: new Date().toISOString(), general: { ultrasonic: 30 } }] } });
+  assert.equal(r.body.accepted, 1, r.text);
+  assert.ok((await srv.request("/api/companies/acme", { token })).text.includes("BIN-U03"));
+});